@@ -11,34 +11,186 @@ const { Command } = require('commander');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawn, execSync } = require('child_process');
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { spawn, execFileSync } = require('child_process');
 const chalk = require('chalk');
+const fetch = require('node-fetch');
 const ora = require('ora');
+const cliProgress = require('cli-progress');
 const inquirer = require('inquirer');
+const { createRpcClient, apiMultiaddrToUrl } = require('./lib/kubo-rpc');
+const { createDockerRuntime, renderInitScript, kuboImage } = require('./lib/docker');
+const { createSwarmKey, formatSwarmKey, parseSwarmKey, fingerprint } = require('./lib/swarm-key');
+const { createInviteToken, parseInviteToken, isEncryptedInvite, parseDuration } = require('./lib/invite');
+const { serviceName, launchdLabel, serviceFile, renderSystemdUnit, renderLaunchdPlist } = require('./lib/service');
+const { TOOLS, detectPackageManager, packageFor, planInstall } = require('./lib/packages');
+const { createInitState, markStep, isStepDone, failedStep, parseInitState } = require('./lib/init-state');
+const { createRotatingLog, readLastLines, diagnoseStartup } = require('./lib/logs');
+const { loadManifest, diffSettings, DEFAULT_CONN_MGR } = require('./lib/manifest');
+const { parseMultiaddr, multiaddrProblem, validatePeerId } = require('./lib/multiaddr');
+const { cidMultihash } = require('./lib/multibase');
+const { loadRegistry, saveRegistry, recordPeers, resolvePeer, setAlias, addLabels, removeLabels } = require('./lib/peer-registry');
+const { renderMetrics, CONTENT_TYPE: PROMETHEUS_CONTENT_TYPE } = require('./lib/prometheus');
+const { createBackup, readBackup, isBackupFile } = require('./lib/backup');
+const { normalizeKuboVersion, tarballName, releaseUrl, compareKuboVersions, parseChecksumFile, verifyTarball } = require('./lib/kubo-release');
+const { FIELDS: CONFIG_FIELDS, defaultConfig, validateConfig, migrateConfig, getSetting, setSetting, parseSettingValue, parseSize } = require('./lib/config-schema');
 
 const program = new Command();
-const CONFIG_DIR = path.join(os.homedir(), '.ipfs-swarm');
-const CONFIG = path.join(CONFIG_DIR, 'config.json');
-const SWARM_KEY_PATH = path.join(CONFIG_DIR, 'swarm.key');
+const KUBO_VERSION = '0.35.0';
+const DEFAULT_GC_WATERMARK = 90;
+const DEFAULT_GC_PERIOD = '1h';
+const DEFAULT_PROFILE = 'default';
+const PROFILE_ENV = 'IPFS_SWARM_PROFILE';
+
+/* ---------- profiles ---------- */
+// Every profile gets its own config dir and its own Kubo repo (IPFS_PATH).
+// The default profile keeps the original ~/.ipfs-swarm + ~/.ipfs layout.
+let profile = DEFAULT_PROFILE;
+let CONFIG_DIR;
+let CONFIG;
+let SWARM_KEY_PATH;
+let PID_PATH;
+let LOG_PATH;
+let IPFS_PATH;
+
+const profileDir = (name) =>
+  name === DEFAULT_PROFILE
+    ? path.join(os.homedir(), '.ipfs-swarm')
+    : path.join(os.homedir(), `.ipfs-swarm-${name}`);
+
+const profileRepo = (name) =>
+  name === DEFAULT_PROFILE
+    ? process.env.IPFS_PATH || path.join(os.homedir(), '.ipfs')
+    : path.join(profileDir(name), 'ipfs');
+
+const useProfile = (name = DEFAULT_PROFILE) => {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid profile name: ${name}`);
+  }
+  profile = name;
+  CONFIG_DIR = profileDir(name);
+  CONFIG = path.join(CONFIG_DIR, 'config.json');
+  SWARM_KEY_PATH = path.join(CONFIG_DIR, 'swarm.key');
+  PID_PATH = path.join(CONFIG_DIR, 'daemon.pid');
+  LOG_PATH = path.join(CONFIG_DIR, 'daemon.log');
+  IPFS_PATH = profileRepo(name);
+};
+
+const listProfiles = () => {
+  const names = fs.readdirSync(os.homedir())
+    .filter((entry) => entry.startsWith('.ipfs-swarm-'))
+    .map((entry) => entry.slice('.ipfs-swarm-'.length));
+  return [DEFAULT_PROFILE, ...names].filter((name) => fs.existsSync(path.join(profileDir(name), 'config.json')));
+};
+
+// --profile / IPFS_SWARM_PROFILE is applied in the preAction hook, which reports a bad name cleanly
+useProfile(DEFAULT_PROFILE);
 
 /* ---------- helpers ---------- */
 const exists = (p) => fs.existsSync(p);
-const saveCfg = (o) => fs.writeFileSync(CONFIG, JSON.stringify(o, null, 2));
+
+// Temp file plus rename, so an interrupted write never leaves a truncated config.json
+const writeFileAtomic = (file, text, mode = 0o644) => {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text, { mode });
+  fs.renameSync(tmp, file);
+};
+
+const saveCfg = (o) => {
+  const cfg = { ...o, schemaVersion: o.schemaVersion || defaultConfig().schemaVersion };
+  const problems = validateConfig(cfg);
+  if (problems.length > 0) throw new Error(`Refusing to save an invalid config.json:\n  ${problems.join('\n  ')}`);
+  writeFileAtomic(CONFIG, JSON.stringify(cfg, null, 2));
+};
+
+// Parsed, migrated and validated config.json; problems instead of throwing, for `config validate`
+const readCfgFile = (file) => {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return { cfg: null, from: null, applied: [], problems: [`${file} is not valid JSON: ${e.message}`] };
+  }
+  try {
+    const { config, from, applied } = migrateConfig(raw);
+    return { cfg: config, from, applied, problems: validateConfig(config) };
+  } catch (e) {
+    return { cfg: null, from: null, applied: [], problems: [e.message] };
+  }
+};
+
 const loadCfg = () => {
   if (!exists(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
-  if (!exists(CONFIG)) {
-    saveCfg({
-      nodeType: 'bootstrap', // 'bootstrap' or 'regular'
-      networkType: 'normal', // 'normal' or 'tailscale'
-      swarmKey: null,
-      basePort: 4001,
-      bootstrapMultiaddr: null,
-      nodeId: null,
-      lastStarted: null,
-      tailscaleIP: null,
+  if (!exists(CONFIG)) saveCfg(defaultConfig());
+
+  const { cfg, from, applied, problems } = readCfgFile(CONFIG);
+  if (problems.length > 0) {
+    console.error(chalk.red(`❌ ${CONFIG} is invalid:`));
+    problems.forEach((problem) => console.error(chalk.red(`  • ${problem}`)));
+    // config set can repair settings, but not a file it cannot parse
+    console.error(chalk.yellow(cfg
+      ? "Fix the file by hand or with 'ipfs-swarm-cli config set', then check it with 'ipfs-swarm-cli config validate'"
+      : "Fix the file by hand, then check it with 'ipfs-swarm-cli config validate'"));
+    process.exit(1);
+  }
+  if (applied.length > 0) {
+    // Keep the old layout around in case an older CLI still needs it
+    fs.copyFileSync(CONFIG, `${CONFIG}.v${from}.bak`);
+    saveCfg(cfg);
+  }
+  return cfg;
+};
+
+// For clean and restore, which have to work on a broken config.json too
+const loadCfgLenient = () => (exists(CONFIG) && readCfgFile(CONFIG).cfg) || defaultConfig();
+
+// Environment for every ipfs invocation so it targets the profile's repo
+const ipfsEnv = () => ({ ...process.env, IPFS_PATH });
+
+/* ---------- ports ---------- */
+const apiPort = (cfg) => parseInt(cfg.apiPort) || parseInt(cfg.basePort) + 1000;
+const gatewayPort = (cfg) => parseInt(cfg.gatewayPort) || parseInt(cfg.basePort) + 4080;
+
+const isPortFree = (port) =>
+  new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port, '127.0.0.1');
+  });
+
+// Ports configured by other profiles count as taken even if their daemon is down
+const portsOfOtherProfiles = () =>
+  listProfiles()
+    .filter((name) => name !== profile)
+    .flatMap((name) => {
+      try {
+        const other = JSON.parse(fs.readFileSync(path.join(profileDir(name), 'config.json')));
+        return [parseInt(other.basePort), apiPort(other), gatewayPort(other)];
+      } catch {
+        return [];
+      }
     });
+
+const findFreePort = async (start, taken = []) => {
+  for (let port = start; port < 65535; port++) {
+    if (!taken.includes(port) && (await isPortFree(port))) return port;
+  }
+  throw new Error(`No free port found starting at ${start}`);
+};
+
+const resolvePort = async (value, fallback, taken) => {
+  if (value === undefined || value === null) return null;
+  if (value === 'auto') return findFreePort(fallback, taken);
+  const port = parseInt(value);
+  if (isNaN(port) || port <= 1024 || port >= 65535) {
+    throw new Error(`Invalid port: ${value}`);
   }
-  return JSON.parse(fs.readFileSync(CONFIG));
+  return port;
 };
 
 /* ---------- arch / platform ---------- */
@@ -52,23 +204,51 @@ const arch = archMap[os.arch()] || 'amd64';
 const platform = os.platform();
 
 /* ---------- tool checking ---------- */
-const checkTool = (tool) => {
+// `command -v` is built into sh; minimal Fedora and Alpine images have no `which`
+const toolPath = (tool) => {
   try {
-    execSync(`which ${tool}`, { stdio: 'ignore' });
-    return true;
+    // The name goes in as $1, never into the shell string
+    return execFileSync('sh', ['-c', 'command -v "$1"', 'sh', tool], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
   } catch {
-    return false;
+    return null;
   }
 };
 
+const checkTool = (tool) => !!toolPath(tool);
+
 /* ---------- execution helpers ---------- */
-const spinner = (text) => ora(text).start();
+// For printing plans: quotes arguments the shell would split
+const formatCommand = (cmd, args) =>
+  [cmd, ...args].map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`)).join(' ');
+
+const printTable = (header, rows) => {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ');
+  console.log(chalk.yellow(`  ${line(header)}`));
+  rows.forEach((r) => console.log(chalk.white(`  ${line(r)}`)));
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+// Spinners are suppressed in --json mode so stdout stays parseable
+const quietSpinner = { succeed: () => {}, fail: () => {}, warn: () => {}, stop: () => {} };
+const spinner = (text) => (jsonMode ? quietSpinner : ora(text).start());
 const execLive = (cmd, args = [], opts = {}) =>
   new Promise((resolve, reject) => {
     console.log(chalk.gray(`Running: ${cmd} ${args.join(' ')}`));
     const child = spawn(cmd, args, {
       stdio: 'inherit',
       shell: false,
+      env: ipfsEnv(),
       ...opts,
     });
     child.on('close', (code) => {
@@ -80,11 +260,13 @@ const execLive = (cmd, args = [], opts = {}) =>
     });
   });
 
+// Runs without a shell so arguments (multiaddrs, IPs) are never re-parsed
 const execSilent = (cmd, args = []) => {
   try {
-    const result = execSync(`${cmd} ${args.join(' ')}`, { 
+    const result = execFileSync(cmd, args, {
       encoding: 'utf8',
-      stdio: 'pipe'
+      stdio: 'pipe',
+      env: ipfsEnv(),
     });
     return { success: true, stdout: result, stderr: '' };
   } catch (error) {
@@ -92,6 +274,25 @@ const execSilent = (cmd, args = []) => {
   }
 };
 
+/* ---------- RPC ---------- */
+const API_URL_ENV = 'IPFS_SWARM_API_URL';
+
+// Prefer the address the running daemon wrote to $IPFS_PATH/api
+const localApiUrl = (cfg) => {
+  // Inside a container the api file holds the in-container bind address
+  const apiFile = path.join(IPFS_PATH, 'api');
+  if (!isDockerNode(cfg) && exists(apiFile)) {
+    try {
+      return apiMultiaddrToUrl(fs.readFileSync(apiFile, 'utf8'));
+    } catch {}
+  }
+  return `http://127.0.0.1:${apiPort(cfg)}`;
+};
+
+const apiUrl = (cfg) => process.env[API_URL_ENV] || localApiUrl(cfg);
+
+const rpcClient = (cfg = loadCfg()) => createRpcClient({ url: apiUrl(cfg) });
+
 /* ---------- tailscale helpers ---------- */
 const isTailscaleInstalled = () => checkTool('tailscale');
 
@@ -129,16 +330,17 @@ const getTailscaleStatus = () => {
   return { running: false, loggedIn: false, ip: null, hostname: null };
 };
 
+// The install script detects the distro itself
+const tailscaleInstallCommands = () => {
+  if (platform === 'linux') return [['sh', ['-c', 'curl -fsSL https://tailscale.com/install.sh | sh']]];
+  if (platform === 'darwin') return [['brew', ['install', 'tailscale']]];
+  throw new Error('Unsupported platform for automatic Tailscale installation');
+};
+
 const installTailscale = async () => {
   const spin = spinner('Installing Tailscale');
   try {
-    if (platform === 'linux') {
-      await execLive('sh', ['-c', 'curl -fsSL https://tailscale.com/install.sh | sh']);
-    } else if (platform === 'darwin') {
-      await execLive('brew', ['install', 'tailscale']);
-    } else {
-      throw new Error('Unsupported platform for automatic Tailscale installation');
-    }
+    await runCommands(tailscaleInstallCommands());
     spin.succeed('Tailscale installed');
   } catch (e) {
     spin.fail(e.message);
@@ -186,13 +388,13 @@ const setupTailscale = async () => {
   return finalStatus.ip;
 };
 
+const pingHost = (ip) => execSilent('ping', ['-c', '3', '-W', '3', ip]).success;
+
 const testTailscaleConnection = async (targetIP) => {
   if (!targetIP) return false;
   
   console.log(chalk.yellow(`Testing connection to ${targetIP}...`));
-  const result = execSilent('ping', ['-c', '3', '-W', '3', targetIP]);
-  
-  if (result.success) {
+  if (pingHost(targetIP)) {
     console.log(chalk.green(`✅ Connection to ${targetIP} successful`));
     return true;
   } else {
@@ -202,73 +404,221 @@ const testTailscaleConnection = async (targetIP) => {
 };
 
 /* ---------- installers ---------- */
-const installTools = async (includeTailscale = false) => {
-  let requiredTools = ['wget', 'curl', 'net-tools', 'openssl'];
-  
-  if (includeTailscale && !isTailscaleInstalled()) {
-    console.log(chalk.yellow('Tailscale not found, will install it...'));
+// What init needs from the system and the commands that would install the missing part
+const collectToolPlan = (includeTailscale = false) => {
+  const packageManager = detectPackageManager(platform, checkTool);
+  const tools = Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    binary: tool.binary,
+    purpose: tool.purpose,
+    installed: checkTool(tool.binary),
+    package: packageManager ? packageFor(name, packageManager) : null,
+  }));
+  const missing = tools.filter((tool) => !tool.installed).map((tool) => tool.name);
+  const install = packageManager && missing.length > 0
+    ? planInstall(packageManager, missing, { root: process.getuid?.() === 0 })
+    : { packages: [], commands: [], unavailable: packageManager ? [] : missing };
+  const tailscale = includeTailscale && !isTailscaleInstalled();
+  return {
+    // ok: every missing tool can be installed
+    ok: install.unavailable.length === 0,
+    profile,
+    platform,
+    packageManager,
+    tools,
+    missing,
+    packages: install.packages,
+    unavailable: install.unavailable,
+    tailscale,
+    packageCommands: install.commands,
+    commands: [...install.commands, ...(tailscale ? tailscaleInstallCommands() : [])],
+  };
+};
+
+const renderToolPlan = (plan) => {
+  console.log(chalk.cyan(`📦 Package manager: ${plan.packageManager || 'none detected'} (${plan.platform})`));
+  printTable(
+    ['TOOL', 'BINARY', 'STATUS', 'PACKAGE'],
+    plan.tools.map((tool) => [tool.name, tool.binary, tool.installed ? 'installed' : 'missing', tool.package || '-'])
+  );
+  if (plan.unavailable.length > 0) {
+    const binaries = plan.unavailable.map((name) => TOOLS[name].binary).join(', ');
+    console.log(chalk.yellow(`No package known for ${binaries} – install manually`));
+  }
+  if (plan.commands.length === 0) {
+    console.log(chalk.green('Nothing to install'));
+    return;
+  }
+  console.log(chalk.cyan('Install plan:'));
+  plan.commands.forEach(([cmd, args]) => console.log(chalk.gray(`$ ${formatCommand(cmd, args)}`)));
+};
+
+const installTools = async ({ includeTailscale = false, dryRun = false } = {}) => {
+  const plan = collectToolPlan(includeTailscale);
+  if (dryRun) {
+    renderToolPlan(plan);
+    return plan;
   }
-  
-  const missing = requiredTools.filter((tool) => !checkTool(tool));
 
-  if (missing.length === 0 && (!includeTailscale || isTailscaleInstalled())) {
+  if (plan.missing.length === 0 && !plan.tailscale) {
     console.log(chalk.green('All required tools are already installed'));
-    if (includeTailscale && isTailscaleInstalled()) {
-      console.log(chalk.green('Tailscale is already installed'));
-    }
-    return;
+    if (includeTailscale) console.log(chalk.green('Tailscale is already installed'));
+    return plan;
   }
 
-  if (missing.length > 0) {
-    console.log(chalk.yellow(`Missing tools: ${missing.join(', ')}`));
-    const spin = spinner('Installing missing tools');
-    try {
-      if (platform === 'linux') {
-        await execLive('sudo', ['apt-get', 'update']);
-        await execLive('sudo', ['apt-get', 'install', '--no-upgrade', '-y', ...missing]);
-      } else if (platform === 'darwin') {
-        for (const tool of missing) {
-          await execLive('brew', ['install', tool]);
-        }
+  if (plan.missing.length > 0) {
+    const binaries = plan.missing.map((name) => TOOLS[name].binary);
+    console.log(chalk.yellow(`Missing tools: ${binaries.join(', ')}`));
+    if (!plan.packageManager) {
+      throw new Error(`No supported package manager found (apt, dnf, yum, pacman, apk, zypper, brew) – install ${binaries.join(', ')} manually`);
+    }
+    if (plan.packages.length > 0) {
+      const spin = spinner(`Installing ${plan.packages.join(', ')} with ${plan.packageManager}`);
+      try {
+        await runCommands(plan.packageCommands);
+        spin.succeed();
+      } catch (e) {
+        spin.fail(e.message);
+        throw e;
       }
-      spin.succeed();
-    } catch (e) {
-      spin.fail(e.message);
-      throw e;
+    }
+    if (plan.unavailable.length > 0) {
+      console.log(chalk.yellow(`Install ${plan.unavailable.map((name) => TOOLS[name].binary).join(', ')} manually`));
     }
   }
-  
-  // Install Tailscale if needed
-  if (includeTailscale && !isTailscaleInstalled()) {
+
+  if (plan.tailscale) {
+    console.log(chalk.yellow('Tailscale not found, will install it...'));
     await installTailscale();
   }
+  return plan;
 };
 
-const installKubo = async () => {
-  const binPath = '/usr/local/bin/ipfs';
-  const result = execSilent(binPath, ['version']);
-  if (result.success) {
-    console.log(chalk.green('Kubo is already installed'));
-    return;
+// The Kubo binary: a user-local install wins over the one on PATH
+const KUBO_SYSTEM_DIR = '/usr/local/bin';
+const kuboUserDir = () => path.join(os.homedir(), '.local', 'bin');
+
+const findIpfsBinary = () => {
+  const local = path.join(kuboUserDir(), 'ipfs');
+  if (exists(local)) return local;
+  const onPath = toolPath('ipfs');
+  if (onPath) return onPath;
+  const system = path.join(KUBO_SYSTEM_DIR, 'ipfs');
+  return exists(system) ? system : null;
+};
+
+// Falls back to plain 'ipfs' so a missing binary fails with the usual ENOENT
+const ipfsBin = () => findIpfsBinary() || 'ipfs';
+
+const binaryVersion = (binary) => {
+  const result = execSilent(binary, ['version', '--number']);
+  return result.success ? result.stdout.trim() : null;
+};
+
+const installedKuboVersion = () => {
+  const binary = findIpfsBinary();
+  return binary ? binaryVersion(binary) : null;
+};
+
+// Downloads (or takes the offline tarball), verifies its SHA-512 and extracts
+// it into workDir. Returns the path of the unpacked ipfs binary and its version.
+const fetchKubo = async ({ version, tarball }, workDir) => {
+  let archive;
+  let checksumFile;
+  if (tarball) {
+    archive = path.resolve(tarball);
+    checksumFile = `${archive}.sha512`;
+    if (!exists(archive)) throw new Error(`Kubo tarball not found: ${archive}`);
+    if (!exists(checksumFile)) {
+      throw new Error(`${checksumFile} not found – copy the release's .sha512 file next to the tarball`);
+    }
+  } else {
+    const file = tarballName(version, platform, arch);
+    archive = path.join(workDir, file);
+    checksumFile = `${archive}.sha512`;
+    console.log(chalk.yellow(`Downloading Kubo: ${file}`));
+    await execLive('wget', ['-q', releaseUrl(version, file), '-O', archive]);
+    await execLive('wget', ['-q', releaseUrl(version, `${file}.sha512`), '-O', checksumFile]);
+  }
+
+  await verifyTarball(archive, parseChecksumFile(fs.readFileSync(checksumFile, 'utf8'), path.basename(archive)));
+  console.log(chalk.green('SHA-512 checksum verified'));
+
+  await execLive('tar', ['-xzf', archive, '-C', workDir]);
+  const binary = path.join(workDir, 'kubo', 'ipfs');
+  const unpacked = binaryVersion(binary);
+  if (!unpacked) throw new Error(`${path.basename(archive)} does not contain a working ipfs binary for ${platform}-${arch}`);
+  if (!tarball && unpacked !== version) throw new Error(`Downloaded binary reports version ${unpacked}, expected ${version}`);
+  return { binary, version: unpacked };
+};
+
+const withKuboWorkDir = async (fn) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfs-swarm-kubo-'));
+  try {
+    return await fn(workDir);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+// Copies binary to target, through sudo when the directory is not writable
+const placeBinary = async (binary, target) => {
+  const dir = path.dirname(target);
+  let writable = true;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch {
+    writable = false;
+  }
+  if (writable) {
+    // Rename over the old file so a running daemon keeps its (unlinked) binary
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.copyFileSync(binary, tmp);
+    fs.chmodSync(tmp, 0o755);
+    fs.renameSync(tmp, target);
+  } else {
+    await execLive('sudo', ['install', '-m', '755', binary, target]);
+  }
+};
+
+// What installKubo would do, for init --dry-run
+const kuboInstallPlan = ({ version = KUBO_VERSION, tarball = null, user = false } = {}) => {
+  const installed = installedKuboVersion();
+  if (installed) return [`Kubo ${installed} is already installed (${findIpfsBinary()})`];
+  const file = tarball ? path.resolve(tarball) : tarballName(version, platform, arch);
+  const target = path.join(user ? kuboUserDir() : KUBO_SYSTEM_DIR, 'ipfs');
+  return [
+    ...(tarball ? [] : [`$ wget -q ${releaseUrl(version, file)}`, `$ wget -q ${releaseUrl(version, `${file}.sha512`)}`]),
+    `Verify the SHA-512 checksum of ${path.basename(file)} against ${path.basename(file)}.sha512`,
+    `$ tar -xzf ${path.basename(file)}`,
+    `Install kubo/ipfs to ${target}${user ? '' : ' (sudo if not writable)'}`,
+  ];
+};
+
+const installKubo = async ({ version = KUBO_VERSION, tarball = null, user = false } = {}) => {
+  const installed = installedKuboVersion();
+  if (installed) {
+    console.log(chalk.green(`Kubo ${installed} is already installed (${findIpfsBinary()})`));
+    if (!tarball && installed !== version) {
+      console.log(chalk.yellow(`Requested ${version} – switch with 'ipfs-swarm-cli kubo upgrade --kubo-version ${version}'`));
+    }
+    return installed;
   }
 
-  const kuboVersion = '0.35.0';
-  const tar = `kubo_v${kuboVersion}_${platform}-${arch}.tar.gz`;
   const spin = spinner('Installing Kubo');
   try {
-    console.log(chalk.yellow(`Downloading Kubo: ${tar}`));
-    await execLive('wget', [
-      '-q',
-      `https://github.com/ipfs/kubo/releases/download/v${kuboVersion}/${tar}`,
-      '-O',
-      `/tmp/${tar}`,
-    ]);
-    await execLive('tar', ['-xzf', `/tmp/${tar}`, '-C', '/tmp']);
-    await execLive('sudo', ['cp', '/tmp/kubo/ipfs', binPath]);
-    await execLive('sudo', ['chmod', '+x', binPath]);
-    await execLive('rm', ['-rf', '/tmp/kubo', `/tmp/${tar}`]);
-    await execLive(binPath, ['version']);
-    spin.succeed();
+    const target = path.join(user ? kuboUserDir() : KUBO_SYSTEM_DIR, 'ipfs');
+    const result = await withKuboWorkDir(async (workDir) => {
+      const fetched = await fetchKubo({ version, tarball }, workDir);
+      await placeBinary(fetched.binary, target);
+      return fetched;
+    });
+    spin.succeed(`Installed Kubo ${result.version} to ${target}`);
+    if (user && !(process.env.PATH || '').split(path.delimiter).includes(kuboUserDir())) {
+      console.log(chalk.gray(`${kuboUserDir()} is not on your PATH – ipfs-swarm-cli finds it anyway, add it to use 'ipfs' directly`));
+    }
+    return result.version;
   } catch (e) {
     spin.fail(e.message);
     throw e;
@@ -278,22 +628,50 @@ const installKubo = async () => {
 /* ---------- swarm key management ---------- */
 const generateSwarmKey = () => {
   if (exists(SWARM_KEY_PATH)) {
-    console.log(chalk.green('Swarm key already exists'));
+    console.log(chalk.green(`Swarm key already exists (fingerprint ${keyFileFingerprint(SWARM_KEY_PATH)})`));
     return SWARM_KEY_PATH;
   }
 
-  const key = `/key/swarm/psk/1.0.0/
-/base16/
-${require('crypto').randomBytes(32).toString('hex')}`;
-  
-  fs.writeFileSync(SWARM_KEY_PATH, key);
+  fs.writeFileSync(SWARM_KEY_PATH, createSwarmKey());
   fs.chmodSync(SWARM_KEY_PATH, 0o600);
   console.log(chalk.green('Generated new swarm key'));
   return SWARM_KEY_PATH;
 };
 
+// Throws SwarmKeyError (with the file name prepended) if the file is not a valid PSK
+const verifySwarmKeyFile = (file) => {
+  if (!exists(file)) {
+    throw new Error(`Swarm key file not found: ${file}`);
+  }
+  try {
+    parseSwarmKey(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    e.message = `Invalid swarm key ${file}: ${e.message}`;
+    throw e;
+  }
+};
+
+const keyFileFingerprint = (file) => {
+  try {
+    return fingerprint(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Moves the managed key aside as archive/swarm-<timestamp>.key
+const archiveSwarmKey = () => {
+  if (!exists(SWARM_KEY_PATH)) return null;
+  const archiveDir = path.join(CONFIG_DIR, 'archive');
+  if (!exists(archiveDir)) fs.mkdirSync(archiveDir, { recursive: true, mode: 0o700 });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const archived = path.join(archiveDir, `swarm-${stamp}.key`);
+  fs.renameSync(SWARM_KEY_PATH, archived);
+  return archived;
+};
+
 const installSwarmKey = (swarmKeyPath) => {
-  const ipfsSwarmKey = path.join(os.homedir(), '.ipfs', 'swarm.key');
+  const ipfsSwarmKey = path.join(IPFS_PATH, 'swarm.key');
   if (!exists(swarmKeyPath)) {
     throw new Error('Swarm key file not found');
   }
@@ -304,18 +682,84 @@ const installSwarmKey = (swarmKeyPath) => {
 
 /* ---------- IPFS management ---------- */
 const isIpfsInitialized = () => {
-  const configPath = path.join(os.homedir(), '.ipfs', 'config');
+  const configPath = path.join(IPFS_PATH, 'config');
   return exists(configPath);
 };
 
+// Peer ID is known as soon as the repo exists, before the daemon runs
+const readRepoPeerId = () => JSON.parse(fs.readFileSync(path.join(IPFS_PATH, 'config'))).Identity.PeerID;
+
 const initializeIpfs = async () => {
   if (isIpfsInitialized()) {
     console.log(chalk.green('IPFS already initialized'));
     return;
   }
 
-  console.log(chalk.yellow('Initializing IPFS...'));
-  await execLive('ipfs', ['init', '--profile=server']);
+  console.log(chalk.yellow(`Initializing IPFS in ${IPFS_PATH}...`));
+  await execLive(ipfsBin(), ['init', '--profile=server']);
+};
+
+// Kubo config keys and values that make a repo a private swarm node, in the
+// order they are applied. listenHost is where API/gateway bind: loopback
+// natively, 0.0.0.0 inside a container.
+const desiredIpfsConfig = (cfg, { listenHost = '127.0.0.1' } = {}) => {
+  const connMgr = cfg.connMgr || DEFAULT_CONN_MGR;
+  const entries = [
+    ['Discovery.MDNS.Enabled', false],
+    ['Routing.Type', 'dht'],
+    ['AutoTLS', { Enabled: false }],
+    ['Swarm.ConnMgr', {
+      LowWater: connMgr.lowWater,
+      HighWater: connMgr.highWater,
+      ...(connMgr.gracePeriod ? { GracePeriod: connMgr.gracePeriod } : {}),
+    }],
+    // Clear AddrFilters to allow all private network connections
+    ['Swarm.AddrFilters', []],
+    // Set swarm addresses - listen on all interfaces
+    ['Addresses.Swarm', [`/ip4/0.0.0.0/tcp/${cfg.basePort}`, `/ip6/::/tcp/${cfg.basePort}`]],
+  ];
+
+  // Configure announce addresses for Tailscale, plus any extra ones from a manifest
+  const announce = [...(cfg.announce || [])];
+  if (cfg.networkType === 'tailscale' && cfg.tailscaleIP) {
+    announce.unshift(`/ip4/${cfg.tailscaleIP}/tcp/${cfg.basePort}`);
+    // Also set NoAnnounce to prevent announcing localhost addresses
+    entries.push(['Addresses.NoAnnounce', [`/ip4/127.0.0.1/tcp/${cfg.basePort}`, `/ip6/::1/tcp/${cfg.basePort}`]]);
+  }
+  // Manifest-managed nodes always set it, so dropped addresses get cleared
+  if (announce.length > 0 || cfg.announce) entries.push(['Addresses.Announce', announce]);
+
+  // Storage quota from `repo quota`, GC interval from `repo auto-gc`
+  if (cfg.storageMax) {
+    entries.push(['Datastore.StorageMax', cfg.storageMax]);
+    entries.push(['Datastore.StorageGCWatermark', cfg.gcWatermark || DEFAULT_GC_WATERMARK]);
+  }
+  if (cfg.autoGc) entries.push(['Datastore.GCPeriod', cfg.gcPeriod || DEFAULT_GC_PERIOD]);
+
+  entries.push(['Addresses.API', `/ip4/${listenHost}/tcp/${apiPort(cfg)}`]);
+  entries.push(['Addresses.Gateway', `/ip4/${cfg.exposeGateway ? '0.0.0.0' : listenHost}/tcp/${gatewayPort(cfg)}`]);
+  return entries;
+};
+
+const ipfsConfigArgs = (key, value) => {
+  if (typeof value === 'boolean') return ['config', '--bool', key, String(value)];
+  if (typeof value === 'string') return ['config', key, value];
+  return ['config', '--json', key, JSON.stringify(value)];
+};
+
+// `ipfs` argument lists that turn a fresh repo into a private swarm node
+const ipfsConfigCommands = (cfg, options) => {
+  const commands = desiredIpfsConfig(cfg, options).map(([key, value]) => ipfsConfigArgs(key, value));
+
+  // Clear default bootstrap nodes
+  commands.push(['bootstrap', 'rm', '--all']);
+
+  // Add the swarm's bootstrap nodes (other bootstraps, for promoted nodes)
+  cfg.bootstrapMultiaddrs.forEach((addr) => {
+    commands.push(['bootstrap', 'add', addr]);
+  });
+
+  return commands;
 };
 
 const configureIpfs = async (cfg) => {
@@ -326,717 +770,5035 @@ const configureIpfs = async (cfg) => {
     installSwarmKey(cfg.swarmKey);
   }
 
-  // Configure IPFS settings
-  await execLive('ipfs', ['config', '--bool', 'Discovery.MDNS.Enabled', 'false']);
-  await execLive('ipfs', ['config', 'Routing.Type', 'dht']);
-  await execLive('ipfs', ['config', '--json', 'AutoTLS', '{"Enabled":false}']);
-  await execLive('ipfs', ['config', '--json', 'Swarm.ConnMgr', '{"LowWater":10,"HighWater":100}']);
-  
-    // *** ADD THIS BLOCK TO REMOVE ADDRFILTERS ***
-  console.log(chalk.yellow('Clearing AddrFilters to allow all private network connections...'));
-  await execLive('ipfs', ['config', '--json', 'Swarm.AddrFilters', '[]']);
-  // *******************************************
+  for (const args of ipfsConfigCommands(cfg)) {
+    await execLive(ipfsBin(), args);
+  }
 
-  
-  // Set swarm addresses - listen on all interfaces
-  const swarmAddresses = `["/ip4/0.0.0.0/tcp/${cfg.basePort}","/ip6/::/tcp/${cfg.basePort}"]`;
-  await execLive('ipfs', ['config', '--json', 'Addresses.Swarm', swarmAddresses]);
+  console.log(chalk.green('IPFS configured for private swarm'));
+};
 
-  // Configure announce addresses for Tailscale
-  if (cfg.networkType === 'tailscale' && cfg.tailscaleIP) {
-    const announceAddresses = `["/ip4/${cfg.tailscaleIP}/tcp/${cfg.basePort}"]`;
-    await execLive('ipfs', ['config', '--json', 'Addresses.Announce', announceAddresses]);
+/* ---------- docker runtime ---------- */
+const isDockerNode = (cfg) => cfg.runtime === 'docker';
+const containerName = () => `ipfs-swarm-${profile}`;
+const dockerInitScriptPath = () => path.join(CONFIG_DIR, 'docker-init.sh');
 
-    // Also set NoAnnounce to prevent announcing localhost addresses
-    const noAnnounceAddresses = `["/ip4/127.0.0.1/tcp/${cfg.basePort}","/ip6/::1/tcp/${cfg.basePort}"]`;
-    await execLive('ipfs', ['config', '--json', 'Addresses.NoAnnounce', noAnnounceAddresses]);
-  }
+let dockerRuntime = null;
+const docker = () => dockerRuntime || (dockerRuntime = createDockerRuntime());
 
-  await execLive('ipfs', ['config', 'Addresses.API', `/ip4/127.0.0.1/tcp/${parseInt(cfg.basePort) + 1000}`]);
-  await execLive('ipfs', ['config', 'Addresses.Gateway', `/ip4/127.0.0.1/tcp/${parseInt(cfg.basePort) + 4080}`]);
+// The Kubo release a node should run: pinned in config.json, else the CLI's default
+const kuboVersionFor = (cfg) => cfg.kuboVersion || KUBO_VERSION;
 
-  // Clear default bootstrap nodes
-  await execLive('ipfs', ['bootstrap', 'rm', '--all']);
+const prepareDocker = async (cfg) => {
+  await docker().ping();
+  const image = kuboImage(kuboVersionFor(cfg));
+  console.log(chalk.yellow(`Ensuring image ${image} is available...`));
+  await docker().ensureImage(image);
+};
+
+const writeDockerInitScript = (cfg) => {
+  fs.writeFileSync(dockerInitScriptPath(), renderInitScript(ipfsConfigCommands(cfg, { listenHost: '0.0.0.0' })));
+  fs.chmodSync(dockerInitScriptPath(), 0o755);
+};
+
+const createDockerNode = async (cfg) => {
+  console.log(chalk.yellow(`Creating container ${containerName()}...`));
+  fs.mkdirSync(IPFS_PATH, { recursive: true });
+  writeDockerInitScript(cfg);
+
+  await docker().removeContainer(containerName());
+  await docker().createNodeContainer({
+    name: containerName(),
+    image: kuboImage(kuboVersionFor(cfg)),
+    repoPath: path.resolve(IPFS_PATH),
+    swarmKeyPath: cfg.swarmKey ? path.resolve(cfg.swarmKey) : null,
+    initScriptPath: dockerInitScriptPath(),
+    ports: { swarm: parseInt(cfg.basePort), api: apiPort(cfg), gateway: gatewayPort(cfg) },
+    exposeGateway: !!cfg.exposeGateway,
+    enableGc: !!cfg.autoGc,
+    labels: { 'ipfs-swarm-cli.profile': profile, 'ipfs-swarm-cli.node-type': cfg.nodeType },
+  });
+  console.log(chalk.green(`Container ${containerName()} created`));
+};
+
+const dockerNodeState = async () => {
+  const info = await docker().inspectContainer(containerName());
+  if (!info) return null;
+  return { status: info.State.Status, running: info.State.Running, image: info.Config.Image };
+};
+
+/* ---------- service management ---------- */
+const serviceManager = () => (platform === 'darwin' ? 'launchd' : 'systemd');
 
-  // Add custom bootstrap if this is not a bootstrap node
-  if (cfg.nodeType === 'regular' && cfg.bootstrapMultiaddr) {
-    await execLive('ipfs', ['bootstrap', 'add', cfg.bootstrapMultiaddr]);
+const resolveIpfsBinary = () => findIpfsBinary() || path.join(KUBO_SYSTEM_DIR, 'ipfs');
+
+// node plus this script: services run the daemon through `run-daemon`
+const daemonRunner = () => [process.execPath, path.resolve(__filename)];
+
+// Definition text plus where it goes, without touching the system
+const buildService = (cfg, scope) => {
+  const manager = serviceManager();
+  const options = {
+    profile,
+    scope,
+    runner: daemonRunner(),
+    ipfsBinary: resolveIpfsBinary(),
+    ipfsPath: path.resolve(IPFS_PATH),
+    user: os.userInfo().username,
+    tailscale: cfg.networkType === 'tailscale',
+    enableGc: !!cfg.autoGc,
+  };
+  return {
+    manager,
+    scope,
+    name: manager === 'launchd' ? launchdLabel(profile) : `${serviceName(profile)}.service`,
+    file: serviceFile({ manager, scope, profile }),
+    text: manager === 'launchd' ? renderLaunchdPlist(options) : renderSystemdUnit(options),
+  };
+};
+
+// [cmd, args] pairs, so --dry-run can print exactly what would run
+const systemctlCommand = (service, ...args) =>
+  service.scope === 'system' ? ['sudo', ['systemctl', ...args]] : ['systemctl', ['--user', ...args]];
+
+const launchctlCommand = (service, ...args) =>
+  service.scope === 'system' ? ['sudo', ['launchctl', ...args]] : ['launchctl', args];
+
+const serviceStartCommands = (service) =>
+  service.manager === 'launchd'
+    ? [launchctlCommand(service, 'load', '-w', service.file)]
+    : [systemctlCommand(service, 'start', service.name)];
+
+// Without -w: a plain stop must not disable the job at boot, only uninstall does
+const serviceStopCommands = (service) =>
+  service.manager === 'launchd'
+    ? [launchctlCommand(service, 'unload', service.file)]
+    : [systemctlCommand(service, 'stop', service.name)];
+
+const serviceInstallCommands = (service) =>
+  service.manager === 'launchd'
+    ? []
+    : [systemctlCommand(service, 'daemon-reload'), systemctlCommand(service, 'enable', service.name)];
+
+const serviceUninstallCommands = (service) =>
+  service.manager === 'launchd'
+    ? [launchctlCommand(service, 'unload', '-w', service.file)]
+    : [systemctlCommand(service, 'disable', '--now', service.name), systemctlCommand(service, 'daemon-reload')];
+
+const runCommands = async (commands) => {
+  for (const [cmd, args] of commands) {
+    await execLive(cmd, args);
   }
+};
 
-  console.log(chalk.green('IPFS configured for private swarm'));
+// System-scope files need root; user-scope files are written directly
+const writeServiceFile = async (service) => {
+  if (service.scope === 'system') {
+    const tmp = path.join(os.tmpdir(), path.basename(service.file));
+    fs.writeFileSync(tmp, service.text);
+    await execLive('sudo', ['cp', tmp, service.file]);
+    fs.unlinkSync(tmp);
+  } else {
+    fs.mkdirSync(path.dirname(service.file), { recursive: true });
+    fs.writeFileSync(service.file, service.text);
+  }
+};
+
+const removeServiceFile = async (service) => {
+  if (!exists(service.file)) return;
+  if (service.scope === 'system') await execLive('sudo', ['rm', '-f', service.file]);
+  else fs.unlinkSync(service.file);
+};
+
+const serviceState = (service) => {
+  if (service.manager === 'launchd') {
+    const result = execSilent('launchctl', ['list', service.name]);
+    return result.success ? 'loaded' : 'not loaded';
+  }
+  const args = service.scope === 'system' ? ['is-active', service.name] : ['--user', 'is-active', service.name];
+  const result = execSilent('systemctl', args);
+  return result.success ? result.stdout.trim() : 'inactive';
 };
 
 /* ---------- daemon management ---------- */
-const isDaemonRunning = async () => {
-  const result = execSilent('ipfs', ['swarm', 'peers']);
-  return result.success;
+// Profiles whose daemon answered during this command (see peer registry)
+const contactedProfiles = new Set();
+
+const isDaemonRunning = async (cfg) => {
+  try {
+    await rpcClient(cfg).id();
+    contactedProfiles.add(profile);
+    return true;
+  } catch {
+    return false;
+  }
 };
 
 const getPeerId = async () => {
-  const result = execSilent('ipfs', ['id']);
-  if (result.success) {
-    try {
-      const data = JSON.parse(result.stdout);
-      return data.ID;
-    } catch (e) {
-      throw new Error('Failed to parse peer ID');
-    }
+  try {
+    const { id } = await rpcClient().id();
+    return id;
+  } catch (e) {
+    throw new Error(`Failed to get peer ID: ${e.message}`);
   }
-  
-  const templateResult = execSilent('ipfs', ['id', '-f', '<id>']);
-  if (templateResult.success) {
-    return templateResult.stdout.trim();
+};
+
+const isPidAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
   }
-  
-  throw new Error('Failed to get peer ID');
 };
 
-const waitForDaemon = async (maxWait = 15000) => {
+// Gives up early when the spawned process (pid) has already exited
+const waitForDaemon = async (maxWait = 15000, pid = null, { quiet = false } = {}) => {
   const startTime = Date.now();
-  console.log(chalk.yellow('Waiting for daemon to start...'));
+  if (!quiet) console.log(chalk.yellow('Waiting for daemon to start...'));
   
   while (Date.now() - startTime < maxWait) {
     if (await isDaemonRunning()) {
       return true;
     }
+    if (pid && !isPidAlive(pid)) {
+      break;
+    }
     await new Promise(resolve => setTimeout(resolve, 1000));
-    process.stdout.write('.');
+    if (!quiet) process.stdout.write('.');
   }
-  console.log('');
+  if (!quiet) console.log('');
   return false;
 };
 
-const killDaemon = async () => {
+const readDaemonPid = () => {
+  if (!exists(PID_PATH)) return null;
+  const pid = parseInt(fs.readFileSync(PID_PATH, 'utf8'));
+  return isNaN(pid) ? null : pid;
+};
+
+const killDaemon = async (cfg = loadCfg()) => {
+  if (cfg.service) {
+    await runCommands(serviceStopCommands(cfg.service));
+    return;
+  }
+
+  if (isDockerNode(cfg)) {
+    await docker().stopContainer(containerName());
+    return;
+  }
+
   try {
-    const result = execSilent('ipfs', ['shutdown']);
-    if (result.success) return;
+    await rpcClient(cfg).shutdown();
+    if (exists(PID_PATH)) fs.unlinkSync(PID_PATH);
+    return;
   } catch {}
   
-  try {
-    execSilent('pkill', ['-f', 'ipfs daemon']);
-  } catch {}
+  // Only signal the daemon this profile started, never other profiles' daemons
+  const pid = readDaemonPid();
+  if (pid) {
+    try {
+      process.kill(pid, 'SIGTERM');
+    } catch {}
+    fs.unlinkSync(PID_PATH);
+  }
   
   await new Promise(resolve => setTimeout(resolve, 1000));
 };
 
-const getExternalIP = async () => {
+// Starts a detached `ipfs daemon` for the current profile through `run-daemon`,
+// which keeps LOG_PATH rotated while it runs. PID_PATH holds the runner's pid.
+const spawnDaemon = (cfg = loadCfg()) => {
+  // spawn() reports a missing binary asynchronously, as an unhandled 'error' event
+  if (!findIpfsBinary()) throw new Error("ipfs is not installed – run 'ipfs-swarm-cli init'");
+  const [node, script] = daemonRunner();
+  const args = [script, '--profile', profile, 'run-daemon', '--ipfs', ipfsBin(), ...(cfg.autoGc ? ['--enable-gc'] : [])];
+  const daemonProcess = spawn(node, args, {
+    detached: true,
+    stdio: 'ignore',
+    env: ipfsEnv(),
+  });
+  
+  daemonProcess.unref();
+  fs.writeFileSync(PID_PATH, String(daemonProcess.pid));
+  return daemonProcess.pid;
+};
+
+const readDaemonLog = async (cfg, lines) => {
+  if (isDockerNode(cfg) && !cfg.service) {
+    return docker().containerLogs(containerName(), { tail: lines });
+  }
+  return readLastLines(LOG_PATH, lines);
+};
+
+// Prints the tail of the daemon log and what it most likely means
+const reportStartupFailure = async (cfg) => {
+  let lines = [];
   try {
-    const result = execSilent('curl', ['-s', '--max-time', '5', 'https://api.ipify.org']);
-    return result.success ? result.stdout.trim() : null;
-  } catch {
+    lines = await readDaemonLog(cfg, 20);
+  } catch (e) {
+    console.log(chalk.gray(`Could not read daemon output: ${e.message}`));
+  }
+
+  if (lines.length > 0) {
+    console.log(chalk.yellow('\n📜 Last daemon output:'));
+    lines.forEach((line) => console.log(chalk.gray(`  ${line}`)));
+  }
+
+  const problems = diagnoseStartup(lines);
+  if (problems.length === 0) {
+    console.log(chalk.yellow(`\nNo known cause detected. Full log: ${isDockerNode(cfg) ? `docker logs ${containerName()}` : LOG_PATH}`));
+    return;
+  }
+  console.log(chalk.yellow('\n🩺 Likely cause:'));
+  problems.forEach((problem) => {
+    console.log(chalk.red(`  • ${problem.title}`));
+    console.log(chalk.white(`    ${problem.hint}`));
+  });
+};
+
+// Starts the node's daemon (service, container or detached process); does not wait for it.
+// Returns the pid when a detached process was spawned.
+const startDaemon = async (cfg) => {
+  if (cfg.service) {
+    await runCommands(serviceStartCommands(cfg.service));
+    return null;
+  }
+
+  if (isDockerNode(cfg)) {
+    if (!(await dockerNodeState())) {
+      throw new Error(`Container ${containerName()} not found. Run 'ipfs-swarm-cli init --docker' first`);
+    }
+    await docker().startContainer(containerName());
     return null;
   }
+
+  // Kill any existing daemon
+  await killDaemon(cfg);
+  return spawnDaemon(cfg);
 };
 
-/* ---------- commands ---------- */
-program
+// Services and containers are stopped first, plain daemons are replaced by startDaemon
+const restartDaemon = async (cfg) => {
+  if (cfg.service || isDockerNode(cfg)) await killDaemon(cfg);
+  const pid = await startDaemon(cfg);
+  if (!(await waitForDaemon(20000, pid, { quiet: true }))) return false;
+  cfg.lastStarted = new Date().toISOString();
+  saveCfg(cfg);
+  return true;
+};
+
+const getExternalIP = async () => {
+  try {
+    const result = execSilent('curl', ['-s', '--max-time', '5', 'https://api.ipify.org']);
+    const ip = result.success ? result.stdout.trim() : '';
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(ip) ? ip : null;
+  } catch {
+    return null;
+  }
+};
+
+const getLanIPs = () =>
+  Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && (iface.family === 'IPv4' || iface.family === 4) && !iface.internal)
+    .map((iface) => iface.address);
+
+/* ---------- join tokens ---------- */
+// Every address other nodes might reach us on, most specific first
+const shareableMultiaddrs = async (cfg, peerId) => {
+  const ips = [];
+  if (cfg.networkType === 'tailscale') {
+    const tailscaleIP = getTailscaleStatus().ip || cfg.tailscaleIP;
+    if (tailscaleIP) ips.push(tailscaleIP);
+  }
+  const externalIP = await getExternalIP();
+  if (externalIP) ips.push(externalIP);
+  ips.push(...getLanIPs());
+  return [...new Set(ips)].map((ip) => `/ip4/${ip}/tcp/${cfg.basePort}/p2p/${peerId}`);
+};
+
+const probeTcp = (host, port, timeout = 3000) =>
+  new Promise((resolve) => {
+    const socket = net.connect({ host, port, timeout });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.once('connect', () => done(true));
+    socket.once('timeout', () => done(false));
+    socket.once('error', () => done(false));
+  });
+
+// Bootstrap addresses whose TCP port answers first, unreachable ones after
+const orderBootstrapAddrs = async (addrs) => {
+  const reachable = [];
+  const unreachable = [];
+  for (const addr of addrs) {
+    const parsed = multiaddrProblem(addr) ? null : parseMultiaddr(addr);
+    const tcp = parsed && parsed.host && parsed.transport === 'tcp';
+    if (tcp && (await probeTcp(parsed.host, parsed.port))) reachable.push(addr);
+    else unreachable.push(addr);
+  }
+  return [...reachable, ...unreachable];
+};
+
+// Passphrases are prompted for or taken from the environment, never from
+// argv, where ps and the shell history would show them
+const PASSPHRASE_ENV = 'IPFS_SWARM_PASSPHRASE';
+
+const promptPassphrase = async (message) => {
+  const { passphrase } = await inquirer.prompt([
+    { type: 'password', name: 'passphrase', message, mask: '*' },
+  ]);
+  return passphrase;
+};
+
+// Decodes a join token, stores its swarm key as this profile's key and picks a bootstrap
+// With dryRun the key is only checked, not written
+const resolveInvite = async (token, { dryRun = false } = {}) => {
+  const passphrase = isEncryptedInvite(token)
+    ? process.env[PASSPHRASE_ENV] || (await promptPassphrase('Token passphrase:'))
+    : null;
+  const invite = parseInviteToken(token, { passphrase });
+
+  const keyText = formatSwarmKey(invite.swarmKeyHex);
+  if (!dryRun) {
+    if (!exists(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    if (exists(SWARM_KEY_PATH) && keyFileFingerprint(SWARM_KEY_PATH) !== fingerprint(keyText)) {
+      archiveSwarmKey();
+    }
+    fs.writeFileSync(SWARM_KEY_PATH, keyText);
+    fs.chmodSync(SWARM_KEY_PATH, 0o600);
+  }
+
+  return {
+    ...invite,
+    swarmKeyPath: SWARM_KEY_PATH,
+    swarmKeyFingerprint: fingerprint(keyText),
+    bootstrapMultiaddrs: await orderBootstrapAddrs(invite.bootstrapAddrs),
+  };
+};
+
+/* ---------- bootstrap management ---------- */
+const printBootstrapShareInfo = async (cfg, peerId) => {
+  const localMultiaddr = `/ip4/127.0.0.1/tcp/${cfg.basePort}/p2p/${peerId}`;
+  console.log(chalk.yellow('\n🚀 Bootstrap Node Ready:'));
+  console.log(chalk.white(`  Local: ${localMultiaddr}`));
+  
+  if (cfg.networkType === 'tailscale' && cfg.tailscaleIP) {
+    const tailscaleMultiaddr = `/ip4/${cfg.tailscaleIP}/tcp/${cfg.basePort}/p2p/${peerId}`;
+    console.log(chalk.white(`  Tailscale: ${tailscaleMultiaddr}`));
+    console.log(chalk.green('\n📋 Share this information with other nodes:'));
+    console.log(chalk.white(`  Swarm Key: ${cfg.swarmKey}`));
+    console.log(chalk.white(`  Bootstrap Address: ${tailscaleMultiaddr}`));
+  } else {
+    const externalIP = await getExternalIP();
+    if (externalIP) {
+      const externalMultiaddr = `/ip4/${externalIP}/tcp/${cfg.basePort}/p2p/${peerId}`;
+      console.log(chalk.white(`  External: ${externalMultiaddr}`));
+      console.log(chalk.green('\n📋 Share this information with other nodes:'));
+      console.log(chalk.white(`  Swarm Key: ${cfg.swarmKey}`));
+      console.log(chalk.white(`  Bootstrap Address: ${externalMultiaddr}`));
+    }
+  }
+};
+
+// Makes Kubo's bootstrap list match cfg.bootstrapMultiaddrs
+const syncBootstrapList = async (cfg) => {
+  if (await isDaemonRunning()) {
+    const rpc = rpcClient(cfg);
+    const current = await rpc.bootstrapList();
+    for (const addr of current.filter((a) => !cfg.bootstrapMultiaddrs.includes(a))) {
+      await rpc.bootstrapRemove(addr);
+    }
+    for (const addr of cfg.bootstrapMultiaddrs.filter((a) => !current.includes(a))) {
+      await rpc.bootstrapAdd(addr);
+    }
+  } else if (!isDockerNode(cfg) && isIpfsInitialized()) {
+    await execLive(ipfsBin(), ['bootstrap', 'rm', '--all']);
+    for (const addr of cfg.bootstrapMultiaddrs) {
+      await execLive(ipfsBin(), ['bootstrap', 'add', addr]);
+    }
+  }
+
+  // Containers re-apply the init script on every start
+  if (isDockerNode(cfg) && exists(dockerInitScriptPath())) {
+    writeDockerInitScript(cfg);
+  }
+};
+
+/* ---------- peer registry ---------- */
+// Each profile keeps peers.json. Commands that reached a daemon refresh its
+// registry when they finish (postAction hook), so sightings accumulate
+// without a separate poller.
+const peerRegistryPath = () => path.join(CONFIG_DIR, 'peers.json');
+
+const transportOf = (addr) => {
+  try {
+    return parseMultiaddr(addr).transport;
+  } catch {
+    return null;
+  }
+};
+
+// Agent versions cost one lookup per peer, so by default only new peers get one
+const refreshPeerRegistry = async ({ refreshAgents = false } = {}) => {
+  const rpc = rpcClient();
+  const peers = await rpc.swarmPeers({ verbose: true });
+  const registry = loadRegistry(peerRegistryPath());
+  const snapshot = [];
+  for (const peer of peers) {
+    const known = registry.peers[peer.peer];
+    let agentVersion = null;
+    if (refreshAgents || !known || !known.agentVersion) {
+      try {
+        agentVersion = (await rpc.id(peer.peer)).agentVersion || null;
+      } catch {}
+    }
+    snapshot.push({ ...peer, transport: transportOf(peer.addr), agentVersion });
+  }
+  recordPeers(registry, snapshot);
+  saveRegistry(peerRegistryPath(), registry);
+  return registry;
+};
+
+// peer ID -> alias, for listings that should show names
+const peerAliases = () => {
+  try {
+    const { peers } = loadRegistry(peerRegistryPath());
+    return Object.fromEntries(Object.entries(peers).filter(([, entry]) => entry.alias).map(([peerId, entry]) => [peerId, entry.alias]));
+  } catch {
+    return {};
+  }
+};
+
+const formatSeen = (iso) => (iso ? iso.slice(0, 16).replace('T', ' ') : '—');
+
+// Accepts an alias, a known peer ID, or a valid peer ID not seen yet
+const resolvePeerOrExit = (registry, ref) => {
+  const peerId = resolvePeer(registry, ref);
+  if (peerId) return peerId;
+  try {
+    validatePeerId(ref);
+    return ref;
+  } catch {
+    console.error(chalk.red(`Error: '${ref}' is neither a known alias nor a peer ID`));
+    process.exit(1);
+  }
+};
+
+const collectPeers = async ({ label = null, connectedOnly = false } = {}) => {
+  const running = await isDaemonRunning();
+  let registry;
+  let error = null;
+  try {
+    registry = running ? await refreshPeerRegistry({ refreshAgents: true }) : loadRegistry(peerRegistryPath());
+  } catch (e) {
+    registry = loadRegistry(peerRegistryPath());
+    error = e.message;
+  }
+  const peers = Object.entries(registry.peers)
+    .filter(([, entry]) => !label || entry.labels.includes(label))
+    .filter(([, entry]) => !connectedOnly || entry.connected)
+    .map(([peerId, { history, ...entry }]) => ({ peerId, ...entry, disconnects: history.filter((event) => event.event === 'disconnected').length }))
+    .sort((a, b) => Number(b.connected) - Number(a.connected) || (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+  return { ok: !error, profile, daemon: { running }, peers, error };
+};
+
+const renderPeers = (data) => {
+  if (!data.daemon.running) console.log(chalk.yellow('⚠️  IPFS daemon is not running – showing the last recorded state'));
+  if (data.error) console.log(chalk.red(`Failed to refresh peers: ${data.error}`));
+  if (data.peers.length === 0) {
+    console.log(chalk.yellow('No peers recorded yet'));
+    return;
+  }
+
+  const rows = data.peers.map((peer) => [
+    peer.connected ? '🟢' : '⚪',
+    peer.alias || '—',
+    peer.peerId,
+    peer.labels.join(',') || '—',
+    peer.agentVersion || '—',
+    peer.connected ? peer.latency || '—' : '—',
+    peer.connected ? peer.direction || '—' : '—',
+    peer.transport || '—',
+    formatSeen(peer.firstSeen),
+    formatSeen(peer.lastSeen),
+  ]);
+  console.log(chalk.cyan(`👥 Known peers (${data.peers.filter((peer) => peer.connected).length}/${data.peers.length} connected):`));
+  printTable(['', 'Alias', 'Peer ID', 'Labels', 'Agent', 'Latency', 'Direction', 'Transport', 'First seen', 'Last seen'], rows);
+};
+
+const renderPeerHistory = (data) => {
+  console.log(chalk.cyan(`🕘 Connection history of ${data.alias ? `${data.alias} (${data.peerId})` : data.peerId}:`));
+  if (data.history.length === 0) {
+    console.log(chalk.yellow('  No connections recorded yet'));
+    return;
+  }
+  data.history.forEach((event) => {
+    if (event.event === 'connected') {
+      console.log(chalk.green(`  ${formatSeen(event.at)}  🟢 connected     ${chalk.gray(event.addr || '')}`));
+    } else {
+      console.log(chalk.red(`  ${formatSeen(event.at)}  🔴 disconnected  ${chalk.gray(`last seen ${formatSeen(event.since)}`)}`));
+    }
+  });
+  console.log(chalk.white(`\n${data.disconnects} disconnect(s) recorded, currently ${data.connected ? 'connected' : 'disconnected'}`));
+};
+
+/* ---------- watch ---------- */
+// Long-running supervisor: one tick per interval. Conditions (daemon down,
+// few peers, Tailscale down) are reported once when they start and once when
+// they clear; repair attempts back off exponentially between ticks.
+const WATCH_ICONS = { info: '✅', warn: '⚠️ ', error: '❌' };
+const WATCH_COLORS = { info: chalk.green, warn: chalk.yellow, error: chalk.red };
+const HOOK_TIMEOUT = 30000;
+
+const watchLogPath = () => path.join(CONFIG_DIR, 'watch.log');
+
+const createBackoff = (base, max) => {
+  let delay = 0;
+  let nextAt = 0;
+  return {
+    ready: (now) => now >= nextAt,
+    // Returns the wait before the next attempt
+    fail: (now) => {
+      delay = delay ? Math.min(delay * 2, max) : base;
+      nextAt = now + delay;
+      return delay;
+    },
+    reset: () => {
+      delay = 0;
+      nextAt = 0;
+    },
+  };
+};
+
+// Event JSON on stdin, the essentials in IPFS_SWARM_* variables
+const runHookCommand = (command, event) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'ignore'],
+      env: {
+        ...process.env,
+        IPFS_SWARM_EVENT: event.event,
+        IPFS_SWARM_LEVEL: event.level,
+        IPFS_SWARM_MESSAGE: event.message,
+        IPFS_SWARM_PROFILE: event.profile,
+      },
+    });
+    const timer = setTimeout(() => {
+      child.kill('SIGTERM');
+      reject(new Error(`timed out after ${HOOK_TIMEOUT / 1000}s`));
+    }, HOOK_TIMEOUT);
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`exited with code ${code}`));
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event));
+  });
+
+const postWebhook = async (url, event) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    body: JSON.stringify(event),
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000,
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+};
+
+// notify(level, event, message, details): log file, terminal, then the hooks
+const createNotifier = ({ webhook, exec }) => {
+  // Rotated by size while watch runs, like the daemon log
+  const log = createRotatingLog(watchLogPath());
+  const write = (event) => {
+    log.write(`${event.time} [${event.level}] ${event.event}: ${event.message}\n`);
+    if (jsonMode) console.log(JSON.stringify(event));
+    else console.log(WATCH_COLORS[event.level](`${formatSeen(event.time)}  ${WATCH_ICONS[event.level]} ${event.message}`));
+  };
+
+  return async (level, name, message, details = {}) => {
+    const event = { time: new Date().toISOString(), profile, level, event: name, message, ...details };
+    write(event);
+    const hooks = [];
+    if (webhook) hooks.push(['webhook', () => postWebhook(webhook, event)]);
+    if (exec) hooks.push(['command hook', () => runHookCommand(exec, event)]);
+    for (const [kind, run] of hooks) {
+      try {
+        await run();
+      } catch (e) {
+        // Not passed to the hooks again, a broken hook would only report itself
+        write({ time: new Date().toISOString(), profile, level: 'warn', event: 'hook-failed', message: `${kind} failed: ${e.message}` });
+      }
+    }
+  };
+};
+
+const peerIdOf = (addr) => {
+  try {
+    return parseMultiaddr(addr).peerId;
+  } catch {
+    return null;
+  }
+};
+
+const watchDaemon = async (cfg, state, options, notify) => {
+  if (await isDaemonRunning()) {
+    if (state.daemonDown) {
+      state.daemonDown = false;
+      state.restartBackoff.reset();
+      await notify('info', 'daemon-up', 'IPFS daemon is responding again');
+    }
+    return true;
+  }
+
+  if (!state.daemonDown) {
+    state.daemonDown = true;
+    await notify('error', 'daemon-down', 'IPFS daemon is not responding');
+  }
+  const now = Date.now();
+  if (!options.restart || !state.restartBackoff.ready(now)) return false;
+
+  try {
+    if (!(await restartDaemon(cfg))) throw new Error('daemon did not come up');
+    state.daemonDown = false;
+    state.restartBackoff.reset();
+    await notify('info', 'daemon-restarted', 'IPFS daemon restarted');
+    return true;
+  } catch (e) {
+    const retryInSec = state.restartBackoff.fail(now) / 1000;
+    await notify('error', 'daemon-restart-failed', `Restart failed: ${e.message} – retrying in ${retryInSec}s`, { retryInSec });
+    return false;
+  }
+};
+
+// Mirrors what init and start check: Tailscale up, bootstraps reachable, our address announced
+const watchTailscale = async (cfg, state, notify) => {
+  const status = getTailscaleStatus();
+  if (!status.running) {
+    if (!state.tailscaleDown) {
+      state.tailscaleDown = true;
+      await notify('error', 'tailscale-down', 'Tailscale is not running (sudo tailscale up)');
+    }
+    return;
+  }
+  if (state.tailscaleDown) {
+    state.tailscaleDown = false;
+    await notify('info', 'tailscale-up', `Tailscale is running again (${status.ip})`);
+  }
+  if (!status.ip || status.ip === cfg.tailscaleIP) return;
+
+  // Reported once per new address; the update is retried until it succeeds
+  if (state.tailscaleIpSeen !== status.ip) {
+    state.tailscaleIpSeen = status.ip;
+    state.announceBackoff.reset();
+    await notify('warn', 'tailscale-ip-changed', `Tailscale IP changed from ${cfg.tailscaleIP || '(none)'} to ${status.ip}`, {
+      from: cfg.tailscaleIP,
+      to: status.ip,
+    });
+    for (const addr of cfg.bootstrapMultiaddrs) {
+      const { host, hostProtocol } = parseMultiaddr(addr);
+      if (['ip4', 'ip6'].includes(hostProtocol) && !pingHost(host)) {
+        await notify('warn', 'tailscale-unreachable', `Bootstrap ${host} does not answer over Tailscale`, { host });
+      }
+    }
+  }
+  const now = Date.now();
+  if (!state.announceBackoff.ready(now)) return;
+
+  // Kubo only reads Addresses.Announce at startup. The new IP is saved only
+  // once the daemon announces it, so a failed update is tried again.
+  const next = { ...cfg, tailscaleIP: status.ip };
+  try {
+    const [, announce] = desiredIpfsConfig(next, { listenHost: ipfsListenHost(next) }).find(([key]) => key === 'Addresses.Announce');
+    if (isDockerNode(next)) writeDockerInitScript(next);
+    else await rpcClient(next).configSet('Addresses.Announce', announce, { json: true });
+    if (!(await restartDaemon(next))) throw new Error('daemon did not come up');
+    saveCfg(next);
+    state.announceBackoff.reset();
+    await notify('info', 'daemon-restarted', `IPFS daemon restarted to announce ${status.ip}`);
+  } catch (e) {
+    const retryInSec = state.announceBackoff.fail(now) / 1000;
+    await notify('error', 'announce-update-failed', `Could not announce the new Tailscale IP: ${e.message} – retrying in ${retryInSec}s`, { retryInSec });
+  }
+};
+
+const watchPeers = async (cfg, state, options, notify) => {
+  const rpc = rpcClient(cfg);
+  let peers;
+  try {
+    peers = await rpc.swarmPeers();
+  } catch (e) {
+    await notify('warn', 'peers-failed', `Failed to list peers: ${e.message}`);
+    return;
+  }
+  try {
+    await refreshPeerRegistry();
+  } catch {}
+
+  if (peers.length >= options.minPeers) {
+    if (state.peersLow) {
+      state.peersLow = false;
+      state.reconnectBackoff.reset();
+      await notify('info', 'peers-recovered', `${peers.length} peer(s) connected`, { peers: peers.length });
+    }
+    return;
+  }
+  if (!state.peersLow) {
+    state.peersLow = true;
+    await notify('warn', 'peers-low', `${peers.length} peer(s) connected, minimum is ${options.minPeers}`, {
+      peers: peers.length,
+      minPeers: options.minPeers,
+    });
+  }
+
+  const connectedIds = new Set(peers.map((peer) => peer.peer));
+  const targets = cfg.bootstrapMultiaddrs.filter((addr) => !connectedIds.has(peerIdOf(addr)));
+  const now = Date.now();
+  if (targets.length === 0 || !state.reconnectBackoff.ready(now)) return;
+
+  const failed = [];
+  for (const addr of targets) {
+    try {
+      await rpc.swarmConnect(addr);
+      await notify('info', 'reconnected', `Reconnected to bootstrap ${addr}`, { addr });
+    } catch (e) {
+      failed.push({ addr, error: e.message });
+    }
+  }
+  if (failed.length < targets.length) {
+    state.reconnectBackoff.reset();
+    return;
+  }
+  const retryInSec = state.reconnectBackoff.fail(now) / 1000;
+  await notify('warn', 'reconnect-failed', `No bootstrap reachable (${failed.length} tried) – retrying in ${retryInSec}s`, {
+    failed,
+    retryInSec,
+  });
+};
+
+const watchTick = async (state, options, notify) => {
+  const cfg = loadCfg();
+  if (!(await watchDaemon(cfg, state, options, notify))) return;
+  if (cfg.networkType === 'tailscale') await watchTailscale(cfg, state, notify);
+  await watchPeers(cfg, state, options, notify);
+};
+
+/* ---------- probe ---------- */
+// Other nodes cannot be told to fetch over libp2p, so every probed peer needs
+// an RPC endpoint: given with --rpc, taken from the node list, or found among
+// this host's other profiles.
+const PROBE_FILE_NAME = 'ipfs-swarm-probe.bin';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const failedTransfer = (error) => ({ ok: false, ttfbMs: null, durationMs: null, bytes: 0, throughputBps: null, error });
+
+// Streams a CID through a node's RPC API, timing the first byte and the whole transfer
+const timedCat = async (rpc, cid, { timeout, expectedHash }) => {
+  const startTime = Date.now();
+  const hash = crypto.createHash('sha256');
+  let ttfbMs = null;
+  let bytes = 0;
+  try {
+    const stream = await rpc.catStream(cid, { timeout });
+    for await (const chunk of stream) {
+      if (ttfbMs === null) ttfbMs = Date.now() - startTime;
+      bytes += chunk.length;
+      hash.update(chunk);
+    }
+  } catch (e) {
+    return { ...failedTransfer(e.message), ttfbMs, durationMs: Date.now() - startTime, bytes };
+  }
+  const durationMs = Date.now() - startTime;
+  const ok = hash.digest('hex') === expectedHash;
+  return {
+    ok,
+    ttfbMs,
+    durationMs,
+    bytes,
+    throughputBps: Math.round((bytes * 1000) / Math.max(durationMs, 1)),
+    error: ok ? null : 'Content mismatch',
+  };
+};
+
+// RPC endpoints of this host's other profiles (their daemons may be down)
+const otherProfileEndpoints = async () => {
+  const urls = [];
+  for (const name of listProfiles().filter((other) => other !== profile)) {
+    // As in `profiles`: an invalid config.json leaves that profile out instead of ending the probe
+    const { cfg, problems } = readCfgFile(path.join(profileDir(name), 'config.json'));
+    if (problems.length > 0) continue;
+    urls.push(await withProfile(name, () => localApiUrl(cfg)));
+  }
+  return urls;
+};
+
+const collectProbe = async (cfg, { endpoints = [], size, timeout }) => {
+  if (!(await isDaemonRunning())) return daemonDown();
+
+  const rpc = rpcClient(cfg);
+  const explicit = endpoints.length > 0;
+  const data = { ok: false, profile, daemon: { running: true }, cid: null, size, peers: [], unprobedPeers: [], error: null };
+
+  let connected;
+  let self;
+  try {
+    connected = await rpc.swarmPeers();
+    self = (await rpc.id()).id;
+    const content = crypto.randomBytes(size);
+    data.cid = (await rpc.add(content, { name: PROBE_FILE_NAME, pin: false })).cid;
+    data.expectedHash = sha256(content);
+  } catch (e) {
+    data.error = e.message;
+    return data;
+  }
+  const connectedIds = new Set(connected.map((peer) => peer.peer));
+
+  for (const url of explicit ? endpoints : await otherProfileEndpoints()) {
+    const remote = createRpcClient({ url, timeout });
+    let peerId;
+    try {
+      peerId = (await remote.id()).id;
+    } catch (e) {
+      // Discovered profiles whose daemon is down are simply not part of the probe
+      if (explicit) data.peers.push({ peerId: null, endpoint: url, connected: false, fetch: failedTransfer(e.message), reverse: null });
+      continue;
+    }
+    // Discovered profiles may belong to another swarm
+    if (peerId === self || (!explicit && !connectedIds.has(peerId))) continue;
+
+    const forward = await timedCat(remote, data.cid, { timeout, expectedHash: data.expectedHash });
+    // Reverse direction: content published over there must be retrievable here
+    let reverse;
+    try {
+      const content = crypto.randomBytes(size);
+      const published = await remote.add(content, { name: PROBE_FILE_NAME, pin: false });
+      reverse = await timedCat(rpc, published.cid, { timeout, expectedHash: sha256(content) });
+    } catch (e) {
+      reverse = failedTransfer(e.message);
+    }
+    data.peers.push({ peerId, endpoint: url, connected: connectedIds.has(peerId), fetch: forward, reverse });
+  }
+  delete data.expectedHash;
+
+  const probed = new Set(data.peers.map((peer) => peer.peerId));
+  data.unprobedPeers = [...connectedIds].filter((peerId) => !probed.has(peerId));
+
+  if (data.peers.length === 0) {
+    data.error = connected.length === 0
+      ? 'No connected peers'
+      : 'None of the connected peers has a known RPC endpoint (pass them with --rpc)';
+  } else {
+    // A peer that was not probed may be the one that cannot serve the block
+    data.ok = data.unprobedPeers.length === 0 && data.peers.every((peer) => peer.fetch.ok && peer.reverse && peer.reverse.ok);
+  }
+  return data;
+};
+
+const formatTransfer = (transfer) => {
+  if (!transfer) return ['—', '', ''];
+  if (!transfer.ok) return ['❌', '', ''];
+  return ['✅', `${transfer.ttfbMs} ms`, `${formatBytes(transfer.throughputBps)}/s`];
+};
+
+const renderProbe = (data) => {
+  if (!data.daemon.running) {
+    renderDaemonDown(data);
+    return;
+  }
+  if (data.cid) console.log(chalk.cyan(`🔎 Probe block ${data.cid} (${formatBytes(data.size)})`));
+
+  if (data.peers.length > 0) {
+    const rows = data.peers.map((peer) => [
+      peer.peerId || '?',
+      peer.endpoint,
+      ...formatTransfer(peer.fetch),
+      ...formatTransfer(peer.reverse),
+    ]);
+    printTable(['Peer', 'RPC', 'Fetch', 'TTFB', 'Throughput', 'Reverse', 'TTFB', 'Throughput'], rows);
+    data.peers.forEach((peer) => {
+      [['fetch', peer.fetch], ['reverse', peer.reverse]]
+        .filter(([, transfer]) => transfer && transfer.error)
+        .forEach(([direction, transfer]) => {
+          console.log(chalk.red(`  ${peer.peerId || peer.endpoint} ${direction}: ${transfer.error}`));
+        });
+    });
+  }
+  if (data.unprobedPeers.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  ${data.unprobedPeers.length} connected peer(s) without a known RPC endpoint were not probed (pass them with --rpc):`));
+    data.unprobedPeers.forEach((peerId) => console.log(chalk.yellow(`  ${peerId}`)));
+  }
+
+  const failed = data.peers.filter((peer) => !peer.fetch.ok || !peer.reverse || !peer.reverse.ok).length;
+  if (data.error) console.log(chalk.red(`\n❌ ${data.error}`));
+  else if (data.ok) console.log(chalk.green(`\n✅ All ${data.peers.length} peer(s) retrieved the block and served one back`));
+  else if (failed > 0) console.log(chalk.red(`\n❌ Retrieval failed for ${failed} peer(s)`));
+  else console.log(chalk.red(`\n❌ ${data.peers.length} probed peer(s) passed, but ${data.unprobedPeers.length} connected peer(s) were not probed`));
+};
+
+/* ---------- transfers ---------- */
+// add and get keep a state file per transfer so an interrupted run picks up
+// where it stopped instead of starting over.
+const transferStatePath = (kind, key) => path.join(CONFIG_DIR, 'transfers', `${kind}-${sha256(key).slice(0, 16)}.json`);
+
+const loadTransferState = (file) => (exists(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+
+const saveTransferState = (file, state) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+};
+
+const progressBar = (total, done) => {
+  const bar = new cliProgress.SingleBar({
+    format: '  {bar} {percentage}% | {done}/{total_size} | {file}',
+    hideCursor: true,
+  }, cliProgress.Presets.shades_classic);
+  let value = done;
+  bar.start(total, value, { done: formatBytes(value), total_size: formatBytes(total), file: '' });
+  return {
+    advance: (bytes, file) => {
+      value += bytes;
+      bar.update(value, { done: formatBytes(value), file });
+    },
+    stop: () => bar.stop(),
+  };
+};
+
+// Directories come before their contents; rel paths use '/' and start with the root's name
+const walkLocal = (abs, rel = path.basename(abs)) => {
+  const stat = fs.statSync(abs);
+  if (!stat.isDirectory()) return [{ rel, abs, type: 'file', size: stat.size, mtimeMs: stat.mtimeMs }];
+  const children = fs.readdirSync(abs).sort().flatMap((name) => walkLocal(path.join(abs, name), `${rel}/${name}`));
+  return [{ rel, abs, type: 'directory', size: 0 }, ...children];
+};
+
+// { name, cid, size, type, children } from flat add entries, given a CID per rel path
+const buildTree = (entries, cids, rootRel) => {
+  const node = (entry) => {
+    const children = entries
+      .filter((child) => path.posix.dirname(child.rel) === entry.rel && child.rel !== entry.rel)
+      .map(node);
+    const size = entry.type === 'file' ? entry.size : children.reduce((sum, child) => sum + child.size, 0);
+    return { name: path.posix.basename(entry.rel), cid: cids[entry.rel], size, type: entry.type, children };
+  };
+  return node(entries.find((entry) => entry.rel === rootRel));
+};
+
+const countFiles = (tree) => (tree.type === 'file' ? 1 : tree.children.reduce((sum, child) => sum + countFiles(child), 0));
+
+const printCidTree = (tree, { maxLines = 40 } = {}) => {
+  const label = (node) => `${node.name}${node.type === 'directory' ? '/' : ''}`;
+  console.log(chalk.cyan(`📦 ${tree.cid}  ${label(tree)} (${countFiles(tree)} file(s), ${formatBytes(tree.size)})`));
+  let printed = 0;
+  let hidden = 0;
+  const walk = (node, indent) => {
+    node.children.forEach((child, i) => {
+      const last = i === node.children.length - 1;
+      if (printed < maxLines) {
+        const size = child.type === 'file' ? `  ${formatBytes(child.size)}` : '';
+        console.log(chalk.white(`  ${indent}${last ? '└── ' : '├── '}${label(child)}  ${chalk.gray(child.cid)}${size}`));
+        printed++;
+      } else {
+        hidden++;
+      }
+      if (child.type === 'directory') walk(child, `${indent}${last ? '    ' : '│   '}`);
+    });
+  };
+  if (tree.type === 'directory') walk(tree, '');
+  if (hidden > 0) console.log(chalk.gray(`  … ${hidden} more entries`));
+};
+
+const addPath = async (cfg, target, { wrap = false, pin = true } = {}) => {
+  const rpc = rpcClient(cfg);
+  const abs = path.resolve(target);
+  if (!exists(abs)) throw new Error(`${target} does not exist`);
+
+  const entries = walkLocal(abs);
+  const files = entries.filter((entry) => entry.type === 'file');
+  const statePath = transferStatePath('add', abs);
+  const state = loadTransferState(statePath) || { path: abs, files: {} };
+
+  // Files changed since the interrupted run are added again
+  const isDone = (entry) => {
+    const previous = state.files[entry.rel];
+    return previous && previous.size === entry.size && previous.mtimeMs === entry.mtimeMs;
+  };
+  // Added files are not pinned until the end; a copy in MFS keeps GC away from
+  // them meanwhile, including between an interrupted run and its resume
+  const mfsBase = `/.ipfs-swarm-cli/${path.basename(statePath, '.json')}`;
+  const staged = (entry) => `${mfsBase}.staged/${entry.rel}`;
+  const isStaged = (entry) => rpc.filesStat(staged(entry)).then(() => true, () => false);
+  const pending = [];
+  for (const entry of files) {
+    if (!isDone(entry) || !(await isStaged(entry))) pending.push(entry);
+  }
+  if (pending.length < files.length) {
+    console.log(chalk.yellow(`Resuming: ${files.length - pending.length} of ${files.length} file(s) already added`));
+  }
+
+  const total = files.reduce((sum, entry) => sum + entry.size, 0);
+  const bar = progressBar(total, total - pending.reduce((sum, entry) => sum + entry.size, 0));
+  try {
+    for (const entry of pending) {
+      const added = await rpc.addStream(fs.createReadStream(entry.abs), {
+        name: path.posix.basename(entry.rel),
+        onChunk: (bytes) => bar.advance(bytes, entry.rel),
+      });
+      // A file changed since the interrupted run replaces its old staged copy
+      if (state.files[entry.rel]) await rpc.filesRm(staged(entry)).catch(() => {});
+      await rpc.filesCp(`/ipfs/${added.cid}`, staged(entry));
+      state.files[entry.rel] = { size: entry.size, mtimeMs: entry.mtimeMs, cid: added.cid };
+      saveTransferState(statePath, state);
+    }
+  } finally {
+    bar.stop();
+  }
+
+  const cids = Object.fromEntries(Object.entries(state.files).map(([rel, file]) => [rel, file.cid]));
+  const root = entries[0];
+  let wrapCid = null;
+  if (root.type === 'directory' || wrap) {
+    // Directories are assembled in MFS from the file CIDs, which gives the same CIDs as `ipfs add -r`
+    await rpc.filesRm(mfsBase).catch(() => {});
+    await rpc.filesMkdir(mfsBase);
+    try {
+      for (const entry of entries) {
+        if (entry.type === 'directory') await rpc.filesMkdir(`${mfsBase}/${entry.rel}`);
+        else await rpc.filesCp(`/ipfs/${cids[entry.rel]}`, `${mfsBase}/${entry.rel}`);
+      }
+      for (const entry of entries.filter((e) => e.type === 'directory')) {
+        cids[entry.rel] = (await rpc.filesStat(`${mfsBase}/${entry.rel}`)).cid;
+      }
+      if (wrap) wrapCid = (await rpc.filesStat(mfsBase)).cid;
+    } finally {
+      await rpc.filesRm(mfsBase).catch(() => {});
+    }
+  }
+
+  const inner = buildTree(entries, cids, root.rel);
+  const tree = wrap ? { name: '', cid: wrapCid, size: inner.size, type: 'directory', children: [inner] } : inner;
+
+  if (pin) await rpc.pinAdd(tree.cid);
+  await rpc.filesRm(`${mfsBase}.staged`).catch(() => {});
+  // No state file when there was nothing to add (empty directory)
+  fs.rmSync(statePath, { force: true });
+  return tree;
+};
+
+// Remote tree of a CID via files/stat + ls
+const fetchCidTree = async (rpc, cid, name) => {
+  const stat = await rpc.filesStat(`/ipfs/${cid}`);
+  const walk = async (node) => {
+    if (node.type === 'directory') {
+      node.children = [];
+      for (const link of await rpc.ls(node.cid)) {
+        node.children.push(await walk({ name: link.name, cid: link.cid, size: link.size, type: link.type, children: [] }));
+      }
+      node.size = node.children.reduce((sum, child) => sum + child.size, 0);
+    }
+    return node;
+  };
+  return walk({ name, cid, size: stat.size, type: stat.type, children: [] });
+};
+
+// Flat list of { rel, node } below (and including) the tree root
+const flattenTree = (tree, rel = tree.name) => [
+  { rel, node: tree },
+  ...tree.children.flatMap((child) => flattenTree(child, `${rel}/${child.name}`)),
+];
+
+const getCid = async (cfg, cid, dest, { force = false } = {}) => {
+  const rpc = rpcClient(cfg);
+  const target = path.resolve(dest || cid);
+  const statePath = transferStatePath('get', `${cid}:${target}`);
+  const state = loadTransferState(statePath);
+  if (!state && exists(target) && !force) {
+    throw new Error(`${target} already exists (use --force to overwrite)`);
+  }
+
+  const tree = await fetchCidTree(rpc, cid, path.basename(target));
+  const resumed = state || { cid, target, done: [] };
+  const entries = flattenTree(tree, target);
+  const files = entries.filter(({ node }) => node.type === 'file');
+  // Partial files are only trusted when this transfer wrote them; larger ones are not ours
+  const resumeOffset = (file, size) => {
+    if (!state || !exists(file)) return 0;
+    const written = fs.statSync(file).size;
+    return written <= size ? written : 0;
+  };
+
+  const pending = files.filter(({ rel }) => !resumed.done.includes(rel));
+  if (state) console.log(chalk.yellow(`Resuming: ${files.length - pending.length} of ${files.length} file(s) already downloaded`));
+
+  const total = files.reduce((sum, { node }) => sum + node.size, 0);
+  const already = total - pending.reduce((sum, { node }) => sum + node.size, 0)
+    + pending.reduce((sum, { rel, node }) => sum + resumeOffset(rel, node.size), 0);
+  saveTransferState(statePath, resumed);
+
+  const bar = progressBar(total, already);
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    entries.filter(({ node }) => node.type === 'directory').forEach(({ rel }) => fs.mkdirSync(rel, { recursive: true }));
+    for (const { rel, node } of pending) {
+      const offset = resumeOffset(rel, node.size);
+      if (offset < node.size || node.size === 0) {
+        const out = fs.createWriteStream(rel, { flags: offset > 0 ? 'a' : 'w' });
+        const body = await rpc.catStream(node.cid, { timeout: 0, offset });
+        await pipeline(
+          body,
+          new Transform({
+            transform: (chunk, encoding, done) => {
+              bar.advance(chunk.length, path.relative(process.cwd(), rel));
+              done(null, chunk);
+            },
+          }),
+          out
+        );
+      }
+      resumed.done.push(rel);
+      saveTransferState(statePath, resumed);
+    }
+  } finally {
+    bar.stop();
+  }
+
+  fs.unlinkSync(statePath);
+  return tree;
+};
+
+/* ---------- replication ---------- */
+// Placement is decided here, not by the swarm: every node that should hold a
+// CID is told to pin it through its RPC API. The candidates are this node and
+// the configured node list (cfg.rpcNodes, managed with `nodes add/remove`).
+const replicationStatePath = () => path.join(CONFIG_DIR, 'replication.json');
+
+const loadReplicationState = () =>
+  (exists(replicationStatePath()) ? JSON.parse(fs.readFileSync(replicationStatePath(), 'utf8')) : { cids: {} });
+
+const saveReplicationState = (state) => fs.writeFileSync(replicationStatePath(), JSON.stringify(state, null, 2));
+
+const checkRpcUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `Invalid URL: ${url}`;
+  }
+  return ['http:', 'https:'].includes(parsed.protocol) ? null : `RPC URL must be http(s): ${url}`;
+};
+
+// This node first, then the node list; the same daemon listed twice counts once
+const swarmNodes = async (cfg) => {
+  const urls = [...new Set([apiUrl(cfg), ...(cfg.rpcNodes || [])])];
+  const nodes = [];
+  for (const url of urls) {
+    const rpc = createRpcClient({ url });
+    try {
+      const peerId = (await rpc.id()).id;
+      if (!nodes.some((node) => node.peerId === peerId)) nodes.push({ endpoint: url, peerId, rpc, error: null });
+    } catch (e) {
+      nodes.push({ endpoint: url, peerId: null, rpc, error: e.message });
+    }
+  }
+  return nodes;
+};
+
+// Finds the current holders of cid and pins it on further nodes until factor is reached
+const replicateCid = async (cid, factor, nodes, { timeout }) => {
+  const reachable = nodes.filter((node) => node.peerId);
+  const holders = [];
+  const candidates = [];
+  const failed = [];
+  for (const node of reachable) {
+    try {
+      (await node.rpc.isPinned(cid) ? holders : candidates).push(node);
+    } catch (e) {
+      failed.push({ peerId: node.peerId, endpoint: node.endpoint, error: e.message });
+    }
+  }
+
+  const placed = [];
+  for (const node of candidates) {
+    if (holders.length >= factor) break;
+    try {
+      await node.rpc.pinAdd(cid, { timeout });
+      holders.push(node);
+      placed.push(node);
+    } catch (e) {
+      failed.push({ peerId: node.peerId, endpoint: node.endpoint, error: e.message });
+    }
+  }
+
+  const summary = (node) => ({ peerId: node.peerId, endpoint: node.endpoint });
+  return { holders: holders.map(summary), placed: placed.map(summary), failed };
+};
+
+const underReplicatedError = (replicas, factor, nodes) => {
+  const reachable = nodes.filter((node) => node.peerId).length;
+  return `Only ${replicas} of ${factor} replica(s) placed (${reachable} reachable node(s); add more with 'nodes add <rpc-url>')`;
+};
+
+const collectReplicate = async (cfg, cid, { factor, timeout }) => {
+  const nodes = await swarmNodes(cfg);
+  const result = await replicateCid(cid, factor, nodes, { timeout });
+  const ok = result.holders.length >= factor;
+
+  const state = loadReplicationState();
+  state.cids[cid] = { factor, holders: result.holders, updatedAt: new Date().toISOString() };
+  saveReplicationState(state);
+
+  return {
+    ok,
+    profile,
+    cid,
+    factor,
+    ...result,
+    unreachable: nodes.filter((node) => !node.peerId).map(({ endpoint, error }) => ({ endpoint, error })),
+    error: ok ? null : underReplicatedError(result.holders.length, factor, nodes),
+  };
+};
+
+const renderReplicate = (data) => {
+  const placed = new Set(data.placed.map((node) => node.peerId));
+  const rows = [
+    ...data.holders.map((node) => [node.peerId, node.endpoint, placed.has(node.peerId) ? '📌 pinned now' : '✅ already pinned']),
+    ...data.failed.map((node) => [node.peerId, node.endpoint, '❌ failed']),
+    ...data.unreachable.map((node) => ['?', node.endpoint, '⚠️  unreachable']),
+  ];
+  console.log(chalk.cyan(`📦 Replicas of ${data.cid} (factor ${data.factor}):`));
+  printTable(['Node', 'RPC', 'Status'], rows);
+  [...data.failed, ...data.unreachable].forEach((node) => {
+    console.log(chalk.red(`  ${node.peerId || node.endpoint}: ${node.error}`));
+  });
+
+  if (data.ok) console.log(chalk.green(`\n✅ ${data.holders.length} node(s) pin ${data.cid}`));
+  else console.log(chalk.red(`\n❌ ${data.error}`));
+};
+
+// Re-checks every tracked CID; holders that went away or unpinned it are replaced
+const collectPinStatus = async (cfg, { repair, timeout }) => {
+  const state = loadReplicationState();
+  const nodes = await swarmNodes(cfg);
+  const cids = [];
+
+  for (const [cid, entry] of Object.entries(state.cids)) {
+    // A factor of 0 only looks for the current holders
+    const result = await replicateCid(cid, repair ? entry.factor : 0, nodes, { timeout });
+    const current = new Set(result.holders.map((node) => node.peerId));
+    const lost = entry.holders.filter((node) => !current.has(node.peerId));
+    const replicas = result.holders.length;
+    cids.push({
+      cid,
+      factor: entry.factor,
+      replicas,
+      ok: replicas >= entry.factor,
+      holders: result.holders,
+      lost,
+      placed: result.placed,
+      failed: result.failed,
+    });
+    state.cids[cid] = { ...entry, holders: result.holders, updatedAt: new Date().toISOString() };
+  }
+  // A report-only run keeps the recorded holders, so lost ones stay visible
+  if (repair && cids.length > 0) saveReplicationState(state);
+
+  return {
+    ok: cids.every((entry) => entry.ok),
+    profile,
+    repaired: repair,
+    cids,
+    unreachable: nodes.filter((node) => !node.peerId).map(({ endpoint, error }) => ({ endpoint, error })),
+  };
+};
+
+const renderPinStatus = (data) => {
+  if (data.cids.length === 0) {
+    console.log(chalk.yellow("No replicated CIDs yet – use 'pin replicate <cid> --factor N'"));
+    return;
+  }
+  const rows = data.cids.map((entry) => [
+    entry.cid,
+    `${entry.replicas}/${entry.factor}`,
+    entry.ok ? '✅ ok' : '❌ under-replicated',
+  ]);
+  printTable(['CID', 'Replicas', 'State'], rows);
+
+  data.cids.forEach((entry) => {
+    entry.lost.forEach((node) => console.log(chalk.yellow(`  ${entry.cid}: lost holder ${node.peerId} (${node.endpoint})`)));
+    entry.placed.forEach((node) => console.log(chalk.green(`  ${entry.cid}: re-replicated to ${node.peerId} (${node.endpoint})`)));
+    entry.failed.forEach((node) => console.log(chalk.red(`  ${entry.cid}: ${node.peerId}: ${node.error}`)));
+  });
+  if (data.unreachable.length > 0) {
+    console.log(chalk.gray(`\n${data.unreachable.length} configured node(s) unreachable:`));
+    data.unreachable.forEach((node) => console.log(chalk.gray(`  ${node.endpoint}`)));
+  }
+
+  const under = data.cids.filter((entry) => !entry.ok).length;
+  if (under === 0) console.log(chalk.green(`\n✅ All ${data.cids.length} CID(s) are fully replicated`));
+  else if (data.repaired) console.log(chalk.red(`\n❌ ${under} CID(s) remain under-replicated – add more nodes with 'nodes add <rpc-url>'`));
+  else console.log(chalk.red(`\n❌ ${under} CID(s) are under-replicated – run 'pin status' without --no-repair to fix`));
+};
+
+/* ---------- backup / restore ---------- */
+// identity.json carries the Kubo identity from `clean --keep-identity` to the
+// next `init`, which puts it into the new repo.
+const keptIdentityPath = () => path.join(CONFIG_DIR, 'identity.json');
+
+const readRepoIdentity = () => {
+  const { PeerID, PrivKey } = JSON.parse(fs.readFileSync(path.join(IPFS_PATH, 'config'), 'utf8')).Identity;
+  return { PeerID, PrivKey };
+};
+
+// `ipfs config` refuses to touch the private key, so the file is edited directly (daemon stopped)
+const writeRepoIdentity = (identity) => {
+  const file = path.join(IPFS_PATH, 'config');
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  config.Identity = { ...config.Identity, PeerID: identity.PeerID, PrivKey: identity.PrivKey };
+  fs.writeFileSync(file, JSON.stringify(config, null, 2));
+};
+
+// Native repos are created here if needed; a container creates its repo on
+// first start, so it is started once and stopped again before the edit.
+const adoptIdentity = async (cfg, identity) => {
+  if (isDockerNode(cfg)) {
+    if (!isIpfsInitialized()) {
+      await docker().startContainer(containerName());
+      if (!(await waitForDaemon(60000, null, { quiet: true }))) {
+        throw new Error(`Container ${containerName()} did not initialize its repo`);
+      }
+    }
+    await killDaemon(cfg);
+  } else {
+    await initializeIpfs();
+  }
+  writeRepoIdentity(identity);
+  cfg.nodeId = identity.PeerID;
+};
+
+const BACKUP_PIN_TYPES = ['recursive', 'direct'];
+
+// null when neither the daemon nor a local ipfs binary can list them
+const collectPinSet = async (cfg) => {
+  const pins = [];
+  if (await isDaemonRunning()) {
+    const rpc = rpcClient(cfg);
+    for (const type of BACKUP_PIN_TYPES) {
+      (await rpc.pinLs({ type })).forEach((cid) => pins.push({ cid, type }));
+    }
+    return pins;
+  }
+  if (isDockerNode(cfg) || !findIpfsBinary()) return null;
+  for (const type of BACKUP_PIN_TYPES) {
+    const result = execSilent(ipfsBin(), ['pin', 'ls', `--type=${type}`, '--quiet']);
+    if (!result.success) return null;
+    result.stdout.split('\n').filter(Boolean).forEach((cid) => pins.push({ cid, type }));
+  }
+  return pins;
+};
+
+const writeBackupFile = async (cfg, file, passphrase) => {
+  if (!isIpfsInitialized()) throw new Error(`Kubo repo ${IPFS_PATH} is not initialized – nothing to back up`);
+  const swarmKeyFile = cfg.swarmKey || SWARM_KEY_PATH;
+  const contents = {
+    profile,
+    config: cfg,
+    swarmKey: exists(swarmKeyFile) ? fs.readFileSync(swarmKeyFile, 'utf8') : null,
+    identity: readRepoIdentity(),
+    pins: await collectPinSet(cfg),
+  };
+  fs.writeFileSync(file, createBackup(contents, passphrase), { mode: 0o600 });
+  return contents;
+};
+
+const defaultBackupFile = () => `ipfs-swarm-${profile}-${new Date().toISOString().slice(0, 10)}.backup`;
+
+// Asks twice, a typo here would make the backup unreadable
+const promptNewPassphrase = async () => {
+  const passphrase = await promptPassphrase('Backup passphrase:');
+  if (!passphrase) throw new Error('A passphrase is required');
+  if ((await promptPassphrase('Repeat passphrase:')) !== passphrase) throw new Error('Passphrases do not match');
+  return passphrase;
+};
+
+const renderBackupSummary = (file, contents) => {
+  console.log(chalk.green(`✅ Backup written to ${file}`));
+  console.log(chalk.white(`  Peer ID: ${contents.identity.PeerID}`));
+  console.log(chalk.white(`  Swarm key: ${contents.swarmKey ? `included (fingerprint ${fingerprint(contents.swarmKey)})` : 'none'}`));
+  if (contents.pins) console.log(chalk.white(`  Pins: ${contents.pins.length}`));
+  else console.log(chalk.yellow('  Pins: not included (start the daemon to include them)'));
+  console.log(chalk.gray('Keep the file and its passphrase apart – together they are the node\'s private key'));
+};
+
+const restorePins = async (cfg, pins, { timeout }) => {
+  const rpc = rpcClient(cfg);
+  const failed = [];
+  const spin = spinner(`Re-pinning ${pins.length} CID(s)`);
+  for (const [i, pin] of pins.entries()) {
+    spin.text = `Re-pinning ${pin.cid} (${i + 1}/${pins.length})`;
+    try {
+      await rpc.pinAdd(pin.cid, { timeout, recursive: pin.type === 'recursive' });
+    } catch (e) {
+      failed.push({ ...pin, error: e.message });
+    }
+  }
+  if (failed.length === 0) spin.succeed(`Re-pinned ${pins.length} CID(s)`);
+  else spin.warn(`Re-pinned ${pins.length - failed.length} of ${pins.length} CID(s)`);
+  return failed;
+};
+
+// Rebuilds this profile from a backup: config, swarm key, identity, then the pins
+const restoreNode = async (backup, { repin, timeout }) => {
+  const cfg = { ...migrateConfig(backup.config).config, nodeId: backup.identity.PeerID, lastStarted: null };
+  // Service definitions are host-specific and not part of the backup
+  delete cfg.service;
+  if (cfg.networkType === 'tailscale') cfg.tailscaleIP = getTailscaleIP() || cfg.tailscaleIP;
+
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  if (backup.swarmKey) {
+    fs.writeFileSync(SWARM_KEY_PATH, backup.swarmKey, { mode: 0o600 });
+    cfg.swarmKey = SWARM_KEY_PATH;
+  }
+
+  const steps = isDockerNode(cfg)
+    ? [
+        { name: 'Preparing Docker', fn: () => prepareDocker(cfg) },
+        { name: 'Creating Kubo container', fn: () => createDockerNode(cfg) },
+        { name: 'Restoring peer identity', fn: () => adoptIdentity(cfg, backup.identity) },
+      ]
+    : [
+        { name: 'Installing Kubo', fn: () => installKubo({ version: kuboVersionFor(cfg) }) },
+        { name: 'Restoring peer identity', fn: () => adoptIdentity(cfg, backup.identity) },
+        { name: 'Configuring IPFS', fn: () => configureIpfs(cfg) },
+      ];
+  if (repin && backup.pins && backup.pins.length > 0) {
+    steps.push({
+      name: 'Starting daemon',
+      fn: async () => {
+        if (!(await restartDaemon(cfg))) throw new Error(`Daemon failed to start – see ${LOG_PATH}`);
+      },
+    });
+  }
+
+  for (const step of steps) {
+    const spin = spinner(step.name);
+    try {
+      await step.fn();
+      saveCfg(cfg);
+      spin.succeed();
+    } catch (e) {
+      spin.fail(e.message);
+      process.exit(1);
+    }
+  }
+
+  const failed = repin && backup.pins ? await restorePins(cfg, backup.pins, { timeout }) : [];
+  return { cfg, failed };
+};
+
+/* ---------- manifests ---------- */
+// config.json fields a manifest controls
+const MANIFEST_CFG_KEYS = ['nodeType', 'networkType', 'basePort', 'apiPort', 'gatewayPort', 'bootstrapMultiaddrs', 'connMgr', 'announce', 'exposeGateway'];
+// Changing these means a container has to be recreated with new port bindings
+const CONTAINER_CFG_KEYS = ['basePort', 'apiPort', 'gatewayPort', 'exposeGateway'];
+
+const ipfsListenHost = (cfg) => (isDockerNode(cfg) ? '0.0.0.0' : '127.0.0.1');
+
+// Live config from the daemon, or the repo's config file while it is stopped
+const readKuboConfig = async (cfg) => {
+  if (await isDaemonRunning()) return { source: 'daemon', config: await rpcClient(cfg).configShow() };
+  const file = path.join(IPFS_PATH, 'config');
+  if (!exists(file)) return { source: null, config: null };
+  return { source: 'repo', config: JSON.parse(fs.readFileSync(file, 'utf8')) };
+};
+
+const configValue = (config, key) =>
+  key.split('.').reduce((node, part) => (node === null || node === undefined ? undefined : node[part]), config);
+
+const planManifest = async (manifest, cfg) => {
+  const desired = { ...cfg, ...manifest };
+  if (desired.networkType === 'tailscale') desired.tailscaleIP = getTailscaleIP() || cfg.tailscaleIP;
+
+  const cfgChanges = diffSettings(MANIFEST_CFG_KEYS.map((key) => ({
+    key,
+    current: cfg[key] === undefined ? null : cfg[key],
+    desired: desired[key],
+  })));
+
+  const kubo = await readKuboConfig(cfg);
+  const kuboChanges = kubo.config
+    ? diffSettings([
+        ...desiredIpfsConfig(desired, { listenHost: ipfsListenHost(desired) }),
+        ['Bootstrap', desired.bootstrapMultiaddrs],
+      ].map(([key, value]) => ({ key, current: configValue(kubo.config, key), desired: value })))
+    : [];
+
+  return { desired, cfgChanges, kuboChanges, kuboSource: kubo.source };
+};
+
+const formatSetting = (value) => (value === undefined ? '(unset)' : JSON.stringify(value));
+
+const printPlanChanges = (plan) => {
+  if (plan.cfgChanges.length === 0 && plan.kuboChanges.length === 0) {
+    console.log(chalk.green('✅ No changes – node matches the manifest'));
+  }
+  if (plan.cfgChanges.length > 0) {
+    console.log(chalk.cyan(`📄 ${CONFIG}:`));
+    plan.cfgChanges.forEach(({ key, current, desired }) => {
+      console.log(chalk.yellow(`  ~ ${key}: ${formatSetting(current)} → ${formatSetting(desired)}`));
+    });
+  }
+  if (plan.kuboChanges.length > 0) {
+    console.log(chalk.cyan(`📄 Kubo config (${plan.kuboSource === 'daemon' ? 'running daemon' : path.join(IPFS_PATH, 'config')}):`));
+    plan.kuboChanges.forEach(({ key, current, desired }) => {
+      console.log(chalk.yellow(`  ~ ${key}: ${formatSetting(current)} → ${formatSetting(desired)}`));
+    });
+  }
+  if (!plan.kuboSource) {
+    console.log(chalk.gray(`Kubo repo ${IPFS_PATH} is not initialized yet – only config.json is compared`));
+  }
+};
+
+const applyManifestPlan = async (plan, cfg) => {
+  const running = await isDaemonRunning();
+
+  if (plan.cfgChanges.length > 0) {
+    const next = { ...cfg };
+    plan.cfgChanges.forEach(({ key, desired }) => {
+      next[key] = desired;
+    });
+    next.tailscaleIP = plan.desired.tailscaleIP;
+    saveCfg(next);
+  }
+
+  if (running) {
+    const rpc = rpcClient(cfg);
+    for (const { key, desired } of plan.kuboChanges) {
+      await rpc.configSet(key, desired, { json: typeof desired !== 'string' });
+    }
+  } else if (!isDockerNode(cfg) && plan.kuboSource) {
+    for (const { key, desired } of plan.kuboChanges) {
+      await execLive(ipfsBin(), ipfsConfigArgs(key, desired));
+    }
+  }
+
+  if (isDockerNode(cfg)) {
+    // Containers re-apply the init script on every start
+    if (exists(dockerInitScriptPath())) writeDockerInitScript(plan.desired);
+    const state = await dockerNodeState();
+    if (state && plan.cfgChanges.some(({ key }) => CONTAINER_CFG_KEYS.includes(key))) {
+      await createDockerNode(plan.desired);
+      if (state.running) await docker().startContainer(containerName());
+    }
+  }
+
+  // Only the bootstrap list is picked up without a restart
+  return { restartNeeded: running && plan.kuboChanges.some(({ key }) => key !== 'Bootstrap') };
+};
+
+/* ---------- doctor ---------- */
+// Each check resolves to { id, title, status: 'pass'|'warn'|'fail', detail, fix }
+const checkResult = (id, title, status, detail, fix = null) => ({ id, title, status, detail, fix });
+
+const checkPorts = async (cfg, running) => {
+  const ports = [['swarm', parseInt(cfg.basePort)], ['API', apiPort(cfg)]];
+  if (running) {
+    return checkResult('ports', 'Ports', 'pass', `Swarm port ${ports[0][1]} and API port ${ports[1][1]} are held by this node's daemon`);
+  }
+  const busy = [];
+  for (const [name, port] of ports) {
+    if (!(await isPortFree(port))) busy.push(`${name} port ${port}`);
+  }
+  if (busy.length === 0) {
+    return checkResult('ports', 'Ports', 'pass', `Swarm port ${ports[0][1]} and API port ${ports[1][1]} are free`);
+  }
+  return checkResult('ports', 'Ports', 'fail', `In use by another process: ${busy.join(', ')}`,
+    "Find the process with 'sudo netstat -tulpn', or pick other ports with 'init --port/--api-port'");
+};
+
+const checkSwarmKey = (cfg) => {
+  const title = 'Swarm key';
+  if (!cfg.swarmKey) {
+    return checkResult('swarm-key', title, 'fail', 'No swarm key configured', "Run 'ipfs-swarm-cli init'");
+  }
+  try {
+    verifySwarmKeyFile(cfg.swarmKey);
+  } catch (e) {
+    return checkResult('swarm-key', title, 'fail', e.message, "Copy the swarm key from the bootstrap node again, or join with a fresh token");
+  }
+  const expected = keyFileFingerprint(cfg.swarmKey);
+  // Containers get the key mounted, the repo holds no copy
+  if (isDockerNode(cfg)) return checkResult('swarm-key', title, 'pass', `Fingerprint ${expected} (mounted into the container)`);
+
+  const repoKey = path.join(IPFS_PATH, 'swarm.key');
+  if (!exists(repoKey)) {
+    return checkResult('swarm-key', title, 'fail', `${repoKey} is missing`, `cp ${cfg.swarmKey} ${repoKey}`);
+  }
+  const installed = keyFileFingerprint(repoKey);
+  if (installed !== expected) {
+    return checkResult('swarm-key', title, 'fail', `${repoKey} has fingerprint ${installed || 'unreadable'}, expected ${expected}`, `cp ${cfg.swarmKey} ${repoKey}`);
+  }
+  return checkResult('swarm-key', title, 'pass', `Fingerprint ${expected} matches ${repoKey}`);
+};
+
+const checkKuboVersion = async (cfg) => {
+  const title = 'Kubo version';
+  if (isDockerNode(cfg)) {
+    const state = await dockerNodeState();
+    if (!state) return checkResult('kubo-version', title, 'fail', `Container ${containerName()} does not exist`, "Run 'ipfs-swarm-cli init --docker'");
+    const expected = kuboImage(kuboVersionFor(cfg));
+    if (state.image !== expected) {
+      return checkResult('kubo-version', title, 'warn', `Container runs ${state.image}, expected ${expected}`, `ipfs-swarm-cli kubo upgrade --kubo-version ${kuboVersionFor(cfg)}`);
+    }
+    return checkResult('kubo-version', title, 'pass', `Container runs ${state.image}`);
+  }
+  const version = installedKuboVersion();
+  if (!version) {
+    return checkResult('kubo-version', title, 'fail', 'ipfs binary not found', "Run 'ipfs-swarm-cli init' to install Kubo");
+  }
+  if (version !== kuboVersionFor(cfg)) {
+    return checkResult('kubo-version', title, 'warn', `Installed ${version}, expected ${kuboVersionFor(cfg)}`, `ipfs-swarm-cli kubo upgrade --kubo-version ${kuboVersionFor(cfg)}`);
+  }
+  return checkResult('kubo-version', title, 'pass', `Kubo ${version}`);
+};
+
+const checkBootstrapList = (cfg) => {
+  const title = 'Bootstrap list';
+  const ownId = cfg.nodeId || (isIpfsInitialized() ? readRepoPeerId() : null);
+  const own = cfg.bootstrapMultiaddrs.filter((addr) => ownId && addr.endsWith(`/p2p/${ownId}`));
+  if (own.length > 0) {
+    return checkResult('bootstrap', title, 'fail', `Points at this node's own peer ID: ${own.join(', ')}`, `ipfs-swarm-cli bootstrap remove ${ownId}`);
+  }
+  if (cfg.bootstrapMultiaddrs.length === 0) {
+    if (cfg.nodeType === 'bootstrap') return checkResult('bootstrap', title, 'pass', 'Empty (first bootstrap node)');
+    return checkResult('bootstrap', title, 'fail', 'Regular node without bootstrap addresses', "ipfs-swarm-cli bootstrap add <Bootstrap Address>");
+  }
+  return checkResult('bootstrap', title, 'pass', `${cfg.bootstrapMultiaddrs.length} bootstrap address(es)`);
+};
+
+const checkKuboSettings = async (cfg) => {
+  const title = 'Kubo config';
+  const { config } = await readKuboConfig(cfg);
+  if (!config) return checkResult('kubo-config', title, 'fail', `Repo ${IPFS_PATH} is not initialized`, "Run 'ipfs-swarm-cli init'");
+
+  const ipfs = profile === DEFAULT_PROFILE ? 'ipfs' : `IPFS_PATH=${IPFS_PATH} ipfs`;
+  const problems = [];
+  const fixes = [];
+  const filters = configValue(config, 'Swarm.AddrFilters');
+  if (Array.isArray(filters) && filters.length > 0) {
+    problems.push(`Swarm.AddrFilters has ${filters.length} entries (private addresses get blocked)`);
+    fixes.push(`${ipfs} config --json Swarm.AddrFilters '[]'`);
+  }
+  if (configValue(config, 'Discovery.MDNS.Enabled') !== false) {
+    problems.push('MDNS is enabled');
+    fixes.push(`${ipfs} config --bool Discovery.MDNS.Enabled false`);
+  }
+  if (problems.length > 0) return checkResult('kubo-config', title, 'warn', problems.join('; '), fixes.join(' && '));
+  return checkResult('kubo-config', title, 'pass', 'AddrFilters cleared, MDNS disabled');
+};
+
+const checkRepoLock = (running) => {
+  const title = 'Repo lock';
+  const lockFile = path.join(IPFS_PATH, 'repo.lock');
+  if (running) return checkResult('repo-lock', title, 'pass', "Held by this node's running daemon");
+  if (!exists(lockFile)) return checkResult('repo-lock', title, 'pass', 'Not held');
+
+  const pid = readDaemonPid();
+  if (pid && isPidAlive(pid)) {
+    return checkResult('repo-lock', title, 'fail', `Held by daemon PID ${pid}, which does not answer on the API`, "Run 'ipfs-swarm-cli stop' (or kill the process)");
+  }
+  if (checkTool('lsof')) {
+    const holders = execSilent('lsof', ['-t', lockFile]).stdout.trim().split('\n').filter(Boolean);
+    if (holders.length > 0) {
+      return checkResult('repo-lock', title, 'fail', `Held by PID ${holders.join(', ')}`, `Stop that process, e.g. kill ${holders[0]}`);
+    }
+  }
+  return checkResult('repo-lock', title, 'warn', `${lockFile} left behind, probably by a crashed daemon`, `Remove it if no ipfs process runs: rm ${lockFile}`);
+};
+
+const checkTailscale = (cfg) => {
+  if (cfg.networkType !== 'tailscale') return null;
+  const status = getTailscaleStatus();
+  if (!status.running) {
+    return checkResult('tailscale', 'Tailscale', 'fail', 'Tailscale is not running', 'sudo tailscale up');
+  }
+  return checkResult('tailscale', 'Tailscale', 'pass', `Connected as ${status.ip}`);
+};
+
+const runDoctor = async (cfg) => {
+  const running = await isDaemonRunning();
+  const checks = [
+    await checkPorts(cfg, running),
+    checkSwarmKey(cfg),
+    await checkKuboVersion(cfg),
+    checkBootstrapList(cfg),
+    await checkKuboSettings(cfg),
+    checkRepoLock(running),
+    checkTailscale(cfg),
+  ].filter(Boolean);
+
+  const count = (status) => checks.filter((check) => check.status === status).length;
+  return {
+    ok: count('fail') === 0,
+    profile,
+    checks,
+    summary: { pass: count('pass'), warn: count('warn'), fail: count('fail') },
+  };
+};
+
+const renderDoctor = (report) => {
+  const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+  const colors = { pass: chalk.green, warn: chalk.yellow, fail: chalk.red };
+  console.log(chalk.cyan(`🩺 Preflight checks (profile ${report.profile}):`));
+  report.checks.forEach((check) => {
+    console.log(colors[check.status](`  ${icons[check.status]} ${check.title}: ${check.detail}`));
+    if (check.fix && check.status !== 'pass') console.log(chalk.white(`     Fix: ${check.fix}`));
+  });
+  const { pass, warn, fail } = report.summary;
+  console.log(chalk.cyan(`\n${pass} passed, ${warn} warning(s), ${fail} failed`));
+};
+
+/* ---------- local cluster ---------- */
+// Every cluster node is an ordinary profile named <cluster>-<index>; the
+// cluster file only remembers which profiles belong together.
+const CLUSTERS_DIR = path.join(os.homedir(), '.ipfs-swarm-clusters');
+const clusterFile = (name) => path.join(CLUSTERS_DIR, `${name}.json`);
+const clusterNodeProfile = (name, index) => `${name}-${index}`;
+
+const loadCluster = (name) => {
+  if (!exists(clusterFile(name))) return null;
+  return JSON.parse(fs.readFileSync(clusterFile(name)));
+};
+
+const saveCluster = (cluster) => {
+  if (!exists(CLUSTERS_DIR)) fs.mkdirSync(CLUSTERS_DIR, { recursive: true });
+  fs.writeFileSync(clusterFile(cluster.name), JSON.stringify(cluster, null, 2));
+};
+
+// Runs fn with the given profile selected, restoring the previous one afterwards
+const withProfile = async (name, fn) => {
+  const previous = profile;
+  useProfile(name);
+  try {
+    return await fn();
+  } finally {
+    useProfile(previous);
+  }
+};
+
+const createClusterNode = async (cluster, index, taken) => {
+  const nodeProfile = clusterNodeProfile(cluster.name, index);
+  return withProfile(nodeProfile, async () => {
+    const cfg = loadCfg();
+    const basePort = await findFreePort(cluster.basePort + index, taken);
+    taken.push(basePort);
+    const api = await findFreePort(basePort + 1000, taken);
+    taken.push(api);
+    const gateway = await findFreePort(basePort + 4080, taken);
+    taken.push(gateway);
+
+    Object.assign(cfg, {
+      nodeType: index === 0 ? 'bootstrap' : 'regular',
+      networkType: 'normal',
+      runtime: 'native',
+      basePort,
+      apiPort: api,
+      gatewayPort: gateway,
+      cluster: cluster.name,
+    });
+
+    await initializeIpfs();
+    const peerId = readRepoPeerId();
+
+    if (index === 0) {
+      cfg.swarmKey = generateSwarmKey();
+      cluster.swarmKey = cfg.swarmKey;
+      cluster.bootstrapMultiaddr = `/ip4/127.0.0.1/tcp/${basePort}/p2p/${peerId}`;
+    } else {
+      cfg.swarmKey = cluster.swarmKey;
+      cfg.bootstrapMultiaddrs = [cluster.bootstrapMultiaddr];
+    }
+
+    await configureIpfs(cfg);
+    cfg.nodeId = peerId;
+    saveCfg(cfg);
+
+    return {
+      index,
+      profile: nodeProfile,
+      peerId,
+      multiaddr: `/ip4/127.0.0.1/tcp/${basePort}/p2p/${peerId}`,
+      apiPort: api,
+      gatewayPort: gateway,
+    };
+  });
+};
+
+// Map of peerId -> connected peer IDs for every running node
+const clusterConnections = async (cluster) => {
+  const connections = {};
+  for (const node of cluster.nodes) {
+    connections[node.peerId] = await withProfile(node.profile, async () => {
+      try {
+        const peers = await rpcClient().swarmPeers();
+        return peers.map((p) => p.peer);
+      } catch {
+        return null;
+      }
+    });
+  }
+  return connections;
+};
+
+const isFullMesh = (cluster, connections) =>
+  cluster.nodes.every((node) => {
+    const seen = connections[node.peerId];
+    return seen && cluster.nodes.every((other) => other === node || seen.includes(other.peerId));
+  });
+
+const connectClusterMesh = async (cluster) => {
+  for (const node of cluster.nodes) {
+    await withProfile(node.profile, async () => {
+      const rpc = rpcClient();
+      for (const other of cluster.nodes) {
+        if (other === node) continue;
+        try {
+          await rpc.swarmConnect(other.multiaddr);
+        } catch {}
+      }
+    });
+  }
+};
+
+const waitForClusterMesh = async (cluster, maxWait) => {
+  const startTime = Date.now();
+  while (Date.now() - startTime < maxWait) {
+    await connectClusterMesh(cluster);
+    if (isFullMesh(cluster, await clusterConnections(cluster))) return true;
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  return false;
+};
+
+const printClusterTable = (cluster) => {
+  const rows = cluster.nodes.map((node) => [String(node.index), node.profile, node.peerId, node.multiaddr, String(node.apiPort)]);
+  printTable(['#', 'Profile', 'Peer ID', 'Multiaddr', 'API'], rows);
+};
+
+/* ---------- reports ---------- */
+// status, info, debug, test and connect first collect plain data, then either
+// print it as JSON (--json) or render it as text, so both outputs stay in sync.
+let jsonMode = false;
+
+// Prints data as JSON in --json mode, otherwise through the text renderer
+const emit = (data, renderText) => {
+  if (jsonMode) console.log(JSON.stringify(data, null, 2));
+  else renderText(data);
+  if (data.ok === false) process.exitCode = 1;
+};
+
+const daemonDown = (extra = {}) => ({
+  ok: false,
+  profile,
+  daemon: { running: false },
+  error: 'IPFS daemon is not running',
+  ...extra,
+});
+
+const renderDaemonDown = (data) => {
+  console.log(chalk.red('❌ IPFS daemon is not running'));
+  if (data.logFile) console.log(chalk.gray(`Log file: ${data.logFile}`));
+};
+
+const collectStatus = async (cfg) => {
+  const data = {
+    ok: true,
+    profile,
+    nodeType: cfg.nodeType,
+    networkType: cfg.networkType,
+    logFile: isDockerNode(cfg) && !cfg.service ? `docker logs ${containerName()}` : LOG_PATH,
+    daemon: { running: true },
+    service: cfg.service ? { ...cfg.service, state: serviceState(cfg.service) } : null,
+    container: null,
+    tailscale: null,
+    peers: null,
+    bootstrap: null,
+    node: null,
+    repo: null,
+    bandwidth: null,
+    lastStarted: cfg.lastStarted || null,
+    errors: [],
+  };
+
+  if (isDockerNode(cfg)) {
+    try {
+      const state = await dockerNodeState();
+      data.container = { name: containerName(), created: !!state, ...(state || {}) };
+    } catch (e) {
+      data.container = { name: containerName(), error: e.message };
+    }
+  }
+
+  if (!(await isDaemonRunning())) {
+    return { ...data, ...daemonDown(), peers: [], errors: [] };
+  }
+
+  if (cfg.networkType === 'tailscale') {
+    const status = getTailscaleStatus();
+    data.tailscale = { running: status.running, ip: status.ip };
+  }
+
+  const rpc = rpcClient(cfg);
+  try {
+    const aliases = peerAliases();
+    data.peers = (await rpc.swarmPeers({ verbose: true })).map(({ peer, addr, multiaddr, latency, direction }) => ({
+      peer,
+      alias: aliases[peer] || null,
+      addr,
+      multiaddr,
+      latency,
+      direction,
+    }));
+    const connected = new Set(data.peers.map(({ peer }) => peer));
+    data.bootstrap = cfg.bootstrapMultiaddrs.map((addr) => ({ addr, peerId: peerIdOf(addr), connected: connected.has(peerIdOf(addr)) }));
+  } catch (e) {
+    data.errors.push({ section: 'peers', message: e.message });
+  }
+  try {
+    const id = await rpc.id();
+    data.node = { id: id.id, addresses: id.addresses, agentVersion: id.agentVersion };
+  } catch (e) {
+    data.errors.push({ section: 'node', message: e.message });
+  }
+  try {
+    const repo = await rpc.repoStat();
+    data.repo = { ...repo, usedPercent: usedPercent(repo) };
+  } catch (e) {
+    data.errors.push({ section: 'repo', message: e.message });
+  }
+  try {
+    data.bandwidth = await rpc.statsBw();
+  } catch (e) {
+    data.errors.push({ section: 'bandwidth', message: e.message });
+  }
+  return data;
+};
+
+const renderStatus = (data) => {
+  if (data.service) {
+    console.log(chalk.cyan(`Service: ${data.service.name} (${data.service.manager} ${data.service.scope}, ${data.service.state})`));
+  }
+  if (data.container) {
+    if (data.container.error) console.log(chalk.red(`Container: ${data.container.error}`));
+    else console.log(chalk.cyan(`Container: ${data.container.name} ${data.container.created ? `(${data.container.status}, ${data.container.image})` : '(not created)'}`));
+  }
+
+  if (!data.daemon.running) {
+    renderDaemonDown(data);
+    return;
+  }
+
+  console.log(chalk.green('✅ IPFS daemon is running'));
+  console.log(chalk.cyan(`Profile: ${data.profile}`));
+  console.log(chalk.cyan(`Log file: ${data.logFile}`));
+  console.log(chalk.cyan(`Node type: ${data.nodeType}`));
+  console.log(chalk.cyan(`Network type: ${data.networkType}`));
+  
+  if (data.tailscale) {
+    console.log(chalk.cyan(`Tailscale: ${data.tailscale.running ? '✅' : '❌'} ${data.tailscale.ip || ''}`));
+  }
+
+  const errorOf = (section) => data.errors.find((e) => e.section === section);
+
+  if (data.peers) {
+    console.log(chalk.yellow(`\n🔗 Connected peers: ${data.peers.length}`));
+    data.peers.forEach((peer, i) => {
+      console.log(chalk.white(`  ${i + 1}. ${peer.alias ? `${chalk.bold(peer.alias)} ` : ''}${peer.multiaddr}`));
+    });
+  } else {
+    console.log(chalk.red(`Failed to list peers: ${errorOf('peers').message}`));
+  }
+  if (data.bootstrap && data.bootstrap.length > 0) {
+    const reached = data.bootstrap.filter((entry) => entry.connected).length;
+    const color = reached > 0 ? chalk.green : chalk.red;
+    console.log(color(`  Bootstrap nodes connected: ${reached}/${data.bootstrap.length}`));
+  }
+
+  if (data.node) {
+    console.log(chalk.cyan(`\n📊 Node Information:`));
+    console.log(chalk.white(`  ID: ${data.node.id}`));
+    if (data.node.addresses.length > 0) {
+      console.log(chalk.white(`  Addresses:`));
+      data.node.addresses.forEach((addr) => {
+        console.log(chalk.white(`    ${addr}`));
+      });
+    }
+  } else {
+    console.log(chalk.red(`Failed to read node identity: ${errorOf('node').message}`));
+  }
+
+  if (data.repo) {
+    const max = data.repo.storageMax ? ` of ${formatBytes(data.repo.storageMax)} (${data.repo.usedPercent}%)` : '';
+    console.log(chalk.white(`  Repo: ${formatBytes(data.repo.repoSize)}${max}, ${data.repo.numObjects} objects`));
+  }
+  if (data.bandwidth) {
+    const { totalIn, totalOut, rateIn, rateOut } = data.bandwidth;
+    console.log(chalk.white(`  Bandwidth: in ${formatBytes(totalIn)} (${formatBytes(Math.round(rateIn))}/s), out ${formatBytes(totalOut)} (${formatBytes(Math.round(rateOut))}/s)`));
+  }
+};
+
+const collectInfo = async (cfg) => {
+  const data = {
+    ok: true,
+    profile,
+    repo: IPFS_PATH,
+    nodeType: cfg.nodeType,
+    networkType: cfg.networkType,
+    ports: { swarm: parseInt(cfg.basePort), api: apiPort(cfg), gateway: gatewayPort(cfg) },
+    swarmKey: cfg.swarmKey || null,
+    tailscale: null,
+    nodeId: cfg.nodeId || null,
+    multiaddrs: null,
+    bootstrapMultiaddrs: cfg.bootstrapMultiaddrs,
+  };
+
+  if (cfg.networkType === 'tailscale') {
+    const status = getTailscaleStatus();
+    data.tailscale = { running: status.running, ip: status.ip };
+  }
+
+  if (cfg.nodeType === 'bootstrap' && cfg.nodeId) {
+    data.multiaddrs = {
+      local: `/ip4/127.0.0.1/tcp/${cfg.basePort}/p2p/${cfg.nodeId}`,
+      tailscale: null,
+      external: null,
+    };
+    if (cfg.networkType === 'tailscale' && cfg.tailscaleIP) {
+      data.multiaddrs.tailscale = `/ip4/${cfg.tailscaleIP}/tcp/${cfg.basePort}/p2p/${cfg.nodeId}`;
+    } else {
+      const externalIP = await getExternalIP();
+      if (externalIP) data.multiaddrs.external = `/ip4/${externalIP}/tcp/${cfg.basePort}/p2p/${cfg.nodeId}`;
+    }
+  }
+  return data;
+};
+
+const renderInfo = (data) => {
+  console.log(chalk.cyan('📋 Node Configuration:'));
+  console.log(chalk.white(`  Profile: ${data.profile}`));
+  console.log(chalk.white(`  Repo: ${data.repo}`));
+  console.log(chalk.white(`  Type: ${data.nodeType}`));
+  console.log(chalk.white(`  Network: ${data.networkType}`));
+  console.log(chalk.white(`  Port: ${data.ports.swarm}`));
+  console.log(chalk.white(`  API Port: ${data.ports.api}`));
+  console.log(chalk.white(`  Gateway Port: ${data.ports.gateway}`));
+  console.log(chalk.white(`  Swarm Key: ${data.swarmKey || 'Not set'}`));
+  
+  if (data.tailscale) {
+    console.log(chalk.white(`  Tailscale IP: ${data.tailscale.ip || 'Not connected'}`));
+    console.log(chalk.white(`  Tailscale Status: ${data.tailscale.running ? 'Running' : 'Stopped'}`));
+  }
+  
+  if (data.nodeType === 'bootstrap') {
+    console.log(chalk.yellow('\n🚀 Bootstrap Node Info:'));
+    if (data.multiaddrs) {
+      console.log(chalk.white(`  Node ID: ${data.nodeId}`));
+      console.log(chalk.white(`  Local Multiaddr: ${data.multiaddrs.local}`));
+      
+      if (data.multiaddrs.tailscale) {
+        console.log(chalk.white(`  Tailscale Multiaddr: ${data.multiaddrs.tailscale}`));
+      } else if (data.multiaddrs.external) {
+        console.log(chalk.white(`  External Multiaddr: ${data.multiaddrs.external}`));
+      } else {
+        console.log(chalk.gray(`  External IP: Unable to detect`));
+      }
+    } else {
+      console.log(chalk.gray(`  Node not started yet`));
+    }
+  } else {
+    console.log(chalk.yellow('\n🔗 Regular Node Info:'));
+    if (data.bootstrapMultiaddrs.length === 0) {
+      console.log(chalk.white('  Bootstrap: Not set'));
+    }
+    data.bootstrapMultiaddrs.forEach((addr) => {
+      console.log(chalk.white(`  Bootstrap: ${addr}`));
+    });
+  }
+};
+
+const timed = async (fn) => {
+  const startTime = Date.now();
+  const value = await fn();
+  return { value, durationMs: Date.now() - startTime };
+};
+
+const collectDebug = async (cfg) => {
+  if (!(await isDaemonRunning())) return daemonDown();
+
+  const data = {
+    ok: true,
+    profile,
+    daemon: { running: true },
+    addresses: null,
+    bootstrapPeers: null,
+    localAddrs: null,
+    bootstrapConnect: [],
+    peers: null,
+    errors: [],
+  };
+  const rpc = rpcClient(cfg);
+
+  try {
+    const config = await rpc.configShow();
+    data.addresses = {
+      swarm: config.Addresses.Swarm,
+      announce: config.Addresses.Announce || null,
+      noAnnounce: config.Addresses.NoAnnounce || null,
+    };
+  } catch (e) {
+    data.errors.push({ section: 'addresses', message: e.message });
+  }
+  try {
+    data.bootstrapPeers = await rpc.bootstrapList();
+  } catch (e) {
+    data.errors.push({ section: 'bootstrapPeers', message: e.message });
+  }
+  try {
+    data.localAddrs = await rpc.swarmAddrsLocal();
+  } catch (e) {
+    data.errors.push({ section: 'localAddrs', message: e.message });
+  }
+
+  // Try to connect manually to every configured bootstrap
+  for (const addr of cfg.bootstrapMultiaddrs) {
+    const problem = multiaddrProblem(addr, { requirePeerId: true });
+    if (problem) {
+      data.bootstrapConnect.push({ addr, host: null, port: null, transport: null, ok: false, durationMs: 0, error: problem });
+      continue;
+    }
+    const { host, port, transport } = parseMultiaddr(addr);
+    const startTime = Date.now();
+    try {
+      await rpc.swarmConnect(addr);
+      data.bootstrapConnect.push({ addr, host, port, transport, ok: true, durationMs: Date.now() - startTime, error: null });
+    } catch (e) {
+      data.bootstrapConnect.push({ addr, host, port, transport, ok: false, durationMs: Date.now() - startTime, error: e.message });
+    }
+  }
+
+  try {
+    const aliases = peerAliases();
+    data.peers = (await rpc.swarmPeers()).map(({ peer, addr, multiaddr }) => ({ peer, alias: aliases[peer] || null, addr, multiaddr }));
+  } catch (e) {
+    data.errors.push({ section: 'peers', message: e.message });
+  }
+
+  // Unreachable swarm: none of the configured bootstraps answered
+  if (data.bootstrapConnect.length > 0 && !data.bootstrapConnect.some((result) => result.ok)) {
+    data.ok = false;
+  }
+  return data;
+};
+
+const renderDebug = (data) => {
+  if (!data.daemon.running) {
+    renderDaemonDown(data);
+    return;
+  }
+  const errorOf = (section) => data.errors.find((e) => e.section === section).message;
+
+  console.log(chalk.cyan('🔍 Connection Debug Information:'));
+  
+  if (data.addresses) {
+    console.log(chalk.yellow('\n📋 IPFS Addresses Configuration:'));
+    console.log(chalk.white(`  Swarm: ${JSON.stringify(data.addresses.swarm)}`));
+    console.log(chalk.white(`  Announce: ${JSON.stringify(data.addresses.announce || 'Not set')}`));
+    console.log(chalk.white(`  NoAnnounce: ${JSON.stringify(data.addresses.noAnnounce || 'Not set')}`));
+  } else {
+    console.log(chalk.red(`Failed to read IPFS configuration: ${errorOf('addresses')}`));
+  }
+  
+  if (data.bootstrapPeers) {
+    console.log(chalk.yellow('\n🔗 Bootstrap Peers:'));
+    data.bootstrapPeers.forEach((addr) => console.log(chalk.white(`  ${addr}`)));
+  } else {
+    console.log(chalk.red(`Failed to list bootstrap peers: ${errorOf('bootstrapPeers')}`));
+  }
+  
+  if (data.localAddrs) {
+    console.log(chalk.yellow('\n📍 Local Swarm Addresses:'));
+    data.localAddrs.forEach((addr) => console.log(chalk.white(`  ${addr}`)));
+  } else {
+    console.log(chalk.red(`Failed to list local addresses: ${errorOf('localAddrs')}`));
+  }
+  
+  if (data.bootstrapConnect.length > 0) {
+    console.log(chalk.yellow('\n🔄 Attempting manual connection to bootstraps...'));
+    data.bootstrapConnect.forEach((result) => {
+      if (result.ok) {
+        console.log(chalk.green(`  ✅ ${result.addr} (${result.durationMs} ms)`));
+      } else {
+        console.log(chalk.red(`  ❌ ${result.addr}`));
+        console.log(chalk.red(`     ${result.error}`));
+      }
+    });
+  }
+  
+  if (data.peers) {
+    console.log(chalk.yellow(`\n👥 Current Peers (${data.peers.length}):`));
+    data.peers.forEach((peer, i) => {
+      console.log(chalk.white(`  ${i + 1}. ${peer.alias ? `${chalk.bold(peer.alias)} ` : ''}${peer.multiaddr}`));
+    });
+  } else {
+    console.log(chalk.red(`Failed to list peers: ${errorOf('peers')}`));
+  }
+};
+
+const collectTest = async (cfg) => {
+  if (!(await isDaemonRunning())) return daemonDown();
+
+  const rpc = rpcClient(cfg);
+  const data = { ok: false, profile, daemon: { running: true }, cid: null, timing: null, error: null };
+  try {
+    const testContent = `Hello IPFS Private Swarm! ${new Date().toISOString()}`;
+    const added = await timed(() => rpc.add(testContent, { name: 'ipfs-test.txt' }));
+    data.cid = added.value.cid;
+    const fetched = await timed(() => rpc.cat(data.cid));
+    data.timing = { addMs: added.durationMs, catMs: fetched.durationMs, totalMs: added.durationMs + fetched.durationMs };
+
+    if (fetched.value.toString('utf8') === testContent) data.ok = true;
+    else data.error = 'Content mismatch';
+  } catch (e) {
+    data.error = e.message;
+  }
+  return data;
+};
+
+const collectConnect = async (cfg, multiaddr) => {
+  const problem = multiaddrProblem(multiaddr, { requirePeerId: true });
+  if (problem) return { ok: false, profile, daemon: { running: null }, multiaddr, error: problem };
+  if (!(await isDaemonRunning())) return daemonDown({ multiaddr });
+
+  const rpc = rpcClient(cfg);
+  const data = { ok: false, profile, daemon: { running: true }, multiaddr, durationMs: null, peerCount: null, error: null };
+  const startTime = Date.now();
+  try {
+    await rpc.swarmConnect(multiaddr);
+    data.durationMs = Date.now() - startTime;
+    data.ok = true;
+    data.peerCount = (await rpc.swarmPeers()).length;
+  } catch (e) {
+    data.durationMs = Date.now() - startTime;
+    data.error = e.message;
+  }
+  return data;
+};
+
+/* ---------- repo ---------- */
+// The quota and GC settings live in config.json (storageMax, gcWatermark,
+// autoGc, gcPeriod) and reach Kubo through desiredIpfsConfig(), so init,
+// manifests and the docker init script all keep them.
+
+// Pushes Kubo config entries the same way applyManifestPlan does
+const applyKuboSettings = async (cfg, entries) => {
+  const running = await isDaemonRunning();
+  if (isDockerNode(cfg) && exists(dockerInitScriptPath())) writeDockerInitScript(cfg);
+
+  if (running) {
+    const rpc = rpcClient(cfg);
+    for (const [key, value] of entries) {
+      await rpc.configSet(key, value, { json: typeof value !== 'string' });
+    }
+  } else if (!isDockerNode(cfg) && isIpfsInitialized()) {
+    for (const [key, value] of entries) {
+      await execLive(ipfsBin(), ipfsConfigArgs(key, value));
+    }
+  }
+  // Datastore settings are only read when the daemon starts
+  return { restartNeeded: running };
+};
+
+const usedPercent = (repo) => (repo.storageMax ? Math.round((repo.repoSize / repo.storageMax) * 1000) / 10 : null);
+
+const collectRepoStat = async (cfg) => {
+  const gc = {
+    watermark: cfg.gcWatermark || DEFAULT_GC_WATERMARK,
+    auto: !!cfg.autoGc,
+    period: cfg.autoGc ? cfg.gcPeriod || DEFAULT_GC_PERIOD : null,
+  };
+  if (!(await isDaemonRunning())) return daemonDown({ quota: cfg.storageMax || null, gc });
+
+  try {
+    const repo = await rpcClient(cfg).repoStat();
+    const percent = usedPercent(repo);
+    return {
+      ok: true,
+      profile,
+      daemon: { running: true },
+      repo,
+      usedPercent: percent,
+      aboveWatermark: percent !== null && percent >= gc.watermark,
+      quota: cfg.storageMax || null,
+      gc,
+    };
+  } catch (e) {
+    return { ok: false, profile, daemon: { running: true }, quota: cfg.storageMax || null, gc, error: e.message };
+  }
+};
+
+const renderRepoStat = (data) => {
+  if (!data.daemon.running) renderDaemonDown(data);
+  else if (data.error) console.log(chalk.red(`❌ Failed to read repo stats: ${data.error}`));
+
+  if (data.repo) {
+    const { repo } = data;
+    console.log(chalk.cyan(`📦 Repo of profile ${data.profile}: ${repo.repoPath}`));
+    if (repo.storageMax) {
+      const color = data.aboveWatermark ? chalk.red : data.usedPercent >= data.gc.watermark - 10 ? chalk.yellow : chalk.green;
+      console.log(color(`  Used: ${formatBytes(repo.repoSize)} of ${formatBytes(repo.storageMax)} (${data.usedPercent}%)`));
+    } else {
+      console.log(chalk.white(`  Used: ${formatBytes(repo.repoSize)}`));
+    }
+    console.log(chalk.white(`  Objects: ${repo.numObjects}`));
+  }
+  console.log(chalk.white(`  Quota: ${data.quota || 'Not set'}${data.quota ? ` (GC watermark ${data.gc.watermark}%)` : ''}`));
+  console.log(chalk.white(`  Periodic GC: ${data.gc.auto ? `every ${data.gc.period}` : 'off'}`));
+
+  if (data.aboveWatermark) {
+    console.log(chalk.yellow(`\n⚠️  Usage is above the ${data.gc.watermark}% GC watermark`));
+    console.log(chalk.yellow(data.gc.auto
+      ? '  Periodic GC will remove unpinned content on its next run'
+      : "  Run 'ipfs-swarm-cli repo gc' or raise the quota with 'ipfs-swarm-cli repo quota <size>'"));
+  }
+};
+
+// Blocks Kubo's GC keeps: everything pinned (pin/ls type=all covers the blocks
+// below recursive pins) plus the MFS tree. refs/local lists raw-codec CIDs,
+// so blocks are compared by multihash.
+const collectGcCandidates = async (cfg) => {
+  const rpc = rpcClient(cfg);
+  const keyOf = (cid) => {
+    try {
+      return cidMultihash(cid);
+    } catch (e) {
+      return cid;
+    }
+  };
+
+  const mfsRoot = (await rpc.filesStat('/')).cid;
+  const kept = new Set([...(await rpc.pinLs({ type: 'all' })), mfsRoot, ...(await rpc.refs(mfsRoot))].map(keyOf));
+  return (await rpc.refsLocal()).filter((cid) => !kept.has(keyOf(cid)));
+};
+
+const collectRepoGc = async (cfg, { dryRun }) => {
+  if (!(await isDaemonRunning())) return daemonDown({ dryRun });
+  const rpc = rpcClient(cfg);
+  try {
+    if (dryRun) {
+      const removable = await collectGcCandidates(cfg);
+      return { ok: true, profile, daemon: { running: true }, dryRun, removable };
+    }
+    const before = await rpc.repoStat();
+    const removed = await rpc.repoGc();
+    const after = await rpc.repoStat();
+    return {
+      ok: true,
+      profile,
+      daemon: { running: true },
+      dryRun,
+      removed,
+      freedBytes: Math.max(0, before.repoSize - after.repoSize),
+      repo: after,
+    };
+  } catch (e) {
+    return { ok: false, profile, daemon: { running: true }, dryRun, error: e.message };
+  }
+};
+
+const renderRepoGc = (data, { limit }) => {
+  if (!data.daemon.running) {
+    renderDaemonDown(data);
+    return;
+  }
+  if (data.error) {
+    console.log(chalk.red(`❌ Garbage collection failed: ${data.error}`));
+    return;
+  }
+
+  const cids = data.dryRun ? data.removable : data.removed;
+  if (data.dryRun) {
+    console.log(chalk.cyan(`🧹 ${cids.length} unpinned block(s) would be removed (dry run)`));
+  } else {
+    console.log(chalk.green(`✅ Removed ${cids.length} block(s), freed ${formatBytes(data.freedBytes)}`));
+  }
+  cids.slice(0, limit).forEach((cid) => console.log(chalk.white(`  ${cid}`)));
+  if (cids.length > limit) console.log(chalk.gray(`  ... and ${cids.length - limit} more (--limit to show more)`));
+  if (!data.dryRun) {
+    const max = data.repo.storageMax ? ` of ${formatBytes(data.repo.storageMax)} (${usedPercent(data.repo)}%)` : '';
+    console.log(chalk.cyan(`Repo now uses ${formatBytes(data.repo.repoSize)}${max}`));
+  }
+};
+
+// systemd units and docker containers carry --enable-gc in the daemon command line
+const refreshDaemonDefinition = async (cfg) => {
+  if (cfg.service) {
+    const service = buildService(cfg, cfg.service.scope);
+    await writeServiceFile(service);
+    if (service.manager === 'systemd') await runCommands([systemctlCommand(service, 'daemon-reload')]);
+  }
+  if (isDockerNode(cfg)) {
+    const state = await dockerNodeState();
+    if (state) {
+      await createDockerNode(cfg);
+      if (state.running) await docker().startContainer(containerName());
+    }
+  }
+};
+
+/* ---------- kubo upgrade ---------- */
+// Kubo's repo format version (IPFS_PATH/version), needed to migrate back on rollback
+const readRepoVersion = () => {
+  const file = path.join(IPFS_PATH, 'version');
+  if (!exists(file)) return null;
+  const version = parseInt(fs.readFileSync(file, 'utf8'));
+  return isNaN(version) ? null : version;
+};
+
+const checkDowngrade = (from, to, allowDowngrade) => {
+  if (from && compareKuboVersions(to, from) < 0 && !allowDowngrade) {
+    throw new Error(`${to} is older than the installed ${from} – pass --allow-downgrade to go back`);
+  }
+};
+
+// Puts the old binary (and repo version) back and restarts the daemon if it was running before
+const rollbackNativeKubo = async (cfg, { binary, previous, repoVersion, wasRunning }) => {
+  console.log(chalk.yellow('Rolling back to the previous Kubo binary...'));
+  try {
+    await killDaemon(cfg);
+  } catch {}
+  await placeBinary(previous, binary);
+  if (repoVersion && readRepoVersion() !== repoVersion) {
+    try {
+      await execLive(binary, ['repo', 'migrate', `--to=${repoVersion}`, '--allow-downgrade']);
+    } catch {
+      console.log(chalk.red(`Could not migrate the repo back to version ${repoVersion} – the old daemon may refuse to start`));
+    }
+  }
+  if (wasRunning && !(await restartDaemon(cfg))) {
+    console.log(chalk.red('The previous daemon did not come back up either'));
+  }
+};
+
+/**
+ * Swaps the ipfs binary in place, migrates the repo and checks the daemon
+ * comes up on the new version; anything failing after the swap rolls back.
+ * @returns {Promise<{ from: string, to: string, changed: boolean }>}
+ */
+const upgradeNativeKubo = async (cfg, { version, tarball, allowDowngrade }) => {
+  const binary = findIpfsBinary();
+  if (!binary) throw new Error("ipfs is not installed – run 'ipfs-swarm-cli init'");
+  const from = binaryVersion(binary);
+
+  return withKuboWorkDir(async (workDir) => {
+    const fetched = await fetchKubo({ version, tarball }, workDir);
+    if (fetched.version === from) return { from, to: from, changed: false };
+    checkDowngrade(from, fetched.version, allowDowngrade);
+
+    const wasRunning = await isDaemonRunning();
+    const repoVersion = readRepoVersion();
+    const previous = path.join(workDir, 'ipfs.previous');
+    fs.copyFileSync(binary, previous);
+
+    if (wasRunning) {
+      console.log(chalk.yellow('Stopping the daemon...'));
+      await killDaemon(cfg);
+    }
+    await placeBinary(fetched.binary, binary);
+    console.log(chalk.green(`Replaced ${binary} (${from} → ${fetched.version})`));
+
+    const rollback = { binary, previous, repoVersion, wasRunning };
+    try {
+      if (isIpfsInitialized()) await execLive(binary, ['repo', 'migrate']);
+      if (!(await restartDaemon(cfg))) throw new Error(`The daemon did not come up on Kubo ${fetched.version}`);
+    } catch (e) {
+      await reportStartupFailure(cfg);
+      await rollbackNativeKubo(cfg, rollback);
+      throw new Error(`${e.message} – rolled back to ${from}`);
+    }
+    if (!wasRunning) await killDaemon(cfg);
+    return { from, to: fetched.version, changed: true };
+  });
+};
+
+// Docker nodes switch images; the image's entrypoint migrates the repo on start
+const upgradeDockerKubo = async (cfg, { version, allowDowngrade }) => {
+  const from = kuboVersionFor(cfg);
+  if (version === from) return { from, to: from, changed: false };
+  checkDowngrade(from, version, allowDowngrade);
+
+  const state = await dockerNodeState();
+  if (!state) throw new Error(`Container ${containerName()} not found. Run 'ipfs-swarm-cli init --docker' first`);
+  await docker().ensureImage(kuboImage(version));
+
+  const next = { ...cfg, kuboVersion: version };
+  await createDockerNode(next);
+  await docker().startContainer(containerName());
+  if (!(await waitForDaemon(60000, null, { quiet: true }))) {
+    await reportStartupFailure(next);
+    console.log(chalk.yellow(`Rolling back to ${kuboImage(from)}...`));
+    await createDockerNode(cfg);
+    if (state.running) await docker().startContainer(containerName());
+    throw new Error(`The container did not come up on Kubo ${version} – rolled back to ${from}`);
+  }
+  if (!state.running) await docker().stopContainer(containerName());
+  return { from, to: version, changed: true };
+};
+
+/* ---------- metrics ---------- */
+// Everything is read from collectStatus() on each scrape, so the exporter
+// never reports anything `status` would not show.
+const DEFAULT_METRICS_PORT = 9464;
+const GO_DURATION_UNITS = { ns: 1e-9, us: 1e-6, 'µs': 1e-6, ms: 1e-3, s: 1, m: 60, h: 3600 };
+
+// Kubo prints latencies as Go durations, e.g. 1.234567ms or 1m2.5s
+const parseGoDuration = (text) => {
+  const parts = String(text || '').match(/\d+(?:\.\d+)?(?:ns|us|µs|ms|s|m|h)/g);
+  if (!parts) return null;
+  return parts.reduce((sum, part) => {
+    const [, value, unit] = part.match(/^([\d.]+)(\D+)$/);
+    return sum + parseFloat(value) * GO_DURATION_UNITS[unit];
+  }, 0);
+};
+
+const metricFamilies = (data) => {
+  const base = { profile: data.profile, node_type: data.nodeType, network_type: data.networkType };
+  const sample = (value, labels = {}) => ({ labels: { ...base, ...labels }, value });
+  const running = data.daemon.running;
+  const peers = data.peers || [];
+  const gauge = (name, help, samples) => ({ name: `ipfs_swarm_${name}`, help, type: 'gauge', samples });
+  const counter = (name, help, samples) => ({ name: `ipfs_swarm_${name}`, help, type: 'counter', samples });
+
+  return [
+    gauge('up', 'Whether the IPFS daemon answers on its RPC API', [sample(running)]),
+    gauge('info', 'Node identity', data.node ? [sample(1, { peer_id: data.node.id, agent_version: data.node.agentVersion })] : []),
+    gauge('daemon_uptime_seconds', 'Seconds since the daemon was last started by ipfs-swarm-cli', [
+      sample(running && data.lastStarted ? Math.max(0, Math.round((Date.now() - Date.parse(data.lastStarted)) / 1000)) : null),
+    ]),
+    gauge('peers_connected', 'Number of connected swarm peers', [sample(data.peers ? peers.length : null)]),
+    gauge('peer_latency_seconds', 'Latency to each connected peer', peers.map((peer) =>
+      sample(parseGoDuration(peer.latency), { peer: peer.peer, alias: peer.alias || undefined }))),
+    gauge('bootstrap_connected', 'Whether each configured bootstrap node is connected', (data.bootstrap || []).map((entry) =>
+      sample(entry.connected, { bootstrap: entry.peerId || entry.addr }))),
+    gauge('repo_size_bytes', 'Size of the Kubo repo', [sample(data.repo ? data.repo.repoSize : null)]),
+    gauge('repo_storage_max_bytes', 'Configured Datastore.StorageMax', [sample(data.repo ? data.repo.storageMax : null)]),
+    gauge('repo_objects', 'Number of objects in the Kubo repo', [sample(data.repo ? data.repo.numObjects : null)]),
+    counter('bandwidth_bytes_total', 'Bytes transferred since the daemon started', data.bandwidth ? [
+      sample(data.bandwidth.totalIn, { direction: 'in' }),
+      sample(data.bandwidth.totalOut, { direction: 'out' }),
+    ] : []),
+    gauge('bandwidth_rate_bytes_per_second', 'Current transfer rate', data.bandwidth ? [
+      sample(data.bandwidth.rateIn, { direction: 'in' }),
+      sample(data.bandwidth.rateOut, { direction: 'out' }),
+    ] : []),
+    gauge('tailscale_up', 'Whether Tailscale is running (Tailscale nodes only)', [sample(data.tailscale ? data.tailscale.running : null)]),
+  ];
+};
+
+const serveMetrics = ({ host, port }) => {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(pathname === '/' ? 200 : 404, { 'Content-Type': 'text/plain' });
+      res.end(pathname === '/' ? 'ipfs-swarm-cli metrics exporter – see /metrics\n' : 'Not found\n');
+      return;
+    }
+    try {
+      const data = await collectStatus(loadCfg());
+      res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+      res.end(renderMetrics(metricFamilies(data)));
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${e.message}\n`);
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+};
+
+/* ---------- commands ---------- */
+program
+  .option('--profile <name>', `Swarm profile to operate on (env: ${PROFILE_ENV})`, process.env[PROFILE_ENV] || DEFAULT_PROFILE)
+  .option('--json', 'Print one JSON document (status, info, debug, test, connect, doctor, probe, pin, peers, repo, config validate, tools --dry-run)')
+  .hook('preAction', () => {
+    if (program.opts().json) {
+      jsonMode = true;
+      chalk.level = 0;
+    }
+    try {
+      useProfile(program.opts().profile);
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
+    }
+  })
+  .hook('postAction', async () => {
+    for (const name of contactedProfiles) {
+      // A profile removed by this command (clean) must not be recreated
+      if (!exists(path.join(profileDir(name), 'config.json'))) continue;
+      try {
+        await withProfile(name, () => refreshPeerRegistry());
+      } catch {}
+    }
+  });
+
+const configCmd = program
+  .command('config')
+  .description("Read, change and check this profile's config.json");
+
+// Settings that reach the Kubo repo (desiredIpfsConfig) or the bootstrap list
+const KUBO_CFG_KEYS = ['networkType', 'basePort', 'apiPort', 'gatewayPort', 'tailscaleIP', 'connMgr', 'announce', 'exposeGateway',
+  'storageMax', 'gcWatermark', 'autoGc', 'gcPeriod', 'bootstrapMultiaddrs'];
+
+const collectConfigValidation = (file) => {
+  if (!exists(file)) return { ok: false, profile, file, problems: [`${file} does not exist`], migrations: [] };
+  const { cfg, from, applied, problems } = readCfgFile(file);
+  return {
+    ok: problems.length === 0,
+    profile,
+    file,
+    schemaVersion: from,
+    migratedVersion: cfg ? cfg.schemaVersion : null,
+    migrations: applied,
+    problems,
+  };
+};
+
+const renderConfigValidation = (data) => {
+  if (data.ok) console.log(chalk.green(`✅ ${data.file} is valid (schema v${data.migratedVersion})`));
+  else console.log(chalk.red(`❌ ${data.file} is invalid:`));
+  data.problems.forEach((problem) => console.log(chalk.red(`  • ${problem}`)));
+  if (data.migrations.length > 0) {
+    console.log(chalk.yellow(`Written in schema v${data.schemaVersion}; the next command that loads it migrates it:`));
+    data.migrations.forEach((migration) => console.log(chalk.white(`  ${migration}`)));
+  }
+};
+
+configCmd
+  .command('get')
+  .description('Print one setting (dotted keys reach nested ones), or the whole config')
+  .argument('[key]', 'Setting, e.g. basePort or connMgr.highWater')
+  .action((key) => {
+    const cfg = loadCfg();
+    if (!key) {
+      console.log(JSON.stringify(cfg, null, 2));
+      return;
+    }
+    if (!CONFIG_FIELDS[key.split('.')[0]]) {
+      console.error(chalk.red(`Error: unknown setting '${key}' (known: ${Object.keys(CONFIG_FIELDS).join(', ')})`));
+      process.exit(1);
+    }
+    const value = getSetting(cfg, key);
+    console.log(typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value, null, 2));
+  });
+
+configCmd
+  .command('set')
+  .description('Change a setting; the result is validated before it is saved')
+  .argument('<key>', 'Setting, e.g. basePort or connMgr.highWater')
+  .argument('<value>', 'New value: JSON, plain text, comma-separated for lists, or null to unset')
+  .action(async (key, text) => {
+    // Read without loadCfg's validation, so set can repair an invalid config.json
+    const { cfg: current, from, applied, problems: readProblems } = exists(CONFIG)
+      ? readCfgFile(CONFIG)
+      : { cfg: loadCfg(), from: null, applied: [], problems: [] };
+    if (!current) {
+      console.error(chalk.red(`❌ ${readProblems[0]}`));
+      console.error(chalk.yellow("Fix the file by hand, then check it with 'ipfs-swarm-cli config validate'"));
+      process.exit(1);
+    }
+    // Nested connMgr keys start from the defaults Kubo is configured with
+    if (key.startsWith('connMgr.') && !current.connMgr) current.connMgr = { ...DEFAULT_CONN_MGR };
+    let cfg;
+    try {
+      cfg = setSetting(current, key, parseSettingValue(key, text));
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
+    }
+    const problems = validateConfig(cfg);
+    if (problems.length > 0) {
+      console.error(chalk.red('❌ Not saved:'));
+      problems.forEach((problem) => console.error(chalk.red(`  • ${problem}`)));
+      process.exit(1);
+    }
+    if (applied.length > 0) fs.copyFileSync(CONFIG, `${CONFIG}.v${from}.bak`);
+    saveCfg(cfg);
+    console.log(chalk.green(`✅ ${key} = ${formatSetting(getSetting(cfg, key))}`));
+
+    const top = key.split('.')[0];
+    if (!KUBO_CFG_KEYS.includes(top)) return;
+    try {
+      const entries = desiredIpfsConfig(cfg, { listenHost: ipfsListenHost(cfg) });
+      if (top === 'bootstrapMultiaddrs') entries.push(['Bootstrap', cfg.bootstrapMultiaddrs]);
+      const { restartNeeded } = await applyKuboSettings(cfg, entries);
+      if (CONTAINER_CFG_KEYS.includes(top) || top === 'autoGc') await refreshDaemonDefinition(cfg);
+      if (restartNeeded && !isDockerNode(cfg)) {
+        console.log(chalk.yellow("Restart the daemon to load the new configuration: 'ipfs-swarm-cli stop && ipfs-swarm-cli start'"));
+      }
+    } catch (e) {
+      console.log(chalk.yellow(`⚠️  Saved, but the Kubo config could not be updated: ${e.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+configCmd
+  .command('validate')
+  .description('Check config.json against the schema without changing it')
+  .argument('[file]', "Config file to check (default: the profile's config.json)")
+  .action((file = CONFIG) => {
+    emit(collectConfigValidation(file), renderConfigValidation);
+  });
+
+program
+  .command('profiles')
+  .description('List configured swarm profiles')
+  .action(() => {
+    console.log(chalk.cyan('📂 Profiles:'));
+    listProfiles().forEach((name) => {
+      const { cfg, problems } = readCfgFile(path.join(profileDir(name), 'config.json'));
+      const marker = name === profile ? '*' : ' ';
+      if (problems.length > 0) {
+        console.log(chalk.red(`  ${marker} ${name} (invalid config – see 'ipfs-swarm-cli --profile ${name} config validate')`));
+        return;
+      }
+      console.log(chalk.white(`  ${marker} ${name} (${cfg.nodeType}, ${cfg.networkType}, port ${cfg.basePort}) – ${profileRepo(name)}`));
+    });
+  });
+
+program
   .command('debug')
   .description('Debug connection issues')
   .action(async () => {
-    const cfg = loadCfg();
+    emit(await collectDebug(loadCfg()), renderDebug);
+  });
+
+program
+  .command('connect')
+  .description('Manually connect to a peer')
+  .argument('<multiaddr>', 'Peer multiaddr to connect to')
+  .action(async (multiaddr) => {
+    const spin = spinner(`Connecting to ${multiaddr}`);
+    const data = await collectConnect(loadCfg(), multiaddr);
+    emit(data, () => {
+      // running is null when the multiaddr was rejected before asking the daemon
+      if (data.daemon.running === false) {
+        spin.stop();
+        renderDaemonDown(data);
+      } else if (data.ok) {
+        spin.succeed(`Connected successfully (${data.durationMs} ms)`);
+        if (data.peerCount !== null) {
+          console.log(chalk.green(`\n✅ Now connected to ${data.peerCount} peer(s)`));
+        }
+      } else {
+        spin.fail(`Connection failed: ${data.error}`);
+      }
+    });
+  });
+
+/* ---------- init progress ---------- */
+// See lib/init-state.js; the snapshot holds copies of the files init changes
+const initStatePath = () => path.join(CONFIG_DIR, 'init-state.json');
+const initSnapshotDir = () => path.join(CONFIG_DIR, 'init-snapshot');
+
+// Files init may change, by their name in the snapshot
+const snapshotTargets = () => ({
+  'config.json': CONFIG,
+  'swarm.key': SWARM_KEY_PATH,
+  'kubo-config': path.join(IPFS_PATH, 'config'),
+  'kubo-swarm.key': path.join(IPFS_PATH, 'swarm.key'),
+});
+
+const readFileOrNull = (file) => (exists(file) ? fs.readFileSync(file) : null);
+
+const readInitState = () => (exists(initStatePath()) ? parseInitState(fs.readFileSync(initStatePath(), 'utf8')) : null);
+
+const writeInitState = (state) => writeFileAtomic(initStatePath(), JSON.stringify(state, null, 2), 0o600);
+
+const clearInitState = () => {
+  fs.rmSync(initStatePath(), { force: true });
+  fs.rmSync(initSnapshotDir(), { recursive: true, force: true });
+};
+
+// contents: file name -> Buffer or null (did not exist), as read before anything changed
+const snapshotInto = (state, contents) => {
+  fs.mkdirSync(initSnapshotDir(), { recursive: true, mode: 0o700 });
+  const snapshot = { ...state.snapshot };
+  Object.entries(contents).forEach(([name, data]) => {
+    if (data !== null) fs.writeFileSync(path.join(initSnapshotDir(), name), data, { mode: 0o600 });
+    snapshot[name] = data !== null;
+  });
+  return { ...state, snapshot };
+};
+
+const snapshotFiles = (names) => Object.fromEntries(names.map((name) => [name, readFileOrNull(snapshotTargets()[name])]));
+
+// Puts every snapshotted file back (or removes it if init created it), then
+// brings the previous container / daemon back
+const rollbackInit = async (state) => {
+  const targets = snapshotTargets();
+  // Older state files do not say, so their repo is kept
+  const repoCreated = state.repoExisted === false && exists(IPFS_PATH);
+  if (repoCreated) {
+    fs.rmSync(IPFS_PATH, { recursive: true, force: true });
+    console.log(chalk.green(`Removed ${IPFS_PATH} (created by init)`));
+  }
+  Object.entries(state.snapshot).forEach(([name, existed]) => {
+    const live = targets[name];
+    if (repoCreated && live.startsWith(`${IPFS_PATH}${path.sep}`)) return;
+    if (existed) {
+      fs.mkdirSync(path.dirname(live), { recursive: true });
+      writeFileAtomic(live, fs.readFileSync(path.join(initSnapshotDir(), name)), name === 'config.json' ? 0o644 : 0o600);
+      console.log(chalk.green(`Restored ${live}`));
+    } else if (exists(live)) {
+      fs.unlinkSync(live);
+      console.log(chalk.green(`Removed ${live} (created by init)`));
+    }
+  });
+
+  const cfg = exists(CONFIG) ? loadCfgLenient() : null;
+  if (cfg && isDockerNode(cfg) && (await dockerNodeState())) await createDockerNode(cfg);
+  if (cfg && state.daemonWasRunning && !(await restartDaemon(cfg))) {
+    console.log(chalk.yellow("The previous daemon did not come back up – check 'ipfs-swarm-cli doctor'"));
+  }
+  clearInitState();
+};
+
+/* ---------- init ---------- */
+const printInitBanner = (cfg, docker) => {
+  // Docker nodes run the pinned image; native nodes show whatever binary is installed
+  const kubo = docker ? kuboVersionFor(cfg) : installedKuboVersion();
+  const kuboLine = kubo ? `Kubo v${kubo} – Private Network Setup` : 'Private Network Setup (Kubo not found)';
+  console.log(chalk.cyan(`
+╔════════════════════════════════════════════╗
+║     IPFS Swarm CLI – Private Swarm Manager ║
+║     ${kuboLine.padEnd(39)}║
+║     With Tailscale Integration             ║
+╚════════════════════════════════════════════╝
+`));
+};
+
+// Prompts / options -> the config init works towards. Nothing is changed yet,
+// except the swarm key of a join token (not in --dry-run).
+const prepareInit = async (options) => {
+  const cfg = options.dryRun ? loadCfgLenient() : loadCfg();
+  try {
+    if (options.kuboVersion) cfg.kuboVersion = normalizeKuboVersion(options.kuboVersion);
+    if (options.kuboTarball && !exists(options.kuboTarball)) throw new Error(`Kubo tarball not found: ${options.kuboTarball}`);
+  } catch (e) {
+    console.error(chalk.red(`Error: ${e.message}`));
+    process.exit(1);
+  }
+  printInitBanner(cfg, options.docker);
+
+  const notes = [];
+  if (options.token) {
+    try {
+      const invite = await resolveInvite(options.token, { dryRun: options.dryRun });
+      Object.assign(options, {
+        regular: true,
+        bootstrap: false,
+        tailscale: invite.networkType === 'tailscale',
+        swarmKey: invite.swarmKeyPath,
+        bootstrapAddr: invite.bootstrapMultiaddrs,
+      });
+      console.log(chalk.green(`Join token accepted (valid until ${invite.expiresAt.toISOString()})`));
+      invite.bootstrapMultiaddrs.forEach((addr) => console.log(chalk.white(`  Bootstrap: ${addr}`)));
+      console.log(chalk.white(`  Swarm key fingerprint: ${invite.swarmKeyFingerprint}`));
+      if (options.dryRun) notes.push(`Write the token's swarm key to ${invite.swarmKeyPath}`);
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
+    }
+  }
+  let answers = {};
+
+  // Interactive mode if no options provided
+  if (!options.bootstrap && !options.regular) {
+    answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'nodeType',
+        message: 'What type of node is this?',
+        choices: [
+          { name: 'Bootstrap Node (First/Primary node)', value: 'bootstrap' },
+          { name: 'Regular Node (Joins existing swarm)', value: 'regular' }
+        ]
+      },
+      {
+        type: 'list',
+        name: 'networkType',
+        message: 'How do you want to connect nodes?',
+        choices: [
+          { name: 'Normal IP (Public/LAN)', value: 'normal' },
+          { name: 'Tailscale (Secure mesh network)', value: 'tailscale' }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'basePort',
+        message: 'Base port number:',
+        default: cfg.basePort,
+        validate: (n) => !isNaN(n) && n > 1024 && n < 65535
+      }
+    ]);
+
+    // Additional prompts for regular nodes
+    if (answers.nodeType === 'regular') {
+      const regularAnswers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'swarmKeyPath',
+          message: 'Path to swarm key file:',
+          // Left by `clean --keep-identity` or an earlier join
+          default: exists(SWARM_KEY_PATH) ? SWARM_KEY_PATH : undefined,
+          validate: (file) => {
+            try {
+              verifySwarmKeyFile(file);
+              return true;
+            } catch (e) {
+              return e.message;
+            }
+          }
+        },
+        {
+          type: 'input',
+          name: 'bootstrapMultiaddrs',
+          message: 'Bootstrap node multiaddr(s), comma separated:',
+          filter: (input) => input.split(',').map((addr) => addr.trim()).filter(Boolean),
+          validate: (addrs) => {
+            if (addrs.length === 0) return 'At least one bootstrap multiaddr is required';
+            return addrs.map((addr) => multiaddrProblem(addr, { requirePeerId: true })).find(Boolean) || true;
+          }
+        }
+      ]);
+      Object.assign(answers, regularAnswers);
+    } else {
+      answers.bootstrapMultiaddrs = [];
+    }
+  } else {
+    // Command line mode
+    answers.nodeType = options.bootstrap ? 'bootstrap' : 'regular';
+    answers.networkType = options.tailscale ? 'tailscale' : 'normal';
+    answers.basePort = parseInt(options.port);
+    answers.swarmKeyPath = options.swarmKey || (answers.nodeType === 'regular' && exists(SWARM_KEY_PATH) ? SWARM_KEY_PATH : undefined);
+    answers.bootstrapMultiaddrs = options.bootstrapAddr || [];
+  }
+
+  // Update configuration; the swarm key path only becomes cfg.swarmKey once the key is set up
+  const { swarmKeyPath, ...settings } = answers;
+  Object.assign(cfg, settings, { basePort: parseInt(settings.basePort) });
+  cfg.runtime = options.docker ? 'docker' : 'native';
+
+  // Resolve API / gateway ports, skipping ports claimed by other profiles
+  try {
+    const taken = [parseInt(cfg.basePort), ...portsOfOtherProfiles()];
+    cfg.apiPort = await resolvePort(options.apiPort, parseInt(cfg.basePort) + 1000, taken);
+    if (cfg.apiPort) taken.push(cfg.apiPort);
+    cfg.gatewayPort = await resolvePort(options.gatewayPort, parseInt(cfg.basePort) + 4080, taken);
+  } catch (e) {
+    console.error(chalk.red(`Error: ${e.message}`));
+    process.exit(1);
+  }
+  
+  // Validate configuration
+  if (cfg.nodeType === 'regular') {
+    // A --dry-run join has the token's key in hand without having written it
+    const keyWritten = !(options.dryRun && options.token);
+    if (!swarmKeyPath || (keyWritten && !exists(swarmKeyPath))) {
+      console.error(chalk.red('Error: Swarm key file is required for regular nodes'));
+      process.exit(1);
+    }
+    try {
+      if (keyWritten) verifySwarmKeyFile(swarmKeyPath);
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
+    }
+    if (cfg.bootstrapMultiaddrs.length === 0) {
+      console.error(chalk.red('Error: Bootstrap multiaddr is required for regular nodes'));
+      process.exit(1);
+    }
+  }
+  for (const addr of cfg.bootstrapMultiaddrs) {
+    const problem = multiaddrProblem(addr, { requirePeerId: true });
+    if (problem) {
+      console.error(chalk.red(`Error: ${problem}`));
+      process.exit(1);
+    }
+  }
+
+
+  return { cfg, swarmKeyPath: swarmKeyPath || null, kubo: { tarball: options.kuboTarball ? path.resolve(options.kuboTarball) : null, user: !!options.kuboUser }, notes };
+};
+
+// `ipfs ...` as the user would type it for this profile
+const ipfsCommandLine = (args) => `${profile === DEFAULT_PROFILE ? '' : `IPFS_PATH=${IPFS_PATH} `}${formatCommand(ipfsBin(), args)}`;
+
+const commandLines = (commands) => commands.map(([cmd, args]) => `$ ${formatCommand(cmd, args)}`);
+
+// The config configureIpfs / the container will apply, with values later steps fill in
+const previewCfg = (cfg, swarmKeyPath) => ({
+  ...cfg,
+  swarmKey: cfg.swarmKey || (cfg.nodeType === 'bootstrap' ? SWARM_KEY_PATH : swarmKeyPath),
+  tailscaleIP: cfg.tailscaleIP || (cfg.networkType === 'tailscale' ? getTailscaleIP() || '<tailscale-ip>' : null),
+  // Native installs record the release they installed; containers keep the pin as given
+  ...(isDockerNode(cfg) ? {} : { kuboVersion: kuboVersionFor(cfg) }),
+  ...(exists(keptIdentityPath()) ? { nodeId: JSON.parse(fs.readFileSync(keptIdentityPath(), 'utf8')).PeerID } : {}),
+});
+
+// Each step has a plan() listing what it would run or change, for --dry-run.
+// Steps with `snapshot` copy those files into the init snapshot instead of running fn.
+const buildInitSteps = ({ cfg, swarmKeyPath, kubo }) => {
+  const stopStep = {
+    name: 'Stopping existing daemon',
+    fn: async () => {
+      try {
+        await killDaemon();
+      } catch (e) {
+        console.log(chalk.gray('No existing daemon to stop'));
+      }
+    },
+    plan: async () => {
+      const current = loadCfgLenient();
+      if (!(await isDaemonRunning(current))) return ['No daemon running'];
+      if (current.service) return commandLines(serviceStopCommands(current.service));
+      if (isDockerNode(current)) return [`$ docker stop ${containerName()}`];
+      return [`Shut down the daemon on ${apiUrl(current)}`];
+    },
+  };
+  const includeTailscale = cfg.networkType === 'tailscale';
+
+  // Docker nodes only need Docker on the host; the container initializes the repo
+  const steps = isDockerNode(cfg)
+    ? [
+        ...(includeTailscale && !isTailscaleInstalled()
+          ? [{ name: 'Installing Tailscale', fn: installTailscale, plan: () => commandLines(tailscaleInstallCommands()) }]
+          : []),
+        {
+          name: 'Preparing Docker',
+          fn: () => prepareDocker(cfg),
+          plan: () => [`Pull ${kuboImage(kuboVersionFor(cfg))} unless it is already present`],
+        },
+        stopStep,
+      ]
+    : [
+        {
+          name: 'Installing required tools',
+          fn: () => installTools({ includeTailscale }),
+          plan: () => {
+            const tools = collectToolPlan(includeTailscale);
+            const manual = tools.unavailable.map((name) => `Install ${TOOLS[name].binary} manually`);
+            return tools.commands.length + manual.length > 0 ? [...commandLines(tools.commands), ...manual] : ['All required tools are installed'];
+          },
+        },
+        {
+          name: 'Installing Kubo',
+          fn: async () => {
+            cfg.kuboVersion = await installKubo({ version: kuboVersionFor(cfg), ...kubo });
+          },
+          plan: () => kuboInstallPlan({ version: kuboVersionFor(cfg), ...kubo }),
+        },
+        stopStep,
+        {
+          name: 'Initializing IPFS',
+          fn: initializeIpfs,
+          plan: () => (isIpfsInitialized() ? [`Repo ${IPFS_PATH} is already initialized`] : [`$ ${ipfsCommandLine(['init', '--profile=server'])}`]),
+        },
+      ];
+
+  // Setup Tailscale if needed
+  if (includeTailscale) {
+    steps.push({
+      name: 'Setting up Tailscale',
+      fn: async () => {
+        const tailscaleIP = await setupTailscale();
+        cfg.tailscaleIP = tailscaleIP;
+        saveCfg(cfg);
+      },
+      plan: () => [...(getTailscaleStatus().running ? [] : ['$ sudo tailscale up']), 'config.json: set tailscaleIP to the Tailscale address'],
+    });
+  }
+
+  if (cfg.nodeType === 'bootstrap') {
+    steps.push({
+      name: 'Generating swarm key',
+      fn: () => {
+        cfg.swarmKey = generateSwarmKey();
+        saveCfg(cfg);
+      },
+      plan: () => [
+        exists(SWARM_KEY_PATH)
+          ? `Keep the existing swarm key ${SWARM_KEY_PATH} (fingerprint ${keyFileFingerprint(SWARM_KEY_PATH)})`
+          : `Write a new swarm key to ${SWARM_KEY_PATH}`,
+        `config.json: swarmKey = ${SWARM_KEY_PATH}`,
+      ],
+    });
+  } else {
+    steps.push({
+      name: 'Setting swarm key',
+      fn: () => {
+        cfg.swarmKey = swarmKeyPath;
+        saveCfg(cfg);
+      },
+      plan: () => [`config.json: swarmKey = ${swarmKeyPath}`],
+    });
+
+    // Test connection to bootstraps if using Tailscale
+    const hosts = cfg.bootstrapMultiaddrs
+      .map((addr) => parseMultiaddr(addr))
+      .filter(({ hostProtocol }) => hostProtocol === 'ip4' || hostProtocol === 'ip6')
+      .map(({ host }) => host);
+    if (includeTailscale && hosts.length > 0) {
+      steps.push({
+        name: 'Testing connection to bootstrap',
+        fn: async () => {
+          for (const host of hosts) {
+            await testTailscaleConnection(host);
+          }
+        },
+        plan: () => hosts.map((host) => `$ ping -c 3 -W 3 ${host}`),
+      });
+    }
+  }
+
+  const targets = snapshotTargets();
+  const preview = () => previewCfg(cfg, swarmKeyPath);
+  steps.push(
+    isDockerNode(cfg)
+      ? {
+          name: 'Creating Kubo container',
+          fn: () => createDockerNode(cfg),
+          plan: () => [
+            `Replace container ${containerName()} with one from ${kuboImage(kuboVersionFor(cfg))} (swarm port ${cfg.basePort}, API ${apiPort(cfg)}, gateway ${gatewayPort(cfg)})`,
+            `Write ${dockerInitScriptPath()}, which runs on every container start:`,
+            ...ipfsConfigCommands(preview(), { listenHost: '0.0.0.0' }).map((args) => `  $ ${formatCommand('ipfs', args)}`),
+          ],
+        }
+      : {
+          name: 'Configuring IPFS',
+          fn: () => configureIpfs(cfg),
+          plan: () => [
+            ...(preview().swarmKey ? [`Copy ${preview().swarmKey} to ${targets['kubo-swarm.key']}`] : []),
+            ...ipfsConfigCommands(preview()).map((args) => `$ ${ipfsCommandLine(args)}`),
+          ],
+        }
+  );
+
+  // Left behind by `clean --keep-identity`; removed once init has finished
+  if (exists(keptIdentityPath())) {
+    steps.push({
+      name: 'Restoring kept peer identity',
+      fn: () => adoptIdentity(cfg, JSON.parse(fs.readFileSync(keptIdentityPath(), 'utf8'))),
+      plan: () => {
+        const { PeerID } = JSON.parse(fs.readFileSync(keptIdentityPath(), 'utf8'));
+        return [`Put peer identity ${PeerID} from ${keptIdentityPath()} into ${targets['kubo-config']}`];
+      },
+    });
+  }
+
+  return steps;
+};
+
+const runInitSteps = async (state, steps, cfg) => {
+  let current = state;
+  for (const step of steps) {
+    if (isStepDone(current, step.name)) {
+      console.log(chalk.gray(`✔ ${step.name} (done in an earlier run)`));
+      continue;
+    }
+    const spin = spinner(step.name);
+    try {
+      await step.fn();
+      current = markStep(current, step.name, 'done', { cfg });
+      writeInitState(current);
+      spin.succeed();
+    } catch (e) {
+      spin.fail(e.message);
+      writeInitState(markStep(current, step.name, 'failed', { error: e.message, cfg }));
+      console.log(chalk.yellow("\nFix the problem and continue with 'ipfs-swarm-cli init --resume',"));
+      console.log(chalk.yellow("or return to the state before this init with 'ipfs-swarm-cli init --rollback'"));
+      process.exit(1);
+    }
+  }
+};
+
+const printInitPlan = async (steps, run, state) => {
+  console.log(chalk.cyan('📝 Dry run – nothing below is executed'));
+  run.notes.forEach((note) => console.log(chalk.white(`  ${note}`)));
+  for (const step of steps) {
+    if (isStepDone(state, step.name)) {
+      console.log(chalk.gray(`✔ ${step.name} (done in an earlier run)`));
+      continue;
+    }
+    console.log(chalk.yellow(`• ${step.name}`));
+    (await step.plan()).forEach((line) => console.log(chalk.gray(`    ${line}`)));
+  }
+
+  // Against the config as it stands once every step has run
+  const current = loadCfgLenient();
+  const next = previewCfg(run.cfg, run.swarmKeyPath);
+  const changes = Object.keys({ ...current, ...next })
+    .filter((key) => JSON.stringify(current[key]) !== JSON.stringify(next[key]));
+  console.log(chalk.cyan(`📄 ${CONFIG}:`));
+  if (changes.length === 0) console.log(chalk.gray('    No other changes'));
+  changes.forEach((key) => console.log(chalk.yellow(`  ~ ${key}: ${formatSetting(current[key])} → ${formatSetting(next[key])}`)));
+  console.log(chalk.gray(`Progress would be recorded in ${initStatePath()}`));
+};
+
+const printInitSummary = (cfg) => {
+  console.log(chalk.green('✅ Node initialization complete!'));
+  if (isDockerNode(cfg)) {
+    console.log(chalk.white(`  • Runtime: Docker container ${containerName()}`));
+  }
+  
+  if (cfg.nodeType === 'bootstrap') {
+    console.log(chalk.yellow('\n📋 Bootstrap Node Setup Complete:'));
+    console.log(chalk.white(`  • Network Type: ${cfg.networkType}`));
+    console.log(chalk.white(`  • Swarm key generated: ${cfg.swarmKey}`));
+    if (cfg.networkType === 'tailscale') {
+      console.log(chalk.white(`  • Tailscale IP: ${cfg.tailscaleIP}`));
+    }
+    console.log(chalk.white(`  • Share this key with other nodes`));
+    console.log(chalk.white(`  • Run 'ipfs-swarm-cli start' to begin`));
+  } else {
+    console.log(chalk.yellow('\n📋 Regular Node Setup Complete:'));
+    console.log(chalk.white(`  • Network Type: ${cfg.networkType}`));
+    cfg.bootstrapMultiaddrs.forEach((addr) => {
+      console.log(chalk.white(`  • Connected to bootstrap: ${addr}`));
+    });
+    if (cfg.networkType === 'tailscale') {
+      console.log(chalk.white(`  • Tailscale IP: ${cfg.tailscaleIP}`));
+    }
+    console.log(chalk.white(`  • Run 'ipfs-swarm-cli start' to join swarm`));
+  }
+};
+
+const initNode = async (options) => {
+  let state;
+  try {
+    state = readInitState();
+  } catch (e) {
+    console.error(chalk.red(`Error: ${e.message} – delete ${initStatePath()} to start over`));
+    process.exit(1);
+  }
+
+  if (options.rollback) {
+    if (options.resume || options.dryRun) {
+      console.error(chalk.red('Error: --rollback cannot be combined with --resume or --dry-run'));
+      process.exit(1);
+    }
+    if (!state) {
+      console.log(chalk.yellow('No unfinished init to roll back'));
+      return;
+    }
+    try {
+      await rollbackInit(state);
+    } catch (e) {
+      console.error(chalk.red(`❌ Rollback failed: ${e.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.green('✅ Rolled back to the state before init'));
+    return;
+  }
+
+  if (options.resume && !state) {
+    console.error(chalk.red('Error: No unfinished init to resume'));
+    process.exit(1);
+  }
+  if (!options.resume && state && !options.dryRun) {
+    const failed = failedStep(state);
+    console.error(chalk.red(`Error: A previous init stopped${failed ? ` at '${failed.name}' (${failed.error})` : ''}`));
+    console.error(chalk.yellow("Continue it with 'ipfs-swarm-cli init --resume' or undo it with 'ipfs-swarm-cli init --rollback'"));
+    process.exit(1);
+  }
+
+  // Read before prepareInit, which already writes a join token's swarm key, and
+  // before any step: a repo init creates must be removed by a rollback, not restored
+  const before = options.resume || options.dryRun ? null : snapshotFiles(Object.keys(snapshotTargets()));
+  const repoExisted = exists(IPFS_PATH);
+  let run;
+  if (options.resume) {
+    run = { cfg: state.cfg, swarmKeyPath: state.swarmKeyPath, kubo: state.kubo, notes: [] };
+    printInitBanner(run.cfg, isDockerNode(run.cfg));
+    const failed = failedStep(state);
+    console.log(chalk.yellow(`Resuming init from ${state.startedAt}${failed ? `, retrying '${failed.name}'` : ''}`));
+  } else {
+    run = await prepareInit(options);
+  }
+
+  const steps = buildInitSteps(run);
+  if (options.dryRun) {
+    await printInitPlan(steps, run, options.resume ? state : null);
+    return;
+  }
+
+  if (!options.resume) {
+    state = createInitState({ ...run, daemonWasRunning: await isDaemonRunning(), repoExisted, steps: steps.map((step) => step.name) });
+    state = snapshotInto(state, before);
+    writeInitState(state);
+  }
+  await runInitSteps(state, steps, run.cfg);
+
+  saveCfg(run.cfg);
+  if (exists(keptIdentityPath()) && steps.some((step) => step.name === 'Restoring kept peer identity')) {
+    fs.unlinkSync(keptIdentityPath());
+  }
+  clearInitState();
+  printInitSummary(run.cfg);
+};
+
+program
+  .command('init')
+  .description('Initialize IPFS swarm node')
+  .option('--bootstrap', 'Set up as bootstrap node')
+  .option('--regular', 'Set up as regular node')
+  .option('--tailscale', 'Use Tailscale networking')
+  .option('--normal', 'Use normal IP networking')
+  .option('--swarm-key <path>', "Path to existing swarm key file (default: the profile's swarm.key, if there is one)")
+  .option('--bootstrap-addr <addr...>', 'Bootstrap node multiaddr(s)')
+  .option('--port <port>', 'Base port number', '4001')
+  .option('--api-port <port>', "API port, or 'auto' to pick a free one (default: port + 1000)")
+  .option('--gateway-port <port>', "Gateway port, or 'auto' to pick a free one (default: port + 4080)")
+  .option('--docker', 'Run Kubo in a Docker container instead of installing the binary')
+  .option('--kubo-version <version>', `Kubo release to install (default: ${KUBO_VERSION})`)
+  .option('--kubo-tarball <path>', 'Install from a downloaded release tarball (needs <path>.sha512 next to it)')
+  .option('--kubo-user', `Install the ipfs binary to ~/.local/bin instead of ${KUBO_SYSTEM_DIR} (no sudo)`)
+  .option('--dry-run', 'List the commands and config changes without running them')
+  .option('--resume', 'Continue an init that failed, at the failed step')
+  .option('--rollback', 'Undo an init that failed, restoring the files it changed')
+  .option('--token <token>', `Join token from 'invite create' (implies --regular; an encrypted token's passphrase is prompted, or env: ${PASSPHRASE_ENV})`)
+  .action((options) => initNode(options));
+
+program
+  .command('invite')
+  .description('Create join tokens for new nodes')
+  .command('create')
+  .description('Print a token holding the swarm key and bootstrap addresses')
+  .option('--expires <duration>', 'Validity, e.g. 30m, 12h, 7d', '24h')
+  .option('--passphrase', `Encrypt the token with a passphrase (prompted, or env: ${PASSPHRASE_ENV})`)
+  .action(async (options) => {
+    const cfg = loadCfg();
+
+    if (cfg.nodeType !== 'bootstrap') {
+      console.error(chalk.red('Error: Join tokens can only be created on a bootstrap node'));
+      process.exit(1);
+    }
+    if (!cfg.swarmKey || !exists(cfg.swarmKey)) {
+      console.error(chalk.red("Error: No swarm key configured. Run 'ipfs-swarm-cli init --bootstrap' first"));
+      process.exit(1);
+    }
+
+    let peerId = cfg.nodeId;
+    if (!peerId && isIpfsInitialized()) peerId = readRepoPeerId();
+    if (!peerId) {
+      console.error(chalk.red("Error: Peer ID unknown. Run 'ipfs-swarm-cli init' first"));
+      process.exit(1);
+    }
+
+    let expiresAt;
+    try {
+      expiresAt = new Date(Date.now() + parseDuration(options.expires));
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
+    }
+
+    const passphrase = options.passphrase
+      ? process.env[PASSPHRASE_ENV] || (await promptPassphrase('Passphrase to encrypt the token:'))
+      : null;
+
+    // Include the other bootstrap nodes so new nodes survive this one going down
+    const bootstrapAddrs = [...new Set([...(await shareableMultiaddrs(cfg, peerId)), ...cfg.bootstrapMultiaddrs])];
+    const token = createInviteToken({
+      swarmKeyHex: parseSwarmKey(fs.readFileSync(cfg.swarmKey, 'utf8')).toString('hex'),
+      bootstrapAddrs,
+      networkType: cfg.networkType,
+      expiresAt,
+    }, { passphrase });
+
+    console.log(chalk.cyan('🎟️  Join Token:'));
+    console.log(token);
+    console.log(chalk.yellow('\n📋 Token contents:'));
+    console.log(chalk.white(`  Network Type: ${cfg.networkType}`));
+    console.log(chalk.white(`  Swarm key fingerprint: ${keyFileFingerprint(cfg.swarmKey)}`));
+    console.log(chalk.white(`  Expires: ${expiresAt.toISOString()}`));
+    console.log(chalk.white(`  Encrypted: ${passphrase ? 'yes' : 'no'}`));
+    bootstrapAddrs.forEach((addr) => console.log(chalk.white(`  Bootstrap: ${addr}`)));
+    console.log(chalk.yellow('\n⚠️  The token contains the swarm key – share it only with trusted nodes'));
+    console.log(chalk.white(`  On the new node run: ipfs-swarm-cli join <token>`));
+  });
+
+program
+  .command('join')
+  .description('Set up a regular node from a join token')
+  .argument('<token>', `Token printed by 'invite create' (an encrypted token's passphrase is prompted, or env: ${PASSPHRASE_ENV})`)
+  .option('--port <port>', 'Base port number', '4001')
+  .option('--api-port <port>', "API port, or 'auto' to pick a free one (default: port + 1000)")
+  .option('--gateway-port <port>', "Gateway port, or 'auto' to pick a free one (default: port + 4080)")
+  .option('--docker', 'Run Kubo in a Docker container instead of installing the binary')
+  .option('--kubo-version <version>', `Kubo release to install (default: ${KUBO_VERSION})`)
+  .option('--kubo-tarball <path>', 'Install from a downloaded release tarball (needs <path>.sha512 next to it)')
+  .option('--kubo-user', `Install the ipfs binary to ~/.local/bin instead of ${KUBO_SYSTEM_DIR} (no sudo)`)
+  .option('--dry-run', 'List the commands and config changes without running them')
+  .option('--resume', 'Continue an init that failed, at the failed step')
+  .option('--rollback', 'Undo an init that failed, restoring the files it changed')
+  .action((token, options) => initNode({ ...options, token }));
+
+program
+  .command('start')
+  .description('Start IPFS daemon')
+  .option('--check', 'Run the doctor checks first and abort if any fails')
+  .action(async (options) => {
+    const cfg = loadCfg();
+
+    if (options.check) {
+      const report = await runDoctor(cfg);
+      renderDoctor(report);
+      if (!report.ok) process.exit(1);
+      console.log();
+    }
+
+    // Check Tailscale if needed
+    if (cfg.networkType === 'tailscale') {
+      const status = getTailscaleStatus();
+      if (!status.running) {
+        console.log(chalk.red('❌ Tailscale is not running'));
+        console.log(chalk.yellow('Please run: sudo tailscale up'));
+        console.log(chalk.cyan('Or visit: https://login.tailscale.com/ to authenticate'));
+        return;
+      }
+      console.log(chalk.green(`✅ Tailscale connected: ${status.ip} (${status.hostname})`));
+    }
+    
+    if (await isDaemonRunning()) {
+      console.log(chalk.yellow('IPFS daemon is already running'));
+      return;
+    }
+
+    console.log(chalk.blue(`Starting ${cfg.nodeType} node (${cfg.networkType} network, profile ${profile})...`));
+    
+    let pid;
+    try {
+      pid = await startDaemon(cfg);
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exit(1);
+    }
+    
+    // Wait for daemon to start
+    const started = await waitForDaemon(20000, pid);
+    if (!started) {
+      console.error(chalk.red('\n❌ Daemon failed to start'));
+      await reportStartupFailure(cfg);
+      process.exit(1);
+    }
+    
+    console.log(chalk.green('✅ IPFS daemon started successfully'));
+    
+    // Update last started time
+    cfg.lastStarted = new Date().toISOString();
+    
+    // Get and display node information
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    try {
+      const peerId = await getPeerId();
+      cfg.nodeId = peerId;
+      saveCfg(cfg);
+      
+      console.log(chalk.cyan('\n📊 Node Information:'));
+      console.log(chalk.white(`  Node ID: ${peerId}`));
+      console.log(chalk.white(`  Type: ${cfg.nodeType}`));
+      console.log(chalk.white(`  Network: ${cfg.networkType}`));
+      console.log(chalk.white(`  Port: ${cfg.basePort}`));
+      
+      if (cfg.nodeType === 'bootstrap') {
+        await printBootstrapShareInfo(cfg, peerId);
+      } else {
+        console.log(chalk.yellow('\n🔗 Regular Node Connected'));
+        cfg.bootstrapMultiaddrs.forEach((addr) => {
+          console.log(chalk.white(`  Bootstrap: ${addr}`));
+        });
+        if (cfg.networkType === 'tailscale') {
+          console.log(chalk.white(`  Tailscale IP: ${cfg.tailscaleIP}`));
+        }
+      }
+    } catch (e) {
+      console.error(chalk.yellow(`ℹ️  Node started successfully. Use 'info' command for connection details.`));
+    }
+  });
+
+program
+  .command('logs')
+  .description('Show daemon output')
+  .option('-n, --lines <n>', 'Number of lines to show', '50')
+  .option('-f, --follow', 'Keep printing new output')
+  .action(async (options) => {
+    const cfg = loadCfg();
+    const lines = parseInt(options.lines) || 50;
+
+    if (isDockerNode(cfg) && !cfg.service) {
+      try {
+        if (options.follow) {
+          await docker().followContainerLogs(containerName(), { tail: lines, out: process.stdout });
+        } else {
+          (await docker().containerLogs(containerName(), { tail: lines })).forEach((line) => console.log(line));
+        }
+      } catch (e) {
+        console.error(chalk.red(`❌ ${e.message}`));
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (!exists(LOG_PATH)) {
+      console.log(chalk.yellow(`No daemon log yet (${LOG_PATH})`));
+      if (!options.follow) return;
+    }
+    readLastLines(LOG_PATH, lines).forEach((line) => console.log(line));
+    if (!options.follow) return;
+
+    // Poll for appended output; start over when the log gets rotated
+    let position = exists(LOG_PATH) ? fs.statSync(LOG_PATH).size : 0;
+    fs.watchFile(LOG_PATH, { interval: 500 }, (curr) => {
+      if (curr.size < position) position = 0;
+      if (curr.size === position) return;
+      const stream = fs.createReadStream(LOG_PATH, { start: position, end: curr.size - 1 });
+      position = curr.size;
+      stream.pipe(process.stdout, { end: false });
+    });
+  });
+
+// Foreground supervisor behind start and the service: pipes the daemon's output
+// into the size-rotated log and passes stop signals on
+program
+  .command('run-daemon', { hidden: true })
+  .description('Run ipfs daemon in the foreground, logging to the rotating daemon log')
+  .option('--ipfs <path>', 'ipfs binary to run')
+  .option('--migrate', 'Pass --migrate=true to the daemon')
+  .option('--enable-gc', 'Pass --enable-gc to the daemon')
+  .action((options) => {
+    if (!exists(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    const log = createRotatingLog(LOG_PATH);
+    log.write(`\n=== ipfs daemon starting ${new Date().toISOString()} ===\n`);
+    const args = ['daemon', ...(options.migrate ? ['--migrate=true'] : []), ...(options.enableGc ? ['--enable-gc'] : [])];
+    const daemonProcess = spawn(options.ipfs || ipfsBin(), args, { stdio: ['ignore', 'pipe', 'pipe'], env: ipfsEnv() });
+    daemonProcess.stdout.on('data', log.write);
+    daemonProcess.stderr.on('data', log.write);
+    ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => process.on(signal, () => daemonProcess.kill(signal)));
+
+    const finish = (message, code) => {
+      log.write(`=== ${message} ${new Date().toISOString()} ===\n`);
+      log.close();
+      process.exit(code);
+    };
+    daemonProcess.on('error', (e) => finish(`ipfs daemon failed to start: ${e.message}`, 1));
+    daemonProcess.on('close', (code, signal) =>
+      finish(`ipfs daemon exited (${signal || `code ${code}`})`, code === null ? 1 : code));
+  });
+
+program
+  .command('tailscale')
+  .description('Manage Tailscale connection')
+  .action(async () => {
+    if (!isTailscaleInstalled()) {
+      console.log(chalk.red('❌ Tailscale is not installed'));
+      const { install } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'install',
+          message: 'Would you like to install Tailscale?',
+          default: true,
+        },
+      ]);
+      
+      if (install) {
+        await installTailscale();
+      } else {
+        return;
+      }
+    }
+
+    const status = getTailscaleStatus();
+    
+    console.log(chalk.cyan('📡 Tailscale Status:'));
+    console.log(chalk.white(`  Installed: ${isTailscaleInstalled() ? '✅' : '❌'}`));
+    console.log(chalk.white(`  Running: ${status.running ? '✅' : '❌'}`));
+    console.log(chalk.white(`  Logged In: ${status.loggedIn ? '✅' : '❌'}`));
+    
+    if (status.ip) {
+      console.log(chalk.white(`  IP Address: ${status.ip}`));
+    }
     
+    if (status.hostname) {
+      console.log(chalk.white(`  Hostname: ${status.hostname}`));
+    }
+
+    if (!status.running) {
+      console.log(chalk.yellow('\n🔧 To start Tailscale:'));
+      console.log(chalk.white('  sudo tailscale up'));
+      console.log(chalk.cyan('  Then visit: https://login.tailscale.com/'));
+      
+      const { startNow } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'startNow',
+          message: 'Would you like to start Tailscale now?',
+          default: true,
+        },
+      ]);
+      
+      if (startNow) {
+        await setupTailscale();
+      }
+    }
+  });
+
+program
+  .command('stop')
+  .description('Stop IPFS daemon')
+  .action(async () => {
+    const spin = spinner('Stopping IPFS daemon');
+    try {
+      await killDaemon();
+      spin.succeed();
+    } catch (e) {
+      spin.fail(e.message);
+    }
+  });
+
+program
+  .command('watch')
+  .description('Supervise the node: restart the daemon and reconnect bootstraps when needed')
+  .option('--interval <seconds>', 'Seconds between checks', '30')
+  .option('--min-peers <n>', 'Reconnect to the bootstraps below this many peers', '1')
+  .option('--max-backoff <seconds>', 'Longest wait between repair attempts', '600')
+  .option('--no-restart', 'Report a dead daemon but do not restart it')
+  .option('--webhook <url>', 'POST every event as JSON to this URL')
+  .option('--exec <command>', 'Run this shell command for every event (event JSON on stdin)')
+  .option('--once', 'Run a single check and exit')
+  .action(async (options) => {
+    const interval = parseInt(options.interval);
+    const minPeers = parseInt(options.minPeers);
+    const maxBackoff = parseInt(options.maxBackoff);
+    if (!(interval > 0) || !(minPeers >= 0) || !(maxBackoff > 0)) {
+      console.error(chalk.red('Error: --interval, --min-peers and --max-backoff must be numbers'));
+      process.exit(1);
+    }
+    if (options.webhook && checkRpcUrl(options.webhook)) {
+      console.error(chalk.red(`Error: Invalid webhook URL: ${options.webhook}`));
+      process.exit(1);
+    }
+
+    loadCfg();
+    const notify = createNotifier({ webhook: options.webhook, exec: options.exec });
+    const state = {
+      daemonDown: false,
+      peersLow: false,
+      tailscaleDown: false,
+      restartBackoff: createBackoff(Math.min(5000, maxBackoff * 1000), maxBackoff * 1000),
+      reconnectBackoff: createBackoff(Math.min(5000, maxBackoff * 1000), maxBackoff * 1000),
+      announceBackoff: createBackoff(Math.min(5000, maxBackoff * 1000), maxBackoff * 1000),
+      tailscaleIpSeen: null,
+    };
+    const settings = { restart: options.restart, minPeers };
+
+    const stop = async (signal) => {
+      await notify('info', 'watch-stopped', `Stopped watching (${signal})`);
+      process.exit(0);
+    };
+    process.once('SIGINT', () => stop('SIGINT'));
+    process.once('SIGTERM', () => stop('SIGTERM'));
+
+    if (!options.once) {
+      await notify('info', 'watch-started', `Watching profile ${profile} every ${interval}s (log: ${watchLogPath()})`);
+    }
+    for (;;) {
+      try {
+        await watchTick(state, settings, notify);
+      } catch (e) {
+        await notify('error', 'watch-error', e.message);
+      }
+      if (options.once) return;
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+  });
+
+const metrics = program
+  .command('metrics')
+  .description('Prometheus metrics for swarm health');
+
+metrics
+  .command('serve')
+  .description('Serve Prometheus metrics over HTTP')
+  .option('--port <port>', 'Port to listen on', String(DEFAULT_METRICS_PORT))
+  .option('--host <host>', 'Address to bind (0.0.0.0 lets a remote Prometheus scrape it)', '127.0.0.1')
+  .action(async (options) => {
+    const port = parseInt(options.port);
+    if (!(port > 0 && port < 65536)) {
+      console.error(chalk.red('Error: --port must be a port number'));
+      process.exit(1);
+    }
+    loadCfg();
+    try {
+      await serveMetrics({ host: options.host, port });
+    } catch (e) {
+      console.error(chalk.red(`❌ Cannot listen on ${options.host}:${port}: ${e.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Serving metrics for profile ${profile} on http://${options.host}:${port}/metrics`));
+  });
+
+const repoCmd = program
+  .command('repo')
+  .description('Repo usage, storage quota and garbage collection');
+
+repoCmd
+  .command('stat')
+  .description('Show repo usage against the storage quota')
+  .action(async () => {
+    emit(await collectRepoStat(loadCfg()), renderRepoStat);
+  });
+
+repoCmd
+  .command('quota')
+  .description('Set the storage quota (Datastore.StorageMax) and GC watermark')
+  .argument('<size>', 'Quota, e.g. 500MB, 10GB or 1TiB')
+  .option('--watermark <percent>', 'Usage (in % of the quota) at which periodic GC runs', String(DEFAULT_GC_WATERMARK))
+  .action(async (size, options) => {
+    const bytes = parseSize(size);
+    const watermark = parseInt(options.watermark);
+    if (!bytes) {
+      console.error(chalk.red(`Error: '${size}' is not a size (examples: 500MB, 10GB, 1TiB)`));
+      process.exit(1);
+    }
+    if (!(watermark > 0 && watermark <= 100)) {
+      console.error(chalk.red('Error: --watermark must be a percentage between 1 and 100'));
+      process.exit(1);
+    }
+
+    const cfg = { ...loadCfg(), storageMax: size.replace(/\s+/g, ''), gcWatermark: watermark };
+    try {
+      const { restartNeeded } = await applyKuboSettings(cfg, [
+        ['Datastore.StorageMax', cfg.storageMax],
+        ['Datastore.StorageGCWatermark', watermark],
+      ]);
+      saveCfg(cfg);
+      console.log(chalk.green(`✅ Storage quota set to ${cfg.storageMax} (${formatBytes(bytes)}), GC watermark ${watermark}%`));
+      if (!cfg.autoGc) console.log(chalk.gray("Kubo only enforces the quota with periodic GC – see 'ipfs-swarm-cli repo auto-gc on'"));
+      if (restartNeeded) {
+        console.log(chalk.yellow("Restart the daemon to load the new configuration: 'ipfs-swarm-cli stop && ipfs-swarm-cli start'"));
+      }
+    } catch (e) {
+      console.error(chalk.red(`❌ Failed to set the quota: ${e.message}`));
+      process.exit(1);
+    }
+  });
+
+repoCmd
+  .command('gc')
+  .description('Remove unpinned content from the repo')
+  .option('--dry-run', 'List the unpinned blocks that would be removed')
+  .option('--limit <n>', 'Number of CIDs to list', '20')
+  .action(async (options) => {
+    const limit = parseInt(options.limit);
+    if (!(limit >= 0)) {
+      console.error(chalk.red('Error: --limit must be a number'));
+      process.exit(1);
+    }
+
+    const spin = spinner(options.dryRun ? 'Looking for unpinned content' : 'Collecting garbage');
+    const data = await collectRepoGc(loadCfg(), { dryRun: !!options.dryRun });
+    spin.stop();
+    emit(data, (result) => renderRepoGc(result, { limit }));
+  });
+
+repoCmd
+  .command('auto-gc')
+  .description('Turn periodic garbage collection on or off')
+  .argument('<state>', 'on or off')
+  .option('--period <duration>', 'Time between GC runs, e.g. 30m or 1h', DEFAULT_GC_PERIOD)
+  .action(async (state, options) => {
+    if (!['on', 'off'].includes(state)) {
+      console.error(chalk.red("Error: state must be 'on' or 'off'"));
+      process.exit(1);
+    }
+    if (!(parseGoDuration(options.period) > 0)) {
+      console.error(chalk.red(`Error: '${options.period}' is not a duration (examples: 30m, 1h)`));
+      process.exit(1);
+    }
+
+    const cfg = { ...loadCfg(), autoGc: state === 'on', gcPeriod: options.period };
+    let restartNeeded;
+    try {
+      ({ restartNeeded } = await applyKuboSettings(cfg, cfg.autoGc ? [['Datastore.GCPeriod', cfg.gcPeriod]] : []));
+      saveCfg(cfg);
+      await refreshDaemonDefinition(cfg);
+    } catch (e) {
+      console.error(chalk.red(`❌ Failed to update periodic GC: ${e.message}`));
+      process.exit(1);
+    }
+
+    console.log(chalk.green(cfg.autoGc ? `✅ Periodic GC enabled (every ${cfg.gcPeriod})` : '✅ Periodic GC disabled'));
+    if (cfg.autoGc && !cfg.storageMax) {
+      console.log(chalk.gray("No quota set – GC runs at 90% of Kubo's default 10GB; see 'ipfs-swarm-cli repo quota'"));
+    }
+    // A recreated container is already running with the new command line
+    if (restartNeeded && !isDockerNode(cfg)) {
+      console.log(chalk.yellow("Restart the daemon to apply it: 'ipfs-swarm-cli stop && ipfs-swarm-cli start'"));
+    }
+  });
+
+const kuboCmd = program
+  .command('kubo')
+  .description('Manage the Kubo (ipfs) installation');
+
+kuboCmd
+  .command('upgrade')
+  .description('Switch to another Kubo release, rolling back if the daemon does not come up')
+  .option('--kubo-version <version>', 'Kubo release to switch to', KUBO_VERSION)
+  .option('--kubo-tarball <path>', 'Use a downloaded release tarball (needs <path>.sha512 next to it)')
+  .option('--allow-downgrade', 'Allow switching to an older release')
+  .action(async (options) => {
+    const cfg = loadCfg();
+    let result;
+    try {
+      const version = normalizeKuboVersion(options.kuboVersion);
+      if (options.kuboTarball && isDockerNode(cfg)) throw new Error('--kubo-tarball only applies to native nodes');
+      const upgrade = { version, tarball: options.kuboTarball, allowDowngrade: !!options.allowDowngrade };
+      result = isDockerNode(cfg) ? await upgradeDockerKubo(cfg, upgrade) : await upgradeNativeKubo(cfg, upgrade);
+    } catch (e) {
+      console.error(chalk.red(`❌ Kubo upgrade failed: ${e.message}`));
+      process.exit(1);
+    }
+
+    if (!result.changed) {
+      console.log(chalk.green(`✅ Kubo ${result.to} is already installed`));
+    } else {
+      console.log(chalk.green(`✅ Upgraded Kubo ${result.from} → ${result.to}`));
+    }
+    // Re-read: the daemon restart recorded lastStarted
+    saveCfg({ ...loadCfg(), kuboVersion: result.to });
+
+    const others = listProfiles()
+      .filter((name) => name !== profile)
+      .filter((name) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(profileDir(name), 'config.json'))).runtime !== 'docker';
+        } catch {
+          return false;
+        }
+      });
+    if (result.changed && !isDockerNode(cfg) && others.length > 0) {
+      console.log(chalk.yellow(`Profiles ${others.join(', ')} share this binary – restart their daemons to run ${result.to}`));
+    }
+  });
+
+program
+  .command('status')
+  .description('Show swarm status')
+  .action(async () => {
+    emit(await collectStatus(loadCfg()), renderStatus);
+  });
+
+program
+  .command('info')
+  .description('Show configuration and connection info')
+  .action(async () => {
+    emit(await collectInfo(loadCfg()), renderInfo);
+  });
+
+program
+  .command('test')
+  .description('Test IPFS functionality')
+  .action(async () => {
+    const spin = spinner('Testing IPFS functionality');
+    const data = await collectTest(loadCfg());
+    emit(data, () => {
+      if (!data.daemon.running) {
+        spin.stop();
+        renderDaemonDown(data);
+      } else if (data.ok) {
+        spin.succeed();
+        console.log(chalk.green(`✅ Test successful! CID: ${data.cid} (${data.timing.totalMs} ms)`));
+      } else {
+        spin.fail(data.error);
+      }
+    });
+  });
+
+program
+  .command('add')
+  .description('Add a file or directory to IPFS through the daemon')
+  .argument('<path>', 'File or directory (directories are added recursively)')
+  .option('-w, --wrap', 'Wrap the content in a directory')
+  .option('--no-pin', 'Do not pin the added content')
+  .action(async (target, options) => {
+    if (!(await isDaemonRunning())) {
+      console.log(chalk.red('❌ IPFS daemon is not running'));
+      process.exit(1);
+    }
+    try {
+      const tree = await addPath(loadCfg(), target, { wrap: options.wrap, pin: options.pin });
+      console.log(chalk.green(`\n✅ Added ${target}${options.pin ? ' (pinned)' : ''}`));
+      printCidTree(tree);
+    } catch (e) {
+      console.error(chalk.red(`\n❌ ${e.message}`));
+      if (exists(transferStatePath('add', path.resolve(target)))) {
+        console.log(chalk.gray('Run the same command again to resume'));
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('get')
+  .description('Download a CID (file or directory) through the daemon')
+  .argument('<cid>', 'CID to download')
+  .argument('[dest]', 'Output path (default: ./<cid>)')
+  .option('--force', 'Overwrite an existing destination')
+  .action(async (cid, dest, options) => {
     if (!(await isDaemonRunning())) {
       console.log(chalk.red('❌ IPFS daemon is not running'));
+      process.exit(1);
+    }
+    try {
+      const tree = await getCid(loadCfg(), cid, dest, { force: options.force });
+      console.log(chalk.green(`\n✅ Saved to ${path.resolve(dest || cid)}`));
+      printCidTree(tree);
+    } catch (e) {
+      console.error(chalk.red(`\n❌ ${e.message}`));
+      if (exists(transferStatePath('get', `${cid}:${path.resolve(dest || cid)}`))) {
+        console.log(chalk.gray('Run the same command again to resume'));
+      }
+      process.exit(1);
+    }
+  });
+
+const pin = program
+  .command('pin')
+  .description('Keep content pinned on several swarm nodes');
+
+const parseReplicationTimeout = (value) => {
+  const timeout = parseInt(value);
+  if (!(timeout > 0)) {
+    console.error(chalk.red('Error: --timeout must be a positive number'));
+    process.exit(1);
+  }
+  return timeout * 1000;
+};
+
+pin
+  .command('replicate')
+  .description('Pin a CID on N nodes from this node and the node list')
+  .argument('<cid>', 'CID to replicate')
+  .option('--factor <n>', 'Number of nodes that should pin it', '2')
+  .option('--timeout <seconds>', 'Per-node pin timeout (pinning fetches the content)', '300')
+  .action(async (cid, options) => {
+    const factor = parseInt(options.factor);
+    if (!(factor > 0)) {
+      console.error(chalk.red('Error: --factor must be a positive number'));
+      process.exit(1);
+    }
+    const timeout = parseReplicationTimeout(options.timeout);
+
+    const spin = spinner(`Replicating ${cid} to ${factor} node(s)`);
+    const data = await collectReplicate(loadCfg(), cid, { factor, timeout });
+    spin.stop();
+    emit(data, renderReplicate);
+  });
+
+pin
+  .command('status')
+  .description('Check replicated CIDs and re-replicate under-replicated ones')
+  .option('--no-repair', 'Only report, do not pin on other nodes')
+  .option('--timeout <seconds>', 'Per-node pin timeout', '300')
+  .action(async (options) => {
+    const timeout = parseReplicationTimeout(options.timeout);
+
+    const spin = spinner('Checking replicas');
+    const data = await collectPinStatus(loadCfg(), { repair: options.repair, timeout });
+    spin.stop();
+    emit(data, renderPinStatus);
+  });
+
+pin
+  .command('untrack')
+  .description('Stop tracking a replicated CID (its pins stay in place)')
+  .argument('<cid>', 'Tracked CID')
+  .action((cid) => {
+    const state = loadReplicationState();
+    if (!state.cids[cid]) {
+      console.log(chalk.yellow(`${cid} is not tracked`));
       return;
     }
+    delete state.cids[cid];
+    saveReplicationState(state);
+    console.log(chalk.green(`✅ Stopped tracking ${cid}`));
+  });
 
-    console.log(chalk.cyan('🔍 Connection Debug Information:'));
-    
-    // Show IPFS configuration
-    const configResult = execSilent('ipfs', ['config', 'show']);
-    if (configResult.success) {
-      const config = JSON.parse(configResult.stdout);
-      console.log(chalk.yellow('\n📋 IPFS Addresses Configuration:'));
-      console.log(chalk.white(`  Swarm: ${JSON.stringify(config.Addresses.Swarm)}`));
-      console.log(chalk.white(`  Announce: ${JSON.stringify(config.Addresses.Announce || 'Not set')}`));
-      console.log(chalk.white(`  NoAnnounce: ${JSON.stringify(config.Addresses.NoAnnounce || 'Not set')}`));
+program
+  .command('probe')
+  .description('Check that peers can retrieve a block from this node and back')
+  .option('--rpc <url...>', "Peers' RPC endpoints (default: the node list, else this host's other profiles)")
+  .option('--size <bytes>', 'Size of the random test block', '1048576')
+  .option('--timeout <seconds>', 'Per-transfer timeout', '60')
+  .action(async (options) => {
+    const size = parseInt(options.size);
+    const timeout = parseInt(options.timeout);
+    if (!(size > 0) || !(timeout > 0)) {
+      console.error(chalk.red('Error: --size and --timeout must be positive numbers'));
+      process.exit(1);
     }
-    
-    // Show bootstrap peers
-    const bootstrapResult = execSilent('ipfs', ['bootstrap', 'list']);
-    if (bootstrapResult.success) {
-      console.log(chalk.yellow('\n🔗 Bootstrap Peers:'));
-      console.log(chalk.white(bootstrapResult.stdout));
+
+    const spin = spinner('Probing swarm retrieval');
+    const cfg = loadCfg();
+    const data = await collectProbe(cfg, { endpoints: options.rpc || cfg.rpcNodes || [], size, timeout: timeout * 1000 });
+    spin.stop();
+    emit(data, renderProbe);
+  });
+
+program
+  .command('backup')
+  .description(`Write an encrypted backup of the node identity, swarm key, config and pins (passphrase prompted, or env: ${PASSPHRASE_ENV})`)
+  .argument('[file]', 'Backup file (default: ipfs-swarm-<profile>-<date>.backup)')
+  .option('--force', 'Overwrite an existing file')
+  .action(async (file = defaultBackupFile(), options) => {
+    if (exists(file) && !options.force) {
+      console.error(chalk.red(`Error: ${file} already exists (use --force to overwrite)`));
+      process.exit(1);
+    }
+    try {
+      const passphrase = process.env[PASSPHRASE_ENV] || (await promptNewPassphrase());
+      renderBackupSummary(file, await writeBackupFile(loadCfg(), file, passphrase));
+    } catch (e) {
+      console.error(chalk.red(`❌ Backup failed: ${e.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('restore')
+  .description(`Restore a node from a backup: same peer ID, swarm key and config, then re-pin its content (passphrase prompted, or env: ${PASSPHRASE_ENV})`)
+  .argument('<file>', 'Backup file written by backup or clean')
+  .option('--no-repin', 'Restore the node without starting it to re-pin content')
+  .option('--timeout <seconds>', 'Per-CID pin timeout (pinning fetches the content from the swarm)', '300')
+  .option('-y, --yes', 'Replace an existing node without asking')
+  .action(async (file, options) => {
+    const timeout = parseInt(options.timeout);
+    if (!(timeout > 0)) {
+      console.error(chalk.red('Error: --timeout must be a positive number'));
+      process.exit(1);
+    }
+    if (!exists(file) || !isBackupFile(fs.readFileSync(file))) {
+      console.error(chalk.red(`Error: ${file} is not an ipfs-swarm-cli backup`));
+      process.exit(1);
+    }
+
+    let backup;
+    try {
+      backup = readBackup(fs.readFileSync(file), process.env[PASSPHRASE_ENV] || (await promptPassphrase('Backup passphrase:')));
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exit(1);
+    }
+    let problems;
+    try {
+      problems = validateConfig(migrateConfig(backup.config).config);
+    } catch (e) {
+      problems = [e.message];
+    }
+    if (problems.length > 0) {
+      console.error(chalk.red('❌ The config.json in this backup is invalid:'));
+      problems.forEach((problem) => console.error(chalk.red(`  • ${problem}`)));
+      process.exit(1);
+    }
+    console.log(chalk.cyan(`📦 Backup of profile '${backup.profile}' from ${backup.createdAt}`));
+    console.log(chalk.white(`  Peer ID: ${backup.identity.PeerID}`));
+    console.log(chalk.white(`  Node: ${backup.config.nodeType}, ${backup.config.networkType}${backup.config.runtime === 'docker' ? ', docker' : ''}`));
+    console.log(chalk.white(`  Pins: ${backup.pins ? backup.pins.length : 'not included'}`));
+
+    if (exists(CONFIG) || isIpfsInitialized()) {
+      const current = isIpfsInitialized() ? readRepoPeerId() : loadCfgLenient().nodeId;
+      if (current !== backup.identity.PeerID && !options.yes) {
+        const { confirm } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'confirm',
+          message: `Profile '${profile}' already holds node ${current || '(not initialized)'}. Replace its identity and config?`,
+          default: false,
+        }]);
+        if (!confirm) {
+          console.log(chalk.yellow('Restore cancelled'));
+          return;
+        }
+      }
+      const spin = spinner('Stopping existing daemon');
+      try {
+        await killDaemon(loadCfgLenient());
+        spin.succeed();
+      } catch {
+        spin.succeed('No existing daemon to stop');
+      }
     }
-    
-    // Show swarm addresses
-    const swarmAddrsResult = execSilent('ipfs', ['swarm', 'addrs', 'local']);
-    if (swarmAddrsResult.success) {
-      console.log(chalk.yellow('\n📍 Local Swarm Addresses:'));
-      console.log(chalk.white(swarmAddrsResult.stdout));
+
+    const { cfg, failed } = await restoreNode(backup, { repin: options.repin, timeout: timeout * 1000 });
+    console.log(chalk.green(`✅ Restored node ${cfg.nodeId} into profile '${profile}'`));
+    if (failed.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${failed.length} CID(s) could not be pinned:`));
+      failed.forEach((pin) => console.log(chalk.white(`  ${pin.cid}: ${pin.error}`)));
+      console.log(chalk.gray("Pin them again once their holders are online: 'ipfs pin add <cid>'"));
+      process.exitCode = 1;
     }
-    
-    // Try to connect manually if this is a regular node
-    if (cfg.nodeType === 'regular' && cfg.bootstrapMultiaddr) {
-      console.log(chalk.yellow('\n🔄 Attempting manual connection to bootstrap...'));
-      const connectResult = execSilent('ipfs', ['swarm', 'connect', cfg.bootstrapMultiaddr]);
-      if (connectResult.success) {
-        console.log(chalk.green('✅ Manual connection successful'));
-      } else {
-        console.log(chalk.red('❌ Manual connection failed:'));
-        console.log(chalk.red(connectResult.stderr));
-      }
+    if (backup.config.service) {
+      console.log(chalk.yellow("The backup came from a node run as a service – reinstall it with 'ipfs-swarm-cli service install'"));
     }
-    
-    // Show current peers
-    const peersResult = execSilent('ipfs', ['swarm', 'peers']);
-    if (peersResult.success) {
-      const peers = peersResult.stdout.trim().split('\n').filter(Boolean);
-      console.log(chalk.yellow(`\n👥 Current Peers (${peers.length}):`));
-      peers.forEach((peer, i) => {
-        console.log(chalk.white(`  ${i + 1}. ${peer}`));
-      });
+    if (!options.repin || !backup.pins || backup.pins.length === 0) {
+      console.log(chalk.white("Run 'ipfs-swarm-cli start' to bring it online"));
     }
   });
 
 program
-  .command('connect')
-  .description('Manually connect to a peer')
-  .argument('<multiaddr>', 'Peer multiaddr to connect to')
-  .action(async (multiaddr) => {
-    if (!(await isDaemonRunning())) {
-      console.log(chalk.red('❌ IPFS daemon is not running'));
+  .command('clean')
+  .description('Clean all IPFS data and configuration')
+  .option('--keep-identity', 'Keep the peer identity and swarm key for the next init')
+  .action(async (options) => {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: options.keepIdentity
+          ? `This will delete all IPFS data and settings of profile '${profile}', keeping only its peer identity and swarm key. Continue?`
+          : `This will delete ALL IPFS data and swarm configuration of profile '${profile}'. Continue?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.yellow('Cleanup cancelled'));
       return;
     }
 
-    const spin = spinner(`Connecting to ${multiaddr}`);
+    const cfg = loadCfgLenient();
+    if (isIpfsInitialized()) {
+      const { backup } = await inquirer.prompt([
+        { type: 'confirm', name: 'backup', message: 'Write an encrypted backup (identity, swarm key, config, pins) first?', default: true },
+      ]);
+      if (backup) {
+        const { file } = await inquirer.prompt([
+          { type: 'input', name: 'file', message: 'Backup file:', default: path.resolve(defaultBackupFile()) },
+        ]);
+        try {
+          if (exists(file)) throw new Error(`${file} already exists`);
+          renderBackupSummary(file, await writeBackupFile(cfg, file, await promptNewPassphrase()));
+        } catch (e) {
+          console.error(chalk.red(`❌ Backup failed, nothing was deleted: ${e.message}`));
+          process.exit(1);
+        }
+      }
+    }
+
+    let kept = null;
+    if (options.keepIdentity) {
+      const swarmKeyFile = cfg.swarmKey || SWARM_KEY_PATH;
+      kept = {
+        identity: isIpfsInitialized() ? readRepoIdentity() : exists(keptIdentityPath()) ? JSON.parse(fs.readFileSync(keptIdentityPath(), 'utf8')) : null,
+        swarmKey: exists(swarmKeyFile) ? fs.readFileSync(swarmKeyFile, 'utf8') : null,
+      };
+    }
+
+    const spin = spinner('Cleaning up');
     try {
-      await execLive('ipfs', ['swarm', 'connect', multiaddr]);
-      spin.succeed('Connected successfully');
+      await killDaemon(cfg);
+      if (cfg.service) {
+        await runCommands(serviceUninstallCommands(cfg.service));
+        await removeServiceFile(cfg.service);
+      }
+      if (isDockerNode(cfg)) {
+        await docker().removeContainer(containerName());
+      }
+      
+      if (exists(IPFS_PATH)) {
+        await execLive('rm', ['-rf', IPFS_PATH]);
+      }
+      
+      if (exists(CONFIG_DIR)) {
+        await execLive('rm', ['-rf', CONFIG_DIR]);
+      }
+
+      if (kept) {
+        fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+        if (kept.identity) fs.writeFileSync(keptIdentityPath(), JSON.stringify(kept.identity, null, 2), { mode: 0o600 });
+        if (kept.swarmKey) fs.writeFileSync(SWARM_KEY_PATH, kept.swarmKey, { mode: 0o600 });
+      }
       
-      // Show updated peer list
-      const peersResult = execSilent('ipfs', ['swarm', 'peers']);
-      if (peersResult.success) {
-        const peers = peersResult.stdout.trim().split('\n').filter(Boolean);
-        console.log(chalk.green(`\n✅ Now connected to ${peers.length} peer(s)`));
+      spin.succeed('Cleanup complete');
+      if (kept) {
+        if (kept.identity) console.log(chalk.green(`Kept peer identity ${kept.identity.PeerID} in ${keptIdentityPath()}`));
+        if (kept.swarmKey) console.log(chalk.green(`Kept swarm key in ${SWARM_KEY_PATH}`));
+        console.log(chalk.white("'ipfs-swarm-cli init' will reuse them"));
       }
     } catch (e) {
-      spin.fail(`Connection failed: ${e.message}`);
+      spin.fail(e.message);
     }
   });
 
-program
-  .command('init')
-  .description('Initialize IPFS swarm node')
-  .option('--bootstrap', 'Set up as bootstrap node')
-  .option('--regular', 'Set up as regular node')
-  .option('--tailscale', 'Use Tailscale networking')
-  .option('--normal', 'Use normal IP networking')
-  .option('--swarm-key <path>', 'Path to existing swarm key file')
-  .option('--bootstrap-addr <addr>', 'Bootstrap node multiaddr')
-  .option('--port <port>', 'Base port number', '4001')
-  .action(async (options) => {
-    console.log(chalk.cyan(`
-╔════════════════════════════════════════════╗
-║     IPFS Swarm CLI – Private Swarm Manager ║
-║     Kubo v0.35.0 – Private Network Setup   ║
-║     With Tailscale Integration             ║
-╚════════════════════════════════════════════╝
-`));
+const bootstrap = program
+  .command('bootstrap')
+  .description("Manage the swarm's bootstrap nodes");
 
+bootstrap
+  .command('list')
+  .description('List configured bootstrap nodes')
+  .action(async () => {
     const cfg = loadCfg();
-    let answers = {};
 
-    // Interactive mode if no options provided
-    if (!options.bootstrap && !options.regular) {
-      answers = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'nodeType',
-          message: 'What type of node is this?',
-          choices: [
-            { name: 'Bootstrap Node (First/Primary node)', value: 'bootstrap' },
-            { name: 'Regular Node (Joins existing swarm)', value: 'regular' }
-          ]
-        },
-        {
-          type: 'list',
-          name: 'networkType',
-          message: 'How do you want to connect nodes?',
-          choices: [
-            { name: 'Normal IP (Public/LAN)', value: 'normal' },
-            { name: 'Tailscale (Secure mesh network)', value: 'tailscale' }
-          ]
-        },
-        {
-          type: 'input',
-          name: 'basePort',
-          message: 'Base port number:',
-          default: cfg.basePort,
-          validate: (n) => !isNaN(n) && n > 1024 && n < 65535
-        }
-      ]);
+    console.log(chalk.cyan(`🔗 Configured Bootstrap Nodes (${cfg.bootstrapMultiaddrs.length}):`));
+    cfg.bootstrapMultiaddrs.forEach((addr, i) => {
+      console.log(chalk.white(`  ${i + 1}. ${addr}`));
+    });
 
-      // Additional prompts for regular nodes
-      if (answers.nodeType === 'regular') {
-        const regularAnswers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'swarmKeyPath',
-            message: 'Path to swarm key file:',
-            validate: (path) => path && exists(path) || 'File does not exist'
-          },
-          {
-            type: 'input',
-            name: 'bootstrapMultiaddr',
-            message: 'Bootstrap node multiaddr:',
-            validate: (addr) => addr && addr.includes('/p2p/') || 'Invalid multiaddr format'
-          }
-        ]);
-        Object.assign(answers, regularAnswers);
+    if (await isDaemonRunning()) {
+      try {
+        const live = await rpcClient(cfg).bootstrapList();
+        const inSync = live.length === cfg.bootstrapMultiaddrs.length
+          && live.every((addr) => cfg.bootstrapMultiaddrs.includes(addr));
+        console.log(inSync
+          ? chalk.green('✅ Kubo bootstrap list is in sync')
+          : chalk.yellow(`⚠️  Kubo bootstrap list differs: ${JSON.stringify(live)}`));
+      } catch (e) {
+        console.log(chalk.red(`Failed to read Kubo bootstrap list: ${e.message}`));
       }
-    } else {
-      // Command line mode
-      answers.nodeType = options.bootstrap ? 'bootstrap' : 'regular';
-      answers.networkType = options.tailscale ? 'tailscale' : 'normal';
-      answers.basePort = parseInt(options.port);
-      answers.swarmKeyPath = options.swarmKey;
-      answers.bootstrapMultiaddr = options.bootstrapAddr;
     }
+  });
 
-    // Update configuration
-    Object.assign(cfg, answers);
-    
-    // Validate configuration
-    if (cfg.nodeType === 'regular') {
-      if (!cfg.swarmKeyPath || !exists(cfg.swarmKeyPath)) {
-        console.error(chalk.red('Error: Swarm key file is required for regular nodes'));
-        process.exit(1);
-      }
-      if (!cfg.bootstrapMultiaddr) {
-        console.error(chalk.red('Error: Bootstrap multiaddr is required for regular nodes'));
-        process.exit(1);
-      }
+bootstrap
+  .command('add')
+  .description('Add a bootstrap node')
+  .argument('<multiaddr>', 'Bootstrap multiaddr including /p2p/<peerId>')
+  .action(async (multiaddr) => {
+    const cfg = loadCfg();
+    const problem = multiaddrProblem(multiaddr, { requirePeerId: true });
+    if (problem) {
+      console.error(chalk.red(`Error: ${problem}`));
+      process.exit(1);
+    }
+    if (cfg.bootstrapMultiaddrs.includes(multiaddr)) {
+      console.log(chalk.yellow('Bootstrap node is already configured'));
+      return;
     }
 
-    const steps = [
-      { 
-        name: 'Installing required tools', 
-        fn: () => installTools(cfg.networkType === 'tailscale') 
-      },
-      { name: 'Installing Kubo', fn: installKubo },
-      { 
-        name: 'Stopping existing daemon', 
-        fn: async () => {
-          try {
-            await killDaemon();
-          } catch (e) {
-            console.log(chalk.gray('No existing daemon to stop'));
-          }
-        }
-      },
-      { name: 'Initializing IPFS', fn: initializeIpfs },
-    ];
+    const spin = spinner(`Adding bootstrap ${multiaddr}`);
+    try {
+      cfg.bootstrapMultiaddrs.push(multiaddr);
+      saveCfg(cfg);
+      await syncBootstrapList(cfg);
+      spin.succeed();
+    } catch (e) {
+      spin.fail(e.message);
+      process.exit(1);
+    }
+  });
 
-    // Setup Tailscale if needed
-    if (cfg.networkType === 'tailscale') {
-      steps.push({
-        name: 'Setting up Tailscale',
-        fn: async () => {
-          const tailscaleIP = await setupTailscale();
-          cfg.tailscaleIP = tailscaleIP;
-          saveCfg(cfg);
-        }
-      });
+bootstrap
+  .command('remove')
+  .description('Remove a bootstrap node')
+  .argument('<multiaddr|peerId>', 'Bootstrap multiaddr or its peer ID')
+  .action(async (target) => {
+    const cfg = loadCfg();
+    const keep = cfg.bootstrapMultiaddrs.filter((addr) => addr !== target && !addr.endsWith(`/p2p/${target}`));
+    if (keep.length === cfg.bootstrapMultiaddrs.length) {
+      console.log(chalk.yellow(`No configured bootstrap matches ${target}`));
+      return;
     }
 
-    if (cfg.nodeType === 'bootstrap') {
-      steps.push({
-        name: 'Generating swarm key',
-        fn: () => {
-          cfg.swarmKey = generateSwarmKey();
-          saveCfg(cfg);
-        }
-      });
-    } else {
-      steps.push({
-        name: 'Setting swarm key',
-        fn: () => {
-          cfg.swarmKey = cfg.swarmKeyPath;
-          saveCfg(cfg);
-        }
-      });
-      
-      // Test connection to bootstrap if using Tailscale
-      if (cfg.networkType === 'tailscale' && cfg.bootstrapMultiaddr) {
-        steps.push({
-          name: 'Testing connection to bootstrap',
-          fn: async () => {
-            const match = cfg.bootstrapMultiaddr.match(/\/ip4\/([^\/]+)\//);
-            if (match) {
-              await testTailscaleConnection(match[1]);
-            }
-          }
-        });
-      }
+    const spin = spinner(`Removing bootstrap ${target}`);
+    try {
+      cfg.bootstrapMultiaddrs = keep;
+      saveCfg(cfg);
+      await syncBootstrapList(cfg);
+      spin.succeed();
+    } catch (e) {
+      spin.fail(e.message);
+      process.exit(1);
+    }
+    if (cfg.nodeType === 'regular' && keep.length === 0) {
+      console.log(chalk.yellow('⚠️  No bootstrap nodes left – this node cannot rejoin the swarm after a restart'));
     }
+  });
 
-    steps.push({
-      name: 'Configuring IPFS',
-      fn: () => configureIpfs(cfg)
-    });
+const nodes = program
+  .command('nodes')
+  .description("Manage the node list: other swarm members' RPC endpoints");
+
+nodes
+  .command('list')
+  .description('List configured nodes and whether they are reachable')
+  .action(async () => {
+    const cfg = loadCfg();
+    const urls = cfg.rpcNodes || [];
+    if (urls.length === 0) {
+      console.log(chalk.yellow("No nodes configured – add one with 'nodes add <rpc-url>'"));
+      return;
+    }
 
-    // Execute steps
-    for (const step of steps) {
-      const spin = spinner(step.name);
+    console.log(chalk.cyan(`🖧  Configured Nodes (${urls.length}):`));
+    for (const url of urls) {
       try {
-        await step.fn();
-        spin.succeed();
+        const { id } = await createRpcClient({ url, timeout: 5000 }).id();
+        console.log(chalk.white(`  ✅ ${url}  ${chalk.gray(id)}`));
       } catch (e) {
-        spin.fail(e.message);
-        process.exit(1);
+        console.log(chalk.white(`  ❌ ${url}  ${chalk.red(e.message)}`));
       }
     }
+  });
 
-    console.log(chalk.green('✅ Node initialization complete!'));
-    
-    if (cfg.nodeType === 'bootstrap') {
-      console.log(chalk.yellow('\n📋 Bootstrap Node Setup Complete:'));
-      console.log(chalk.white(`  • Network Type: ${cfg.networkType}`));
-      console.log(chalk.white(`  • Swarm key generated: ${cfg.swarmKey}`));
-      if (cfg.networkType === 'tailscale') {
-        console.log(chalk.white(`  • Tailscale IP: ${cfg.tailscaleIP}`));
-      }
-      console.log(chalk.white(`  • Share this key with other nodes`));
-      console.log(chalk.white(`  • Run 'ipfs-swarm-cli start' to begin`));
-    } else {
-      console.log(chalk.yellow('\n📋 Regular Node Setup Complete:'));
-      console.log(chalk.white(`  • Network Type: ${cfg.networkType}`));
-      console.log(chalk.white(`  • Connected to bootstrap: ${cfg.bootstrapMultiaddr}`));
-      if (cfg.networkType === 'tailscale') {
-        console.log(chalk.white(`  • Tailscale IP: ${cfg.tailscaleIP}`));
-      }
-      console.log(chalk.white(`  • Run 'ipfs-swarm-cli start' to join swarm`));
+nodes
+  .command('add')
+  .description('Add a node by its RPC API URL')
+  .argument('<rpc-url>', 'e.g. http://100.64.0.2:5001')
+  .action(async (url) => {
+    const cfg = loadCfg();
+    const problem = checkRpcUrl(url);
+    if (problem) {
+      console.error(chalk.red(`Error: ${problem}`));
+      process.exit(1);
+    }
+    const endpoint = url.replace(/\/+$/, '');
+    cfg.rpcNodes = cfg.rpcNodes || [];
+    if (cfg.rpcNodes.includes(endpoint)) {
+      console.log(chalk.yellow('Node is already configured'));
+      return;
+    }
+
+    cfg.rpcNodes.push(endpoint);
+    saveCfg(cfg);
+    try {
+      const { id } = await createRpcClient({ url: endpoint, timeout: 5000 }).id();
+      console.log(chalk.green(`✅ Added ${endpoint} (${id})`));
+    } catch (e) {
+      console.log(chalk.yellow(`⚠️  Added ${endpoint}, but it is not reachable right now: ${e.message}`));
     }
   });
 
-program
-  .command('start')
-  .description('Start IPFS daemon')
-  .action(async () => {
+nodes
+  .command('remove')
+  .description('Remove a node from the list')
+  .argument('<rpc-url>', 'RPC API URL as listed')
+  .action((url) => {
     const cfg = loadCfg();
+    const endpoint = url.replace(/\/+$/, '');
+    const keep = (cfg.rpcNodes || []).filter((other) => other !== endpoint);
+    if (keep.length === (cfg.rpcNodes || []).length) {
+      console.log(chalk.yellow(`No configured node matches ${url}`));
+      return;
+    }
+    cfg.rpcNodes = keep;
+    saveCfg(cfg);
+    console.log(chalk.green(`✅ Removed ${endpoint}`));
+  });
 
-    // Check Tailscale if needed
-    if (cfg.networkType === 'tailscale') {
-      const status = getTailscaleStatus();
-      if (!status.running) {
-        console.log(chalk.red('❌ Tailscale is not running'));
-        console.log(chalk.yellow('Please run: sudo tailscale up'));
-        console.log(chalk.cyan('Or visit: https://login.tailscale.com/ to authenticate'));
-        return;
-      }
-      console.log(chalk.green(`✅ Tailscale connected: ${status.ip} (${status.hostname})`));
+const peers = program
+  .command('peers')
+  .description('Known peers: names, labels and connection history');
+
+peers
+  .command('list')
+  .description('List known peers with alias, agent, latency, transport and sightings')
+  .option('--label <label>', 'Only peers with this label')
+  .option('--connected', 'Only currently connected peers')
+  .action(async (options) => {
+    const data = await collectPeers({ label: options.label, connectedOnly: options.connected });
+    emit(data, renderPeers);
+  });
+
+peers
+  .command('name')
+  .description('Give a peer an alias (omit the alias to remove it)')
+  .argument('<peer>', 'Peer ID or current alias')
+  .argument('[alias]', 'New alias')
+  .action((ref, alias) => {
+    const registry = loadRegistry(peerRegistryPath());
+    const peerId = resolvePeerOrExit(registry, ref);
+    try {
+      setAlias(registry, peerId, alias || null);
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
     }
-    
+    saveRegistry(peerRegistryPath(), registry);
+    console.log(chalk.green(alias ? `✅ ${peerId} is now '${alias}'` : `✅ Removed the alias of ${peerId}`));
+  });
+
+peers
+  .command('label')
+  .description('Add labels to a peer')
+  .argument('<peer>', 'Peer ID or alias')
+  .argument('<labels...>', 'Labels, e.g. office rack-2')
+  .action((ref, labels) => {
+    const registry = loadRegistry(peerRegistryPath());
+    const peerId = resolvePeerOrExit(registry, ref);
+    let entry;
+    try {
+      entry = addLabels(registry, peerId, labels);
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
+    }
+    saveRegistry(peerRegistryPath(), registry);
+    console.log(chalk.green(`✅ Labels of ${entry.alias || peerId}: ${entry.labels.join(', ')}`));
+  });
+
+peers
+  .command('unlabel')
+  .description('Remove labels from a peer')
+  .argument('<peer>', 'Peer ID or alias')
+  .argument('<labels...>', 'Labels to remove')
+  .action((ref, labels) => {
+    const registry = loadRegistry(peerRegistryPath());
+    const peerId = resolvePeerOrExit(registry, ref);
+    const entry = removeLabels(registry, peerId, labels);
+    saveRegistry(peerRegistryPath(), registry);
+    console.log(chalk.green(`✅ Labels of ${entry.alias || peerId}: ${entry.labels.join(', ') || '(none)'}`));
+  });
+
+peers
+  .command('history')
+  .description('Show when a peer connected and disconnected')
+  .argument('<peer>', 'Peer ID or alias')
+  .option('--limit <n>', 'Number of most recent events', '50')
+  .action(async (ref, options) => {
     if (await isDaemonRunning()) {
-      console.log(chalk.yellow('IPFS daemon is already running'));
+      try {
+        await refreshPeerRegistry();
+      } catch {}
+    }
+    const registry = loadRegistry(peerRegistryPath());
+    const peerId = resolvePeer(registry, ref);
+    if (!peerId) {
+      console.error(chalk.red(`Error: No recorded peer matches '${ref}'`));
+      process.exit(1);
+    }
+    const entry = registry.peers[peerId];
+    const limit = parseInt(options.limit) || 50;
+    const disconnects = entry.history.filter((event) => event.event === 'disconnected').length;
+    emit({
+      ok: true,
+      profile,
+      peerId,
+      alias: entry.alias,
+      connected: entry.connected,
+      disconnects,
+      history: entry.history.slice(-limit),
+    }, renderPeerHistory);
+  });
+
+program
+  .command('promote')
+  .description('Turn this regular node into an additional bootstrap node')
+  .action(async () => {
+    const cfg = loadCfg();
+
+    if (cfg.nodeType === 'bootstrap') {
+      console.log(chalk.yellow('This node is already a bootstrap node'));
       return;
     }
+    if (!cfg.swarmKey || !exists(cfg.swarmKey)) {
+      console.error(chalk.red("Error: No swarm key configured. Run 'ipfs-swarm-cli init' first"));
+      process.exit(1);
+    }
 
-    console.log(chalk.blue(`Starting ${cfg.nodeType} node (${cfg.networkType} network)...`));
-    
-    // Kill any existing daemon
-    await killDaemon();
-    
-    // Start daemon
-    const daemonProcess = spawn('ipfs', ['daemon'], {
-      detached: true,
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
-    
-    daemonProcess.unref();
-    
-    // Wait for daemon to start
-    const started = await waitForDaemon(20000);
-    if (!started) {
-      console.error(chalk.red('❌ Daemon failed to start'));
+    let peerId = cfg.nodeId;
+    if (!peerId && isIpfsInitialized()) peerId = readRepoPeerId();
+    if (!peerId) {
+      console.error(chalk.red("Error: Peer ID unknown. Run 'ipfs-swarm-cli init' first"));
       process.exit(1);
     }
-    
-    console.log(chalk.green('✅ IPFS daemon started successfully'));
-    
-    // Update last started time
-    cfg.lastStarted = new Date().toISOString();
-    
-    // Get and display node information
-    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    // Existing bootstraps stay configured so the bootstrap nodes keep peering
+    cfg.nodeType = 'bootstrap';
+    saveCfg(cfg);
+    console.log(chalk.green('✅ Node promoted to bootstrap'));
+
+    await printBootstrapShareInfo(cfg, peerId);
+    console.log(chalk.yellow('\n📋 On the other nodes run:'));
+    console.log(chalk.white('  ipfs-swarm-cli bootstrap add <Bootstrap Address>'));
+  });
+
+const readManifestOrExit = (file) => {
+  try {
+    return loadManifest(file);
+  } catch (e) {
+    console.error(chalk.red(`Error: ${e.message}`));
+    process.exit(1);
+  }
+};
+
+program
+  .command('tools')
+  .description('Check and install the system tools init needs')
+  .option('--tailscale', 'Include Tailscale')
+  .option('--dry-run', 'Print the install plan without running it')
+  .action(async (options) => {
+    if (options.dryRun) {
+      emit(collectToolPlan(!!options.tailscale), renderToolPlan);
+      return;
+    }
     try {
-      const peerId = await getPeerId();
-      cfg.nodeId = peerId;
-      saveCfg(cfg);
-      
-      console.log(chalk.cyan('\n📊 Node Information:'));
-      console.log(chalk.white(`  Node ID: ${peerId}`));
-      console.log(chalk.white(`  Type: ${cfg.nodeType}`));
-      console.log(chalk.white(`  Network: ${cfg.networkType}`));
-      console.log(chalk.white(`  Port: ${cfg.basePort}`));
-      
-      if (cfg.nodeType === 'bootstrap') {
-        const localMultiaddr = `/ip4/127.0.0.1/tcp/${cfg.basePort}/p2p/${peerId}`;
-        console.log(chalk.yellow('\n🚀 Bootstrap Node Ready:'));
-        console.log(chalk.white(`  Local: ${localMultiaddr}`));
-        
-        if (cfg.networkType === 'tailscale' && cfg.tailscaleIP) {
-          const tailscaleMultiaddr = `/ip4/${cfg.tailscaleIP}/tcp/${cfg.basePort}/p2p/${peerId}`;
-          console.log(chalk.white(`  Tailscale: ${tailscaleMultiaddr}`));
-          console.log(chalk.green('\n📋 Share this information with other nodes:'));
-          console.log(chalk.white(`  Swarm Key: ${cfg.swarmKey}`));
-          console.log(chalk.white(`  Bootstrap Address: ${tailscaleMultiaddr}`));
-        } else {
-          const externalIP = await getExternalIP();
-          if (externalIP) {
-            const externalMultiaddr = `/ip4/${externalIP}/tcp/${cfg.basePort}/p2p/${peerId}`;
-            console.log(chalk.white(`  External: ${externalMultiaddr}`));
-            console.log(chalk.green('\n📋 Share this information with other nodes:'));
-            console.log(chalk.white(`  Swarm Key: ${cfg.swarmKey}`));
-            console.log(chalk.white(`  Bootstrap Address: ${externalMultiaddr}`));
-          }
-        }
-      } else {
-        console.log(chalk.yellow('\n🔗 Regular Node Connected'));
-        console.log(chalk.white(`  Bootstrap: ${cfg.bootstrapMultiaddr}`));
-        if (cfg.networkType === 'tailscale') {
-          console.log(chalk.white(`  Tailscale IP: ${cfg.tailscaleIP}`));
-        }
-      }
+      await installTools({ includeTailscale: !!options.tailscale });
     } catch (e) {
-      console.error(chalk.yellow(`ℹ️  Node started successfully. Use 'info' command for connection details.`));
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exit(1);
     }
   });
 
 program
-  .command('tailscale')
-  .description('Manage Tailscale connection')
+  .command('doctor')
+  .description('Run preflight checks and suggest fixes')
   .action(async () => {
-    if (!isTailscaleInstalled()) {
-      console.log(chalk.red('❌ Tailscale is not installed'));
-      const { install } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'install',
-          message: 'Would you like to install Tailscale?',
-          default: true,
-        },
-      ]);
-      
-      if (install) {
-        await installTailscale();
-      } else {
-        return;
-      }
-    }
+    emit(await runDoctor(loadCfg()), renderDoctor);
+  });
 
-    const status = getTailscaleStatus();
-    
-    console.log(chalk.cyan('📡 Tailscale Status:'));
-    console.log(chalk.white(`  Installed: ${isTailscaleInstalled() ? '✅' : '❌'}`));
-    console.log(chalk.white(`  Running: ${status.running ? '✅' : '❌'}`));
-    console.log(chalk.white(`  Logged In: ${status.loggedIn ? '✅' : '❌'}`));
-    
-    if (status.ip) {
-      console.log(chalk.white(`  IP Address: ${status.ip}`));
+program
+  .command('plan')
+  .description('Show what apply would change to match a node manifest')
+  .argument('<manifest>', 'YAML or JSON node manifest')
+  .action(async (file) => {
+    const manifest = readManifestOrExit(file);
+    try {
+      printPlanChanges(await planManifest(manifest, loadCfg()));
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
     }
-    
-    if (status.hostname) {
-      console.log(chalk.white(`  Hostname: ${status.hostname}`));
+  });
+
+program
+  .command('apply')
+  .description('Change this node to match a node manifest (only what differs)')
+  .argument('<manifest>', 'YAML or JSON node manifest')
+  .action(async (file) => {
+    const manifest = readManifestOrExit(file);
+    const cfg = loadCfg();
+    let plan;
+    try {
+      plan = await planManifest(manifest, cfg);
+    } catch (e) {
+      console.error(chalk.red(`Error: ${e.message}`));
+      process.exit(1);
     }
 
-    if (!status.running) {
-      console.log(chalk.yellow('\n🔧 To start Tailscale:'));
-      console.log(chalk.white('  sudo tailscale up'));
-      console.log(chalk.cyan('  Then visit: https://login.tailscale.com/'));
-      
-      const { startNow } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'startNow',
-          message: 'Would you like to start Tailscale now?',
-          default: true,
-        },
-      ]);
-      
-      if (startNow) {
-        await setupTailscale();
+    printPlanChanges(plan);
+    if (plan.cfgChanges.length === 0 && plan.kuboChanges.length === 0) return;
+
+    const spin = spinner('Applying manifest');
+    try {
+      const { restartNeeded } = await applyManifestPlan(plan, cfg);
+      spin.succeed();
+      if (restartNeeded) {
+        console.log(chalk.yellow("Restart the daemon to load the new configuration: 'ipfs-swarm-cli stop && ipfs-swarm-cli start'"));
+      } else if (isDockerNode(cfg) && plan.kuboSource !== 'daemon' && plan.kuboChanges.length > 0) {
+        console.log(chalk.gray('The container applies the Kubo settings on its next start'));
       }
+      if (cfg.service && plan.cfgChanges.some(({ key }) => key === 'networkType')) {
+        console.log(chalk.yellow("The network type changed – reinstall the service: 'ipfs-swarm-cli service install'"));
+      }
+    } catch (e) {
+      spin.fail(e.message);
+      process.exit(1);
     }
   });
 
-program
-  .command('stop')
-  .description('Stop IPFS daemon')
-  .action(async () => {
-    const spin = spinner('Stopping IPFS daemon');
+const service = program
+  .command('service')
+  .description('Run the daemon as a systemd / launchd service');
+
+const printPlan = (service, commands) => {
+  console.log(chalk.cyan(`# ${service.file}`));
+  console.log(service.text);
+  commands.forEach(([cmd, args]) => console.log(chalk.gray(`$ ${cmd} ${args.join(' ')}`)));
+};
+
+service
+  .command('install')
+  .description('Install the daemon as a service that restarts on failure and at boot')
+  .option('--system', 'Install a system-wide service (requires sudo) instead of a user service')
+  .option('--dry-run', 'Print the service definition and commands without installing')
+  .action(async (options) => {
+    const cfg = loadCfg();
+    if (isDockerNode(cfg)) {
+      console.error(chalk.red('Error: Docker nodes are restarted by the container restart policy, no service needed'));
+      process.exit(1);
+    }
+    if (platform !== 'linux' && platform !== 'darwin') {
+      console.error(chalk.red(`Error: Services are not supported on ${platform}`));
+      process.exit(1);
+    }
+
+    const next = buildService(cfg, options.system ? 'system' : 'user');
+    const commands = serviceInstallCommands(next);
+    if (options.dryRun) {
+      printPlan(next, commands);
+      return;
+    }
+
+    const spin = spinner(`Installing ${next.name}`);
     try {
-      await killDaemon();
-      spin.succeed();
+      // Hand over from a detached daemon started by 'start'
+      await killDaemon(cfg);
+      await writeServiceFile(next);
+      await runCommands(commands);
+      cfg.service = { manager: next.manager, scope: next.scope, name: next.name, file: next.file };
+      saveCfg(cfg);
+      spin.succeed(`Installed ${next.file}`);
     } catch (e) {
       spin.fail(e.message);
+      process.exit(1);
+    }
+    console.log(chalk.white(`  Run 'ipfs-swarm-cli start' to start it now`));
+    if (next.manager === 'systemd' && next.scope === 'user') {
+      console.log(chalk.gray(`  To keep it running after logout: sudo loginctl enable-linger ${os.userInfo().username}`));
     }
   });
 
-program
-  .command('status')
-  .description('Show swarm status')
-  .action(async () => {
+service
+  .command('uninstall')
+  .description('Stop and remove the service')
+  .option('--dry-run', 'Print the commands without running them')
+  .action(async (options) => {
     const cfg = loadCfg();
-    
-    if (!(await isDaemonRunning())) {
-      console.log(chalk.red('❌ IPFS daemon is not running'));
+    if (!cfg.service) {
+      console.log(chalk.yellow('No service installed for this profile'));
       return;
     }
 
-    console.log(chalk.green('✅ IPFS daemon is running'));
-    console.log(chalk.cyan(`Node type: ${cfg.nodeType}`));
-    console.log(chalk.cyan(`Network type: ${cfg.networkType}`));
-    
-    if (cfg.networkType === 'tailscale') {
-      const status = getTailscaleStatus();
-      console.log(chalk.cyan(`Tailscale: ${status.running ? '✅' : '❌'} ${status.ip || ''}`));
+    const commands = serviceUninstallCommands(cfg.service);
+    if (options.dryRun) {
+      commands.forEach(([cmd, args]) => console.log(chalk.gray(`$ ${cmd} ${args.join(' ')}`)));
+      console.log(chalk.gray(`$ rm ${cfg.service.file}`));
+      return;
     }
-    
-    // Get peer information
-    const peersResult = execSilent('ipfs', ['swarm', 'peers']);
-    if (peersResult.success) {
-      const peers = peersResult.stdout.trim().split('\n').filter(Boolean);
-      console.log(chalk.yellow(`\n🔗 Connected peers: ${peers.length}`));
-      peers.forEach((peer, i) => {
-        console.log(chalk.white(`  ${i + 1}. ${peer}`));
-      });
+
+    const spin = spinner(`Removing ${cfg.service.name}`);
+    try {
+      await runCommands(commands);
+      await removeServiceFile(cfg.service);
+      cfg.service = null;
+      saveCfg(cfg);
+      spin.succeed();
+    } catch (e) {
+      spin.fail(e.message);
+      process.exit(1);
     }
+  });
 
-    // Get node ID and addresses
-    const idResult = execSilent('ipfs', ['id']);
-    if (idResult.success) {
-      const id = JSON.parse(idResult.stdout);
-      console.log(chalk.cyan(`\n📊 Node Information:`));
-      console.log(chalk.white(`  ID: ${id.ID}`));
-      if (id.Addresses && id.Addresses.length > 0) {
-        console.log(chalk.white(`  Addresses:`));
-        id.Addresses.forEach((addr) => {
-          console.log(chalk.white(`    ${addr}`));
-        });
-      }
+service
+  .command('status')
+  .description('Show whether the service is installed and running')
+  .action(() => {
+    const cfg = loadCfg();
+    if (!cfg.service) {
+      console.log(chalk.yellow('No service installed for this profile'));
+      console.log(chalk.white(`  Preview one with: ipfs-swarm-cli service install --dry-run`));
+      return;
     }
+
+    const state = serviceState(cfg.service);
+    const running = state === 'active' || state === 'loaded';
+    console.log(chalk.cyan('⚙️  Service:'));
+    console.log(chalk.white(`  Name: ${cfg.service.name}`));
+    console.log(chalk.white(`  Manager: ${cfg.service.manager} (${cfg.service.scope})`));
+    console.log(chalk.white(`  File: ${cfg.service.file}`));
+    console.log(chalk.white(`  State: ${running ? chalk.green(state) : chalk.red(state)}`));
   });
 
-program
-  .command('info')
-  .description('Show configuration and connection info')
-  .action(async () => {
+const key = program
+  .command('key')
+  .description('Inspect, verify and rotate the swarm key');
+
+key
+  .command('fingerprint')
+  .description('Print a short hash of the swarm key to compare it across nodes')
+  .argument('[file]', 'Key file (default: the configured swarm key)')
+  .action((file) => {
     const cfg = loadCfg();
-    
-    console.log(chalk.cyan('📋 Node Configuration:'));
-    console.log(chalk.white(`  Type: ${cfg.nodeType}`));
-    console.log(chalk.white(`  Network: ${cfg.networkType}`));
-    console.log(chalk.white(`  Port: ${cfg.basePort}`));
-    console.log(chalk.white(`  Swarm Key: ${cfg.swarmKey || 'Not set'}`));
-    
-    if (cfg.networkType === 'tailscale') {
-      const status = getTailscaleStatus();
-      console.log(chalk.white(`  Tailscale IP: ${status.ip || 'Not connected'}`));
-      console.log(chalk.white(`  Tailscale Status: ${status.running ? 'Running' : 'Stopped'}`));
+    const keyFile = file || cfg.swarmKey;
+    if (!keyFile) {
+      console.log(chalk.red('❌ No swarm key configured'));
+      process.exit(1);
     }
-    
-    if (cfg.nodeType === 'bootstrap') {
-      console.log(chalk.yellow('\n🚀 Bootstrap Node Info:'));
-      if (cfg.nodeId) {
-        console.log(chalk.white(`  Node ID: ${cfg.nodeId}`));
-        const localMultiaddr = `/ip4/127.0.0.1/tcp/${cfg.basePort}/p2p/${cfg.nodeId}`;
-        console.log(chalk.white(`  Local Multiaddr: ${localMultiaddr}`));
-        
-        if (cfg.networkType === 'tailscale' && cfg.tailscaleIP) {
-          const tailscaleMultiaddr = `/ip4/${cfg.tailscaleIP}/tcp/${cfg.basePort}/p2p/${cfg.nodeId}`;
-          console.log(chalk.white(`  Tailscale Multiaddr: ${tailscaleMultiaddr}`));
-        } else {
-          const externalIP = await getExternalIP();
-          if (externalIP) {
-            const externalMultiaddr = `/ip4/${externalIP}/tcp/${cfg.basePort}/p2p/${cfg.nodeId}`;
-            console.log(chalk.white(`  External Multiaddr: ${externalMultiaddr}`));
-          } else {
-            console.log(chalk.gray(`  External IP: Unable to detect`));
-          }
-        }
+
+    try {
+      verifySwarmKeyFile(keyFile);
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.cyan(`🔑 ${keyFileFingerprint(keyFile)}  ${keyFile}`));
+
+    // Compare with what the repo actually uses
+    const installed = path.join(IPFS_PATH, 'swarm.key');
+    if (!file && exists(installed)) {
+      const installedFingerprint = keyFileFingerprint(installed);
+      if (installedFingerprint === keyFileFingerprint(keyFile)) {
+        console.log(chalk.green(`✅ Matches installed key ${installed}`));
       } else {
-        console.log(chalk.gray(`  Node not started yet`));
+        console.log(chalk.red(`❌ Installed key ${installed} differs (${installedFingerprint || 'invalid'})`));
       }
-    } else {
-      console.log(chalk.yellow('\n🔗 Regular Node Info:'));
-      console.log(chalk.white(`  Bootstrap: ${cfg.bootstrapMultiaddr || 'Not set'}`));
     }
   });
 
-program
-  .command('test')
-  .description('Test IPFS functionality')
-  .action(async () => {
+key
+  .command('verify')
+  .description('Check that a file is a valid /key/swarm/psk/1.0.0/ base16 key')
+  .argument('<file>', 'Key file to check')
+  .action((file) => {
+    try {
+      verifySwarmKeyFile(file);
+    } catch (e) {
+      console.error(chalk.red(`❌ ${e.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Valid swarm key (fingerprint ${keyFileFingerprint(file)})`));
+  });
+
+key
+  .command('rotate')
+  .description('Replace the swarm key, archive the old one and restart the daemon')
+  .option('--from <file>', 'Adopt a key rotated on another node instead of generating one')
+  .option('-y, --yes', 'Skip confirmation')
+  .action(async (options) => {
     const cfg = loadCfg();
-    
-    if (!(await isDaemonRunning())) {
-      console.log(chalk.red('❌ IPFS daemon is not running'));
-      return;
+
+    if (options.from) {
+      try {
+        verifySwarmKeyFile(options.from);
+      } catch (e) {
+        console.error(chalk.red(`❌ ${e.message}`));
+        process.exit(1);
+      }
     }
 
-    const spin = spinner('Testing IPFS functionality');
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: 'Nodes still using the current key will be disconnected. Rotate the swarm key?',
+          default: false,
+        },
+      ]);
+      if (!confirm) {
+        console.log(chalk.yellow('Rotation cancelled'));
+        return;
+      }
+    }
+
+    const wasRunning = await isDaemonRunning();
+    const oldFingerprint = cfg.swarmKey ? keyFileFingerprint(cfg.swarmKey) : null;
+
+    const spin = spinner('Rotating swarm key');
     try {
-      const testContent = `Hello IPFS Private Swarm! ${new Date().toISOString()}`;
-      fs.writeFileSync('/tmp/ipfs-test.txt', testContent);
+      const nextKey = options.from ? fs.readFileSync(options.from, 'utf8') : createSwarmKey();
+      const archived = archiveSwarmKey();
+      fs.writeFileSync(SWARM_KEY_PATH, nextKey);
+      fs.chmodSync(SWARM_KEY_PATH, 0o600);
+      cfg.swarmKey = SWARM_KEY_PATH;
+      saveCfg(cfg);
 
-      const addResult = execSilent('ipfs', ['add', '-q', '/tmp/ipfs-test.txt']);
-      if (!addResult.success) {
-        throw new Error('Failed to add file');
-      }
-      
-      const cid = addResult.stdout.trim();
-      const getResult = execSilent('ipfs', ['cat', cid]);
-      
-      fs.unlinkSync('/tmp/ipfs-test.txt');
-      
-      if (getResult.success && getResult.stdout.trim() === testContent) {
-        spin.succeed();
-        console.log(chalk.green(`✅ Test successful! CID: ${cid}`));
-      } else {
-        spin.fail('Content mismatch');
+      if (isDockerNode(cfg)) {
+        // The container mounts the key file, so recreate it with the new path
+        await killDaemon(cfg);
+        await createDockerNode(cfg);
+      } else if (isIpfsInitialized()) {
+        installSwarmKey(SWARM_KEY_PATH);
       }
+      spin.succeed('Swarm key rotated');
+
+      if (archived) console.log(chalk.white(`  Old key archived: ${archived}`));
+      console.log(chalk.white(`  Old fingerprint: ${oldFingerprint || 'none'}`));
+      console.log(chalk.white(`  New fingerprint: ${keyFileFingerprint(SWARM_KEY_PATH)}`));
     } catch (e) {
       spin.fail(e.message);
+      process.exit(1);
+    }
+
+    if (wasRunning) {
+      const restart = spinner('Restarting IPFS daemon');
+      try {
+        // startDaemon would leave an active service running on the old key
+        if (!(await restartDaemon(cfg))) throw new Error("Daemon failed to start, see 'ipfs-swarm-cli logs'");
+        restart.succeed();
+      } catch (e) {
+        restart.fail(e.message);
+        process.exit(1);
+      }
+    }
+
+    if (!options.from) {
+      console.log(chalk.yellow('\n📋 Distribute the new key to every node that should stay in the swarm:'));
+      console.log(chalk.white(`  ipfs-swarm-cli key rotate --from <copy of ${SWARM_KEY_PATH}>`));
     }
   });
 
-program
-  .command('clean')
-  .description('Clean all IPFS data and configuration')
-  .action(async () => {
-    const { confirm } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirm',
-        message: 'This will delete ALL IPFS data and swarm configuration. Continue?',
-        default: false,
-      },
-    ]);
+const cluster = program
+  .command('cluster')
+  .description('Run a local multi-node private swarm for testing');
 
-    if (!confirm) {
-      console.log(chalk.yellow('Cleanup cancelled'));
-      return;
+cluster
+  .command('up')
+  .description('Create and start a local private swarm')
+  .option('--nodes <n>', 'Number of nodes', '3')
+  .option('--name <name>', 'Cluster name (node profiles are <name>-<index>)', 'cluster')
+  .option('--base-port <port>', 'First swarm port to try', '14001')
+  .option('--timeout <seconds>', 'How long to wait for the full mesh', '60')
+  .action(async (options) => {
+    const count = parseInt(options.nodes);
+    if (isNaN(count) || count < 2) {
+      console.error(chalk.red('Error: --nodes must be at least 2'));
+      process.exit(1);
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(options.name)) {
+      console.error(chalk.red(`Error: Invalid cluster name: ${options.name}`));
+      process.exit(1);
+    }
+    if (loadCluster(options.name)) {
+      console.error(chalk.red(`Error: Cluster '${options.name}' already exists. Run 'ipfs-swarm-cli cluster down --name ${options.name}' first`));
+      process.exit(1);
     }
 
-    const spin = spinner('Cleaning up');
+    const clusterState = {
+      name: options.name,
+      basePort: parseInt(options.basePort),
+      swarmKey: null,
+      bootstrapMultiaddr: null,
+      createdAt: new Date().toISOString(),
+      nodes: [],
+    };
+
     try {
-      await killDaemon();
-      
-      const ipfsDir = path.join(os.homedir(), '.ipfs');
-      if (exists(ipfsDir)) {
-        await execLive('rm', ['-rf', ipfsDir]);
+      await installKubo();
+
+      const taken = portsOfOtherProfiles();
+      for (let i = 0; i < count; i++) {
+        const spin = spinner(`Creating node ${i}`);
+        try {
+          clusterState.nodes.push(await createClusterNode(clusterState, i, taken));
+          saveCluster(clusterState);
+          spin.succeed();
+        } catch (e) {
+          spin.fail(e.message);
+          throw e;
+        }
       }
-      
-      if (exists(CONFIG_DIR)) {
-        await execLive('rm', ['-rf', CONFIG_DIR]);
+
+      for (const node of clusterState.nodes) {
+        await withProfile(node.profile, async () => {
+          const pid = spawnDaemon();
+          if (!(await waitForDaemon(20000, pid))) {
+            await reportStartupFailure(loadCfg());
+            throw new Error(`Daemon of ${node.profile} failed to start`);
+          }
+        });
+      }
+      console.log('');
+
+      const spin = spinner(`Waiting for full mesh of ${count} nodes`);
+      if (!(await waitForClusterMesh(clusterState, parseInt(options.timeout) * 1000))) {
+        spin.fail('Nodes did not form a full mesh in time');
+        console.log(chalk.yellow(`Run 'ipfs-swarm-cli cluster status --name ${options.name}' to inspect connections`));
+        process.exitCode = 1;
+      } else {
+        spin.succeed('Full mesh connected');
       }
-      
-      spin.succeed('Cleanup complete');
     } catch (e) {
-      spin.fail(e.message);
+      console.error(chalk.red(`❌ ${e.message}`));
+      console.log(chalk.yellow(`Run 'ipfs-swarm-cli cluster down --name ${options.name}' to clean up`));
+      process.exit(1);
+    }
+
+    console.log(chalk.cyan(`\n🧪 Cluster '${clusterState.name}' (${count} nodes):`));
+    printClusterTable(clusterState);
+    console.log(chalk.white(`\n  Swarm Key: ${clusterState.swarmKey}`));
+    console.log(chalk.white(`  Use a node with: ipfs-swarm-cli --profile ${clusterNodeProfile(clusterState.name, 0)} status`));
+  });
+
+cluster
+  .command('down')
+  .description('Stop all nodes of a local cluster and delete their data')
+  .option('--name <name>', 'Cluster name', 'cluster')
+  .action(async (options) => {
+    const clusterState = loadCluster(options.name);
+    if (!clusterState) {
+      console.log(chalk.yellow(`Cluster '${options.name}' does not exist`));
+      return;
+    }
+
+    for (const node of clusterState.nodes) {
+      const spin = spinner(`Removing ${node.profile}`);
+      try {
+        await withProfile(node.profile, async () => {
+          await killDaemon();
+          fs.rmSync(CONFIG_DIR, { recursive: true, force: true });
+        });
+        spin.succeed();
+      } catch (e) {
+        spin.fail(e.message);
+      }
+    }
+
+    fs.unlinkSync(clusterFile(options.name));
+    console.log(chalk.green(`✅ Cluster '${options.name}' removed`));
+  });
+
+cluster
+  .command('status')
+  .description('Show the connection matrix of a local cluster')
+  .option('--name <name>', 'Cluster name', 'cluster')
+  .action(async (options) => {
+    const clusterState = loadCluster(options.name);
+    if (!clusterState) {
+      console.log(chalk.red(`❌ Cluster '${options.name}' does not exist`));
+      return;
     }
+
+    console.log(chalk.cyan(`🧪 Cluster '${clusterState.name}' (${clusterState.nodes.length} nodes):`));
+    printClusterTable(clusterState);
+
+    const connections = await clusterConnections(clusterState);
+    console.log(chalk.yellow('\n🔗 Connection Matrix (row sees column):'));
+    console.log(chalk.white(`       ${clusterState.nodes.map((n) => String(n.index).padStart(3)).join('')}`));
+    clusterState.nodes.forEach((node) => {
+      const seen = connections[node.peerId];
+      const cells = clusterState.nodes.map((other) => {
+        if (!seen) return chalk.gray('  ?');
+        if (other === node) return chalk.gray('  ·');
+        return seen.includes(other.peerId) ? chalk.green('  ✔') : chalk.red('  ✖');
+      });
+      const label = `  ${String(node.index).padStart(3)}  `;
+      console.log(chalk.white(label) + cells.join('') + (seen ? '' : chalk.red('  daemon not running')));
+    });
+
+    console.log(isFullMesh(clusterState, connections)
+      ? chalk.green('\n✅ Full mesh connected')
+      : chalk.yellow('\n⚠️  Mesh incomplete'));
   });
 
 program.parse(process.argv);
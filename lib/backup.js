@@ -0,0 +1,103 @@
+/*  Node backups
+    One passphrase-encrypted file with everything `clean` would destroy that
+    cannot be recreated: config.json, the swarm key, the Kubo identity (peer ID
+    and private key) and the pin set.
+      IPFS-SWARM-BACKUP1\n | salt | iv | tag | ciphertext   (scrypt + AES-256-GCM over gzipped JSON)
+    Payload: { version, createdAt, profile, config, swarmKey, identity: { PeerID, PrivKey }, pins: [{ cid, type }] | null }
+*/
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const MAGIC = Buffer.from('IPFS-SWARM-BACKUP1\n');
+const FORMAT_VERSION = 1;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const PIN_TYPES = ['recursive', 'direct'];
+
+class BackupError extends Error {
+  /**
+   * @param {string} message
+   * @param {'invalid'|'bad-passphrase'} code
+   */
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {{ PeerID: string, PrivKey: string }} Identity
+ * @typedef {{ cid: string, type: 'recursive'|'direct' }} BackupPin
+ * @typedef {{ version: number, createdAt: string, profile: string, config: Object, swarmKey: string|null,
+ *             identity: Identity, pins: BackupPin[]|null }} BackupPayload
+ */
+
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, 32);
+
+const isBackupFile = (buffer) => buffer.subarray(0, MAGIC.length).equals(MAGIC);
+
+const checkPayload = (payload) => {
+  const { config, swarmKey, identity, pins } = payload || {};
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new BackupError('Backup has no config.json');
+  if (swarmKey !== null && typeof swarmKey !== 'string') throw new BackupError('Backup swarm key is malformed');
+  if (!identity || typeof identity.PeerID !== 'string' || typeof identity.PrivKey !== 'string') {
+    throw new BackupError('Backup has no Kubo identity');
+  }
+  if (pins !== null && !(Array.isArray(pins) && pins.every((pin) => pin && typeof pin.cid === 'string' && PIN_TYPES.includes(pin.type)))) {
+    throw new BackupError('Backup pin list is malformed');
+  }
+};
+
+/**
+ * @param {Omit<BackupPayload, 'version'|'createdAt'>} contents
+ * @param {string} passphrase
+ * @returns {Buffer}
+ */
+const createBackup = (contents, passphrase) => {
+  if (!passphrase) throw new BackupError('A passphrase is required');
+  const payload = { version: FORMAT_VERSION, createdAt: new Date().toISOString(), ...contents };
+  checkPayload(payload);
+
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(zlib.gzipSync(JSON.stringify(payload))), cipher.final()]);
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * @param {Buffer} buffer
+ * @param {string} passphrase
+ * @returns {BackupPayload}
+ */
+const readBackup = (buffer, passphrase) => {
+  if (!isBackupFile(buffer)) throw new BackupError('Not an ipfs-swarm-cli backup');
+  const raw = buffer.subarray(MAGIC.length);
+  if (raw.length <= SALT_BYTES + IV_BYTES + TAG_BYTES) throw new BackupError('Backup is truncated');
+
+  const salt = raw.subarray(0, SALT_BYTES);
+  const iv = raw.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+  const tag = raw.subarray(SALT_BYTES + IV_BYTES, SALT_BYTES + IV_BYTES + TAG_BYTES);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase || '', salt), iv);
+  decipher.setAuthTag(tag);
+  let compressed;
+  try {
+    compressed = Buffer.concat([decipher.update(raw.subarray(SALT_BYTES + IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw new BackupError('Wrong passphrase or corrupted backup', 'bad-passphrase');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+  } catch {
+    throw new BackupError('Backup is corrupted');
+  }
+  if (payload.version !== FORMAT_VERSION) throw new BackupError(`Unsupported backup version ${payload.version}`);
+  checkPayload(payload);
+  return payload;
+};
+
+module.exports = { createBackup, readBackup, isBackupFile, BackupError };
@@ -0,0 +1,255 @@
+/*  config.json schema
+    Every config.json carries a schemaVersion. migrateConfig() brings older
+    layouts up to CONFIG_VERSION one step at a time, validateConfig() then
+    lists every problem at once, so a truncated or hand-edited file is
+    rejected before a command acts on it.
+
+    Fields with a default are always present; the others are optional and
+    null means "not set".
+*/
+const { multiaddrProblem, validatePeerId } = require('./multiaddr');
+const { normalizeKuboVersion } = require('./kubo-release');
+
+const CONFIG_VERSION = 1;
+
+class ConfigError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} problems
+   */
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Sizes as Kubo's Datastore.StorageMax accepts them: 500MB, 10GB, 1.5TiB (KB/MB/... are powers of 1000)
+const SIZE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4 };
+const parseSize = (text) => {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  if (!match) return null;
+  const unit = SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+  return unit ? Math.round(parseFloat(match[1]) * unit) : null;
+};
+
+/* ---------- checks: return a problem description or null ---------- */
+const oneOf = (...values) => (value) => (values.includes(value) ? null : `must be one of ${values.join(', ')}`);
+const isString = (value) => (typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string');
+const isBoolean = (value) => (typeof value === 'boolean' ? null : 'must be true or false');
+const isPort = (value) => (Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a port number (1-65535)');
+const isIPv4 = (value) => (/^\d{1,3}(\.\d{1,3}){3}$/.test(value) ? null : 'must be an IPv4 address');
+const isTimestamp = (value) => (typeof value === 'string' && !isNaN(Date.parse(value)) ? null : 'must be an ISO timestamp');
+const isSize = (value) => (parseSize(value) ? null : 'must be a size like 500MB or 10GB');
+const isDuration = (value) => (/^(\d+(\.\d+)?(ns|us|µs|ms|s|m|h))+$/.test(value) ? null : 'must be a duration like 30m or 1h');
+const isPercent = (value) => (Number.isInteger(value) && value > 0 && value <= 100 ? null : 'must be a percentage (1-100)');
+
+const isPeerId = (value) => {
+  try {
+    validatePeerId(value);
+    return null;
+  } catch (e) {
+    return `must be a peer ID (${e.message})`;
+  }
+};
+
+const isKuboVersion = (value) => {
+  try {
+    return normalizeKuboVersion(value) === value ? null : 'must be a version without the v prefix, e.g. 0.35.0';
+  } catch {
+    return 'must be a Kubo version like 0.35.0';
+  }
+};
+
+const listOf = (check) => (value) => {
+  if (!Array.isArray(value)) return 'must be a list';
+  const index = value.findIndex((item) => check(item));
+  return index < 0 ? null : `item ${index + 1} ${check(value[index])}`;
+};
+
+const isMultiaddr = ({ requirePeerId = false } = {}) => (value) =>
+  typeof value === 'string' ? multiaddrProblem(value, { requirePeerId }) : 'must be a multiaddr';
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+  } catch {
+    return 'must be an http(s) URL';
+  }
+};
+
+const objectOf = (shape, required = []) => (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+  const unknown = Object.keys(value).find((key) => !shape[key]);
+  if (unknown) return `has unknown field '${unknown}'`;
+  const missing = required.find((key) => value[key] === undefined);
+  if (missing) return `is missing '${missing}'`;
+  const bad = Object.keys(value).find((key) => shape[key](value[key]));
+  return bad ? `'${bad}' ${shape[bad](value[bad])}` : null;
+};
+
+const isInteger = (value) => (Number.isInteger(value) ? null : 'must be an integer');
+
+const isConnMgr = (value) => {
+  const problem = objectOf({ lowWater: isInteger, highWater: isInteger, gracePeriod: isDuration }, ['lowWater', 'highWater'])(value);
+  if (problem) return problem;
+  return value.lowWater <= value.highWater ? null : 'lowWater must not exceed highWater';
+};
+
+const FIELDS = {
+  schemaVersion: { check: (value) => (value === CONFIG_VERSION ? null : `must be ${CONFIG_VERSION}`), default: CONFIG_VERSION, readOnly: true },
+  nodeType: { check: oneOf('bootstrap', 'regular'), default: 'bootstrap' },
+  networkType: { check: oneOf('normal', 'tailscale'), default: 'normal' },
+  runtime: { check: oneOf('native', 'docker'), default: 'native' },
+  swarmKey: { check: isString, default: null },
+  basePort: { check: isPort, default: 4001 },
+  apiPort: { check: isPort, default: null }, // null = basePort + 1000
+  gatewayPort: { check: isPort, default: null }, // null = basePort + 4080
+  bootstrapMultiaddrs: { check: listOf(isMultiaddr({ requirePeerId: true })), default: [], list: true },
+  nodeId: { check: isPeerId, default: null, readOnly: true },
+  lastStarted: { check: isTimestamp, default: null, readOnly: true },
+  tailscaleIP: { check: isIPv4, default: null },
+  connMgr: { check: isConnMgr },
+  announce: { check: listOf(isMultiaddr()), list: true },
+  exposeGateway: { check: isBoolean },
+  service: {
+    check: objectOf({ manager: oneOf('systemd', 'launchd'), scope: oneOf('user', 'system'), name: isString, file: isString }, ['manager', 'scope', 'name', 'file']),
+    readOnly: true,
+  },
+  cluster: { check: isString, readOnly: true },
+  rpcNodes: { check: listOf(isUrl), list: true },
+  storageMax: { check: isSize },
+  gcWatermark: { check: isPercent },
+  autoGc: { check: isBoolean },
+  gcPeriod: { check: isDuration },
+  kuboVersion: { check: isKuboVersion, readOnly: true }, // changed by 'kubo upgrade'
+};
+
+const defaultConfig = () =>
+  Object.fromEntries(Object.entries(FIELDS).filter(([, field]) => 'default' in field).map(([key, field]) => [key, field.default]));
+
+/**
+ * @param {Object} config
+ * @returns {string[]} one line per problem, empty when valid
+ */
+const validateConfig = (config) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be a JSON object'];
+  const problems = [];
+  Object.keys(config).filter((key) => !FIELDS[key]).forEach((key) => problems.push(`${key}: unknown setting`));
+  Object.entries(FIELDS).forEach(([key, field]) => {
+    const value = config[key];
+    if (value === undefined) {
+      if ('default' in field) problems.push(`${key}: missing`);
+      return;
+    }
+    if (value === null && (field.default === null || !('default' in field))) return;
+    const problem = field.check(value);
+    if (problem) problems.push(`${key}: ${problem} (found ${JSON.stringify(value)})`);
+  });
+  if (config.nodeType === 'regular' && Array.isArray(config.bootstrapMultiaddrs) && config.bootstrapMultiaddrs.length === 0) {
+    problems.push('bootstrapMultiaddrs: regular nodes need at least one bootstrap address');
+  }
+  return problems;
+};
+
+/* ---------- migrations ---------- */
+const toPort = (value) => (typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value) : value);
+
+// Each step upgrades a config from version `to - 1`; files without a version are version 0
+const MIGRATIONS = [
+  {
+    to: 1,
+    description: 'single bootstrapMultiaddr → bootstrapMultiaddrs, swarmKeyPath → swarmKey, numeric ports, explicit runtime',
+    up: (config) => {
+      const next = { ...defaultConfig(), ...config };
+      if (!Array.isArray(next.bootstrapMultiaddrs) || next.bootstrapMultiaddrs.length === 0) {
+        next.bootstrapMultiaddrs = config.bootstrapMultiaddr ? [config.bootstrapMultiaddr] : [];
+      }
+      delete next.bootstrapMultiaddr;
+      // init used to store the key the user pointed at next to the one it installed
+      if (!next.swarmKey && config.swarmKeyPath) next.swarmKey = config.swarmKeyPath;
+      delete next.swarmKeyPath;
+      ['basePort', 'apiPort', 'gatewayPort'].forEach((key) => {
+        next[key] = toPort(next[key]);
+      });
+      return next;
+    },
+  },
+];
+
+/**
+ * @param {Object} config parsed config.json
+ * @returns {{ config: Object, from: number, applied: string[] }}
+ */
+const migrateConfig = (config) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new ConfigError('config must be a JSON object');
+  const from = config.schemaVersion === undefined ? 0 : config.schemaVersion;
+  if (!Number.isInteger(from) || from < 0) throw new ConfigError(`Invalid schemaVersion ${JSON.stringify(config.schemaVersion)}`);
+  if (from > CONFIG_VERSION) {
+    throw new ConfigError(`config.json has schema version ${from}, this ipfs-swarm-cli only knows up to ${CONFIG_VERSION} – upgrade the CLI`);
+  }
+
+  const applied = [];
+  let next = config;
+  MIGRATIONS.filter((migration) => migration.to > from).forEach((migration) => {
+    next = { ...migration.up(next), schemaVersion: migration.to };
+    applied.push(`v${migration.to - 1} → v${migration.to}: ${migration.description}`);
+  });
+  return { config: next, from, applied };
+};
+
+/* ---------- get / set ---------- */
+const getSetting = (config, key) =>
+  key.split('.').reduce((node, part) => (node === null || node === undefined ? undefined : node[part]), config);
+
+// Command-line text -> value: JSON where it parses (numbers, booleans, null,
+// lists, objects), comma-separated text for list settings, plain text otherwise
+const parseSettingValue = (key, text) => {
+  const field = FIELDS[key.split('.')[0]];
+  if (field && field.list && !key.includes('.') && !String(text).trim().startsWith('[') && text !== 'null') {
+    return String(text).split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * @returns {Object} a copy of config with key (dotted for nested fields) set to value
+ */
+const setSetting = (config, key, value) => {
+  const [top, ...rest] = key.split('.');
+  const field = FIELDS[top];
+  if (!field) throw new ConfigError(`Unknown setting '${top}' (known: ${Object.keys(FIELDS).join(', ')})`);
+  if (field.readOnly) throw new ConfigError(`'${top}' is managed by ipfs-swarm-cli and cannot be set`);
+
+  const next = { ...config };
+  if (rest.length === 0) {
+    next[top] = value;
+    return next;
+  }
+  const copy = JSON.parse(JSON.stringify(next[top] || {}));
+  let node = copy;
+  rest.slice(0, -1).forEach((part) => {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    node = node[part];
+  });
+  node[rest[rest.length - 1]] = value;
+  next[top] = copy;
+  return next;
+};
+
+module.exports = {
+  CONFIG_VERSION,
+  FIELDS,
+  defaultConfig,
+  validateConfig,
+  migrateConfig,
+  getSetting,
+  setSetting,
+  parseSettingValue,
+  parseSize,
+  ConfigError,
+};
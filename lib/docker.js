@@ -0,0 +1,177 @@
+/*  Docker runtime for Kubo nodes
+    Runs the daemon in an ipfs/kubo container instead of a root-installed
+    binary. The profile's repo is bind-mounted to /data/ipfs and the swarm key
+    is handed to the image's entrypoint via IPFS_SWARM_KEY_FILE.
+*/
+const Docker = require('dockerode');
+
+const KUBO_IMAGE = 'ipfs/kubo';
+const CONTAINER_REPO = '/data/ipfs';
+const CONTAINER_SWARM_KEY = '/run/ipfs-swarm/swarm.key';
+// Scripts in /container-init.d run before every daemon start
+const CONTAINER_INIT_SCRIPT = '/container-init.d/010-ipfs-swarm.sh';
+
+const kuboImage = (version) => `${KUBO_IMAGE}:v${version}`;
+
+// Non-TTY container output is multiplexed: 8-byte frame header (stream type, size) + payload
+const demuxLogs = (buffer) => {
+  const chunks = [];
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32BE(offset + 4);
+    chunks.push(buffer.subarray(offset + 8, offset + 8 + size));
+    offset += 8 + size;
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Single-quote an argument for the generated /bin/sh init script
+const shellQuote = (arg) => `'${String(arg).replace(/'/g, `'\\''`)}'`;
+
+const renderInitScript = (commands) =>
+  [
+    '#!/bin/sh',
+    '# Generated by ipfs-swarm-cli – applied before every daemon start',
+    'set -e',
+    ...commands.map((args) => ['ipfs', ...args.map(shellQuote)].join(' ')),
+    '',
+  ].join('\n');
+
+const createDockerRuntime = (options) => {
+  const docker = new Docker(options);
+
+  const ping = async () => {
+    try {
+      await docker.ping();
+    } catch (e) {
+      throw new Error(`Docker is not reachable: ${e.message}`);
+    }
+  };
+
+  const hasImage = async (image) => {
+    try {
+      await docker.getImage(image).inspect();
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const pullImage = async (image, onProgress = () => {}) => {
+    const stream = await docker.pull(image);
+    await new Promise((resolve, reject) => {
+      docker.modem.followProgress(
+        stream,
+        (err) => (err ? reject(err) : resolve()),
+        (event) => onProgress(event)
+      );
+    });
+  };
+
+  const ensureImage = async (image, onProgress) => {
+    if (!(await hasImage(image))) await pullImage(image, onProgress);
+  };
+
+  const inspectContainer = async (name) => {
+    try {
+      return await docker.getContainer(name).inspect();
+    } catch (e) {
+      if (e.statusCode === 404) return null;
+      throw e;
+    }
+  };
+
+  const createNodeContainer = ({ name, image, repoPath, swarmKeyPath, initScriptPath, ports, exposeGateway = false, enableGc = false, labels = {} }) => {
+    const exposed = {};
+    const bindings = {};
+    // Swarm is reachable from other hosts, API (and by default the gateway) stay on loopback
+    [
+      [ports.swarm, '0.0.0.0'],
+      [ports.api, '127.0.0.1'],
+      [ports.gateway, exposeGateway ? '0.0.0.0' : '127.0.0.1'],
+    ].forEach(([port, hostIp]) => {
+      exposed[`${port}/tcp`] = {};
+      bindings[`${port}/tcp`] = [{ HostIp: hostIp, HostPort: String(port) }];
+    });
+
+    const binds = [`${repoPath}:${CONTAINER_REPO}`, `${initScriptPath}:${CONTAINER_INIT_SCRIPT}:ro`];
+    const env = ['IPFS_PROFILE=server', 'LIBP2P_FORCE_PNET=1'];
+    if (swarmKeyPath) {
+      binds.push(`${swarmKeyPath}:${CONTAINER_SWARM_KEY}:ro`);
+      env.push(`IPFS_SWARM_KEY_FILE=${CONTAINER_SWARM_KEY}`);
+    }
+
+    return docker.createContainer({
+      name,
+      Image: image,
+      Env: env,
+      Labels: labels,
+      // The image's default command, plus periodic GC
+      ...(enableGc ? { Cmd: ['daemon', '--migrate=true', '--agent-version-suffix=docker', '--enable-gc'] } : {}),
+      ExposedPorts: exposed,
+      HostConfig: {
+        Binds: binds,
+        PortBindings: bindings,
+        RestartPolicy: { Name: 'unless-stopped' },
+      },
+    });
+  };
+
+  // 304 = already in the requested state
+  const startContainer = async (name) => {
+    try {
+      await docker.getContainer(name).start();
+    } catch (e) {
+      if (e.statusCode !== 304) throw e;
+    }
+  };
+
+  const stopContainer = async (name) => {
+    try {
+      await docker.getContainer(name).stop();
+    } catch (e) {
+      if (e.statusCode !== 304 && e.statusCode !== 404) throw e;
+    }
+  };
+
+  const removeContainer = async (name) => {
+    try {
+      await docker.getContainer(name).remove({ force: true });
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+    }
+  };
+
+  const containerLogs = async (name, { tail = 50 } = {}) => {
+    const output = await docker.getContainer(name).logs({ stdout: true, stderr: true, tail });
+    const lines = demuxLogs(Buffer.isBuffer(output) ? output : Buffer.from(output)).split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+
+  // Streams new output into `out` until the returned stream is destroyed
+  const followContainerLogs = async (name, { tail = 50, out }) => {
+    const stream = await docker.getContainer(name).logs({ stdout: true, stderr: true, follow: true, tail });
+    docker.modem.demuxStream(stream, out, out);
+    return stream;
+  };
+
+  return {
+    ping,
+    ensureImage,
+    inspectContainer,
+    createNodeContainer,
+    startContainer,
+    stopContainer,
+    removeContainer,
+    containerLogs,
+    followContainerLogs,
+  };
+};
+
+module.exports = {
+  createDockerRuntime,
+  renderInitScript,
+  kuboImage,
+  CONTAINER_REPO,
+};
@@ -0,0 +1,72 @@
+/*  init progress
+    init records every step in <config dir>/init-state.json as it goes, so a
+    failed run can be picked up at the failed step (init --resume) or undone
+    from the snapshot taken before it changed anything (init --rollback):
+      { version, startedAt, updatedAt, cfg, swarmKeyPath, kubo: { tarball, user },
+        daemonWasRunning, repoExisted, steps: [{ name, status, error }], snapshot: { <file>: existed } }
+    status is pending, done or failed. snapshot maps each saved file to whether
+    it existed; rollback removes the ones that did not, and the whole Kubo repo
+    when repoExisted is false.
+*/
+const STATE_VERSION = 1;
+const STEP_STATUSES = ['pending', 'done', 'failed'];
+
+class InitStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InitStateError';
+  }
+}
+
+/**
+ * @param {{ cfg: Object, swarmKeyPath: string|null, kubo: Object, daemonWasRunning: boolean, repoExisted: boolean, steps: string[] }} run
+ */
+const createInitState = ({ cfg, swarmKeyPath, kubo, daemonWasRunning, repoExisted = true, steps }) => {
+  const now = new Date().toISOString();
+  return {
+    version: STATE_VERSION,
+    startedAt: now,
+    updatedAt: now,
+    cfg,
+    swarmKeyPath: swarmKeyPath || null,
+    kubo: kubo || {},
+    daemonWasRunning: !!daemonWasRunning,
+    repoExisted: !!repoExisted,
+    steps: steps.map((name) => ({ name, status: 'pending', error: null })),
+    snapshot: {},
+  };
+};
+
+/**
+ * @returns {Object} a copy of state with the step's status (and the config as it stands) recorded
+ */
+const markStep = (state, name, status, { error = null, cfg = state.cfg } = {}) => {
+  if (!STEP_STATUSES.includes(status)) throw new InitStateError(`Unknown step status '${status}'`);
+  const known = state.steps.some((step) => step.name === name);
+  const steps = known
+    ? state.steps.map((step) => (step.name === name ? { name, status, error } : step))
+    : [...state.steps, { name, status, error }];
+  return { ...state, steps, cfg, updatedAt: new Date().toISOString() };
+};
+
+const isStepDone = (state, name) => !!state && state.steps.some((step) => step.name === name && step.status === 'done');
+
+const failedStep = (state) => state.steps.find((step) => step.status === 'failed') || null;
+
+const parseInitState = (text) => {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (e) {
+    throw new InitStateError(`init-state.json is not valid JSON: ${e.message}`);
+  }
+  if (!state || state.version !== STATE_VERSION) throw new InitStateError(`Unsupported init-state.json version ${state && state.version}`);
+  if (!state.cfg || typeof state.cfg !== 'object') throw new InitStateError('init-state.json has no config');
+  const stepsOk = Array.isArray(state.steps)
+    && state.steps.every((step) => step && typeof step.name === 'string' && STEP_STATUSES.includes(step.status));
+  if (!stepsOk) throw new InitStateError('init-state.json has a malformed step list');
+  if (!state.snapshot || typeof state.snapshot !== 'object') throw new InitStateError('init-state.json has no snapshot record');
+  return state;
+};
+
+module.exports = { createInitState, markStep, isStepDone, failedStep, parseInitState, InitStateError };
@@ -0,0 +1,107 @@
+/*  Join tokens
+    One string carrying everything a regular node needs to join a swarm:
+      ipfs-swarm1.<base64url JSON>           plain
+      ipfs-swarm1e.<base64url salt|iv|tag|ciphertext>   passphrase-encrypted (scrypt + AES-256-GCM)
+    Payload: { k: swarm key hex, a: bootstrap multiaddrs, n: network type, e: expiry (unix seconds) }
+*/
+const crypto = require('crypto');
+
+const PLAIN_PREFIX = 'ipfs-swarm1.';
+const ENCRYPTED_PREFIX = 'ipfs-swarm1e.';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class InviteError extends Error {
+  /**
+   * @param {string} message
+   * @param {'invalid'|'expired'|'passphrase-required'|'bad-passphrase'} code
+   */
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'InviteError';
+    this.code = code;
+  }
+}
+
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, 32);
+
+// "30m", "12h", "7d" -> milliseconds
+const parseDuration = (text) => {
+  const match = /^(\d+)([mhd])$/.exec(String(text).trim());
+  if (!match) throw new InviteError(`Invalid duration '${text}' (use e.g. 30m, 12h, 7d)`);
+  const unit = { m: 60e3, h: 3600e3, d: 86400e3 }[match[2]];
+  return parseInt(match[1]) * unit;
+};
+
+const createInviteToken = ({ swarmKeyHex, bootstrapAddrs, networkType, expiresAt }, { passphrase } = {}) => {
+  const payload = Buffer.from(JSON.stringify({
+    k: swarmKeyHex,
+    a: bootstrapAddrs,
+    n: networkType,
+    e: Math.floor(expiresAt.getTime() / 1000),
+  }));
+
+  if (!passphrase) return PLAIN_PREFIX + payload.toString('base64url');
+
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+  return ENCRYPTED_PREFIX + Buffer.concat([salt, iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+const isEncryptedInvite = (token) => String(token).trim().startsWith(ENCRYPTED_PREFIX);
+
+const decodePayload = (token, passphrase) => {
+  const text = String(token).trim();
+  if (text.startsWith(PLAIN_PREFIX)) {
+    return Buffer.from(text.slice(PLAIN_PREFIX.length), 'base64url');
+  }
+  if (!text.startsWith(ENCRYPTED_PREFIX)) {
+    throw new InviteError('Not an ipfs-swarm-cli join token');
+  }
+  if (!passphrase) {
+    throw new InviteError('This token is encrypted, a passphrase is required', 'passphrase-required');
+  }
+
+  const raw = Buffer.from(text.slice(ENCRYPTED_PREFIX.length), 'base64url');
+  if (raw.length <= SALT_BYTES + IV_BYTES + TAG_BYTES) throw new InviteError('Token is truncated');
+  const salt = raw.subarray(0, SALT_BYTES);
+  const iv = raw.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+  const tag = raw.subarray(SALT_BYTES + IV_BYTES, SALT_BYTES + IV_BYTES + TAG_BYTES);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(raw.subarray(SALT_BYTES + IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw new InviteError('Wrong passphrase or corrupted token', 'bad-passphrase');
+  }
+};
+
+const parseInviteToken = (token, { passphrase, now = new Date() } = {}) => {
+  let data;
+  try {
+    data = JSON.parse(decodePayload(token, passphrase).toString('utf8'));
+  } catch (e) {
+    if (e instanceof InviteError) throw e;
+    throw new InviteError('Token is corrupted');
+  }
+
+  if (!/^[0-9a-f]{64}$/i.test(data.k || '') || !Array.isArray(data.a) || data.a.length === 0) {
+    throw new InviteError('Token is missing the swarm key or bootstrap addresses');
+  }
+  const expiresAt = new Date(data.e * 1000);
+  if (now > expiresAt) {
+    throw new InviteError(`Token expired at ${expiresAt.toISOString()}`, 'expired');
+  }
+
+  return {
+    swarmKeyHex: data.k.toLowerCase(),
+    bootstrapAddrs: data.a,
+    networkType: data.n === 'tailscale' ? 'tailscale' : 'normal',
+    expiresAt,
+  };
+};
+
+module.exports = { createInviteToken, parseInviteToken, isEncryptedInvite, parseDuration, InviteError };
@@ -0,0 +1,90 @@
+/*  Kubo release artifacts
+    Names and URLs of the release tarballs, and SHA-512 verification against
+    the checksum file published next to each one:
+      kubo_v0.35.0_linux-amd64.tar.gz
+      kubo_v0.35.0_linux-amd64.tar.gz.sha512   ("<128 hex chars>  kubo_v0.35.0_linux-amd64.tar.gz")
+*/
+const crypto = require('crypto');
+const fs = require('fs');
+
+const RELEASE_BASE_URL = 'https://github.com/ipfs/kubo/releases/download';
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-rc\d+)?$/;
+
+class KuboReleaseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KuboReleaseError';
+  }
+}
+
+// Accepts 0.35.0 as well as v0.35.0
+const normalizeKuboVersion = (text) => {
+  const version = String(text || '').trim().replace(/^v/, '');
+  if (!VERSION_PATTERN.test(version)) throw new KuboReleaseError(`'${text}' is not a Kubo version (e.g. 0.35.0)`);
+  return version;
+};
+
+const tarballName = (version, platform, arch) => `kubo_v${version}_${platform}-${arch}.tar.gz`;
+
+const releaseUrl = (version, file) => `${RELEASE_BASE_URL}/v${version}/${file}`;
+
+// -1, 0 or 1; release candidates sort before the release
+const compareKuboVersions = (a, b) => {
+  const parse = (version) => {
+    const [core, rc] = normalizeKuboVersion(version).split('-rc');
+    return [...core.split('.').map(Number), rc === undefined ? Infinity : Number(rc)];
+  };
+  const left = parse(a);
+  const right = parse(b);
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return 0;
+};
+
+/**
+ * @param {string} text contents of a .sha512 file
+ * @param {string} file tarball name the checksum has to be listed for
+ * @returns {string} lower-case hex digest
+ */
+const parseChecksumFile = (text, file) => {
+  const lines = String(text).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const entries = lines.map((line) => line.match(/^([0-9a-fA-F]{128})\s+\*?(\S+)$/)).filter(Boolean);
+  // A bare digest is accepted for checksum files written by hand
+  if (entries.length === 0 && lines.length === 1 && /^[0-9a-fA-F]{128}$/.test(lines[0])) return lines[0].toLowerCase();
+  const entry = entries.find(([, , name]) => name === file || name.endsWith(`/${file}`));
+  if (!entry) throw new KuboReleaseError(`Checksum file has no SHA-512 entry for ${file}`);
+  return entry[1].toLowerCase();
+};
+
+const sha512File = (file) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha512');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+/**
+ * Throws KuboReleaseError unless file hashes to the expected digest
+ * @param {string} file
+ * @param {string} expected hex digest
+ */
+const verifyTarball = async (file, expected) => {
+  const actual = await sha512File(file);
+  if (actual !== expected.toLowerCase()) {
+    throw new KuboReleaseError(`SHA-512 mismatch for ${file}: expected ${expected.slice(0, 16)}…, got ${actual.slice(0, 16)}…`);
+  }
+};
+
+module.exports = {
+  normalizeKuboVersion,
+  tarballName,
+  releaseUrl,
+  compareKuboVersions,
+  parseChecksumFile,
+  sha512File,
+  verifyTarball,
+  KuboReleaseError,
+};
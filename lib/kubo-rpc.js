@@ -0,0 +1,392 @@
+/*  Kubo HTTP RPC client
+    Talks to the daemon on Addresses.API (POST /api/v0/<command>) instead of
+    shelling out to the ipfs binary. Results are normalised to plain objects,
+    failures are raised as RpcError.
+*/
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * @typedef {{ id: string, publicKey: string, addresses: string[], agentVersion: string, protocolVersion: string }} NodeIdentity
+ * @typedef {{ peer: string, addr: string, multiaddr: string, latency: string|null, direction: 'inbound'|'outbound'|null, muxer: string|null }} SwarmPeer
+ * @typedef {{ name: string, cid: string, size: number }} AddResult
+ * @typedef {{ name: string, cid: string, size: number, type: 'file'|'directory' }} LsEntry
+ * @typedef {{ cid: string, size: number, cumulativeSize: number, type: 'file'|'directory' }} FilesStat
+ * @typedef {{ repoSize: number, storageMax: number, numObjects: number, repoPath: string, version: string }} RepoStat
+ * @typedef {{ totalIn: number, totalOut: number, rateIn: number, rateOut: number }} BandwidthStats
+ */
+
+class RpcError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ command?: string, type?: 'connection'|'api'|'parse', status?: number|null, code?: number|null }} [details]
+   */
+  constructor(message, { command = null, type = 'api', status = null, code = null } = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.command = command;
+    this.type = type; // 'connection' = daemon unreachable, 'api' = daemon answered with an error
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// swarm/peers reports libp2p's network.Direction enum
+const PEER_DIRECTIONS = { 1: 'inbound', 2: 'outbound' };
+
+/* ---------- address helpers ---------- */
+// Converts the API multiaddr Kubo writes (e.g. /ip4/127.0.0.1/tcp/5001) to an http URL
+const apiMultiaddrToUrl = (addr) => {
+  const parts = addr.trim().split('/').filter(Boolean);
+  if (parts.length < 4 || parts[2] !== 'tcp') {
+    throw new RpcError(`Unsupported API address: ${addr}`, { type: 'parse' });
+  }
+  const [proto, host, , port] = parts;
+  if (proto === 'ip6') return `http://[${host}]:${port}`;
+  if (['ip4', 'dns', 'dns4', 'dns6'].includes(proto)) return `http://${host}:${port}`;
+  throw new RpcError(`Unsupported API address: ${addr}`, { type: 'parse' });
+};
+
+/* ---------- multipart ---------- */
+const multipartBody = (files) => {
+  const boundary = `----ipfs-swarm-cli-${crypto.randomBytes(8).toString('hex')}`;
+  const chunks = [];
+  files.forEach(({ name, content }) => {
+    chunks.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${encodeURIComponent(name)}"\r\n` +
+      'Content-Type: application/octet-stream\r\n\r\n'
+    ));
+    chunks.push(Buffer.isBuffer(content) ? content : Buffer.from(String(content)));
+    chunks.push(Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+};
+
+// Streaming variant for one large file: the content is never held in memory.
+// onChunk(bytes) is called as content is handed to the socket.
+const multipartStream = (name, content, onChunk = () => {}) => {
+  const boundary = `----ipfs-swarm-cli-${crypto.randomBytes(8).toString('hex')}`;
+  async function* parts() {
+    yield Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${encodeURIComponent(name)}"\r\n` +
+      'Content-Type: application/octet-stream\r\n\r\n'
+    );
+    for await (const chunk of content) {
+      onChunk(chunk.length);
+      yield chunk;
+    }
+    yield Buffer.from(`\r\n--${boundary}--\r\n`);
+  }
+  return { body: Readable.from(parts()), contentType: `multipart/form-data; boundary=${boundary}` };
+};
+
+/* ---------- client ---------- */
+const createRpcClient = ({ url, timeout = 10000 } = {}) => {
+  const base = url.replace(/\/+$/, '');
+
+  const request = async (command, { args = [], params = {}, body, headers, raw = false, timeout: ms = timeout } = {}) => {
+    const query = new URLSearchParams();
+    args.forEach((arg) => query.append('arg', arg));
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) query.append(key, String(value));
+    });
+
+    let res;
+    try {
+      res = await fetch(`${base}/api/v0/${command}?${query}`, { method: 'POST', body, headers, timeout: ms });
+    } catch (e) {
+      throw new RpcError(`Cannot reach Kubo RPC API at ${base}: ${e.message}`, { command, type: 'connection' });
+    }
+
+    if (!res.ok) {
+      const text = await res.text();
+      let message = text.trim() || `HTTP ${res.status}`;
+      let code = null;
+      try {
+        const data = JSON.parse(text);
+        message = data.Message || message;
+        code = data.Code ?? null;
+      } catch {}
+      throw new RpcError(`${command}: ${message}`, { command, status: res.status, code });
+    }
+
+    if (raw) return res;
+    const text = await res.text();
+    if (!text.trim()) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new RpcError(`${command}: unexpected response`, { command, type: 'parse', status: res.status });
+    }
+  };
+
+  // Streaming commands (add) answer with one JSON object per line
+  const requestLines = async (command, options) => {
+    const res = await request(command, { ...options, raw: true });
+    const text = await res.text();
+    try {
+      return text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+    } catch {
+      throw new RpcError(`${command}: unexpected response`, { command, type: 'parse', status: res.status });
+    }
+  };
+
+  /**
+   * @param {string} [peerId] another peer, looked up in the daemon's peerstore
+   * @returns {Promise<NodeIdentity>}
+   */
+  const id = async (peerId) => {
+    const data = await request('id', { args: peerId ? [peerId] : [] });
+    return {
+      id: data.ID,
+      publicKey: data.PublicKey,
+      addresses: data.Addresses || [],
+      agentVersion: data.AgentVersion,
+      protocolVersion: data.ProtocolVersion,
+    };
+  };
+
+  /** @returns {Promise<SwarmPeer[]>} */
+  const swarmPeers = async ({ verbose = false } = {}) => {
+    const data = await request('swarm/peers', {
+      params: verbose ? { verbose: true, latency: true, direction: true } : {},
+    });
+    return (data.Peers || []).map((p) => ({
+      peer: p.Peer,
+      addr: p.Addr,
+      multiaddr: `${p.Addr}/p2p/${p.Peer}`,
+      latency: p.Latency || null,
+      direction: PEER_DIRECTIONS[p.Direction] || null,
+      muxer: p.Muxer || null,
+    }));
+  };
+
+  /** @returns {Promise<string[]>} */
+  const swarmConnect = async (multiaddr) => {
+    const data = await request('swarm/connect', { args: [multiaddr], timeout: 30000 });
+    return data.Strings || [];
+  };
+
+  /** @returns {Promise<string[]>} */
+  const swarmAddrsLocal = async () => {
+    const data = await request('swarm/addrs/local');
+    return data.Strings || [];
+  };
+
+  /** @returns {Promise<AddResult>} the root entry */
+  const add = async (content, { name = 'file', pin = true } = {}) => {
+    const { body, contentType } = multipartBody([{ name, content }]);
+    const entries = await requestLines('add', {
+      params: { pin, 'cid-version': 0 },
+      body,
+      headers: { 'Content-Type': contentType },
+      timeout: 60000,
+    });
+    const root = entries[entries.length - 1];
+    if (!root || !root.Hash) throw new RpcError('add: no CID returned', { command: 'add', type: 'parse' });
+    return { name: root.Name, cid: root.Hash, size: parseInt(root.Size) || 0 };
+  };
+
+  /** @returns {Promise<Buffer>} */
+  const cat = async (cid, { timeout: ms = 60000 } = {}) => {
+    const res = await request('cat', { args: [cid], raw: true, timeout: ms });
+    return res.buffer();
+  };
+
+  /**
+   * Adds one file from a readable stream without pinning it
+   * @returns {Promise<AddResult>}
+   */
+  const addStream = async (content, { name = 'file', onChunk, timeout: ms = 0 } = {}) => {
+    const { body, contentType } = multipartStream(name, content, onChunk);
+    const entries = await requestLines('add', {
+      params: { pin: false, 'cid-version': 0 },
+      body,
+      headers: { 'Content-Type': contentType },
+      timeout: ms,
+    });
+    const root = entries[entries.length - 1];
+    if (!root || !root.Hash) throw new RpcError('add: no CID returned', { command: 'add', type: 'parse' });
+    return { name: root.Name, cid: root.Hash, size: parseInt(root.Size) || 0 };
+  };
+
+  // Response body as a stream, for timing and progress; offset resumes part-way
+  const catStream = async (cid, { timeout: ms = 60000, offset } = {}) => {
+    const res = await request('cat', { args: [cid], params: { offset: offset || undefined }, raw: true, timeout: ms });
+    return res.body;
+  };
+
+  /** @returns {Promise<LsEntry[]>} the directory's direct children */
+  const ls = async (cid) => {
+    const data = await request('ls', { args: [cid], params: { 'resolve-type': true, size: true }, timeout: 60000 });
+    const object = (data.Objects || [])[0] || { Links: [] };
+    return (object.Links || []).map((link) => ({
+      name: link.Name,
+      cid: link.Hash,
+      size: Number(link.Size) || 0,
+      type: link.Type === 1 ? 'directory' : 'file',
+    }));
+  };
+
+  /* MFS is used to assemble directories from individually added files */
+  /** @returns {Promise<FilesStat>} */
+  const filesStat = async (mfsPath) => {
+    const data = await request('files/stat', { args: [mfsPath] });
+    return {
+      cid: data.Hash,
+      size: Number(data.Size) || 0,
+      cumulativeSize: Number(data.CumulativeSize) || 0,
+      type: data.Type === 'directory' ? 'directory' : 'file',
+    };
+  };
+
+  const filesMkdir = async (mfsPath) => {
+    await request('files/mkdir', { args: [mfsPath], params: { parents: true, 'cid-version': 0 } });
+  };
+
+  const filesCp = async (source, mfsPath) => {
+    await request('files/cp', { args: [source, mfsPath], params: { parents: true } });
+  };
+
+  const filesRm = async (mfsPath) => {
+    await request('files/rm', { args: [mfsPath], params: { recursive: true, force: true } });
+  };
+
+  const pinAdd = async (cid, { timeout: ms = 0, recursive = true } = {}) => {
+    await request('pin/add', { args: [cid], params: { recursive }, timeout: ms });
+  };
+
+  const pinRm = async (cid) => {
+    await request('pin/rm', { args: [cid], params: { recursive: true } });
+  };
+
+  /** @returns {Promise<boolean>} whether cid is pinned recursively */
+  const isPinned = async (cid) => {
+    try {
+      const data = await request('pin/ls', { args: [cid], params: { type: 'recursive' } });
+      return Boolean(data && data.Keys && Object.keys(data.Keys).length > 0);
+    } catch (e) {
+      if (e.type === 'api' && /not pinned/.test(e.message)) return false;
+      throw e;
+    }
+  };
+
+  const configGet = async (key) => {
+    const data = await request('config', { args: [key] });
+    return data.Value;
+  };
+
+  const configSet = async (key, value, { json = false } = {}) => {
+    const arg = json ? JSON.stringify(value) : String(value);
+    await request('config', { args: [key, arg], params: json ? { json: true } : {} });
+  };
+
+  const configShow = () => request('config/show');
+
+  /** @returns {Promise<string[]>} */
+  const bootstrapList = async () => {
+    const data = await request('bootstrap/list');
+    return data.Peers || [];
+  };
+
+  const bootstrapAdd = async (multiaddr) => {
+    const data = await request('bootstrap/add', { args: [multiaddr] });
+    return data.Peers || [];
+  };
+
+  const bootstrapRemove = async (multiaddr) => {
+    const data = await request('bootstrap/rm', { args: [multiaddr] });
+    return data.Peers || [];
+  };
+
+  /** @returns {Promise<RepoStat>} */
+  const repoStat = async () => {
+    const data = await request('repo/stat');
+    return {
+      repoSize: Number(data.RepoSize) || 0,
+      storageMax: Number(data.StorageMax) || 0,
+      numObjects: Number(data.NumObjects) || 0,
+      repoPath: data.RepoPath,
+      version: data.Version,
+    };
+  };
+
+  /** @returns {Promise<string[]>} CIDs of every block in the local blockstore */
+  const refsLocal = async () => {
+    const lines = await requestLines('refs/local', { timeout: 0 });
+    return lines.filter((line) => !line.Err).map((line) => line.Ref);
+  };
+
+  /** @returns {Promise<string[]>} CIDs linked from cid (not including cid itself) */
+  const refs = async (cid, { recursive = true } = {}) => {
+    const lines = await requestLines('refs', { args: [cid], params: { recursive, unique: true }, timeout: 0 });
+    return lines.filter((line) => !line.Err).map((line) => line.Ref);
+  };
+
+  /** @returns {Promise<string[]>} pinned CIDs; type 'all' includes the blocks below recursive pins */
+  const pinLs = async ({ type = 'recursive' } = {}) => {
+    const data = await request('pin/ls', { params: { type }, timeout: 0 });
+    return Object.keys((data && data.Keys) || {});
+  };
+
+  /** @returns {Promise<string[]>} CIDs of the removed blocks */
+  const repoGc = async () => {
+    const lines = await requestLines('repo/gc', { timeout: 0 });
+    const failed = lines.find((line) => line.Error);
+    if (failed) throw new RpcError(`repo/gc: ${failed.Error}`, { command: 'repo/gc' });
+    return lines.filter((line) => line.Key).map((line) => line.Key['/']);
+  };
+
+  /** @returns {Promise<BandwidthStats>} */
+  const statsBw = async () => {
+    const data = await request('stats/bw');
+    return {
+      totalIn: Number(data.TotalIn) || 0,
+      totalOut: Number(data.TotalOut) || 0,
+      rateIn: Number(data.RateIn) || 0,
+      rateOut: Number(data.RateOut) || 0,
+    };
+  };
+
+  const shutdown = () => request('shutdown');
+
+  return {
+    url: base,
+    request,
+    id,
+    swarmPeers,
+    swarmConnect,
+    swarmAddrsLocal,
+    add,
+    cat,
+    addStream,
+    catStream,
+    ls,
+    filesStat,
+    filesMkdir,
+    filesCp,
+    filesRm,
+    pinAdd,
+    pinRm,
+    isPinned,
+    configGet,
+    configSet,
+    configShow,
+    bootstrapList,
+    bootstrapAdd,
+    bootstrapRemove,
+    repoStat,
+    refsLocal,
+    refs,
+    pinLs,
+    repoGc,
+    statsBw,
+    shutdown,
+  };
+};
+
+module.exports = { createRpcClient, RpcError, apiMultiaddrToUrl };
@@ -0,0 +1,96 @@
+/*  Daemon log files and startup failure diagnosis
+    Logs are rotated by size: daemon.log -> daemon.log.1 -> ... -> daemon.log.<keep>.
+    rotateLog checks once (before a start); createRotatingLog is a writer for
+    long-running processes that rotates whenever the file outgrows maxBytes.
+*/
+const fs = require('fs');
+
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+const KEEP_ROTATED = 3;
+
+const rotateLog = (file, { maxBytes = MAX_LOG_BYTES, keep = KEEP_ROTATED } = {}) => {
+  if (!fs.existsSync(file) || fs.statSync(file).size < maxBytes) return false;
+  for (let i = keep - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+  }
+  fs.renameSync(file, `${file}.1`);
+  return true;
+};
+
+/**
+ * Append-only log writer for output that keeps coming (daemon, watch loop)
+ * @returns {{ write: (chunk: string|Buffer) => void, close: () => void }}
+ */
+const createRotatingLog = (file, { maxBytes = MAX_LOG_BYTES, keep = KEEP_ROTATED } = {}) => {
+  rotateLog(file, { maxBytes, keep });
+  let fd = fs.openSync(file, 'a');
+  let size = fs.fstatSync(fd).size;
+  return {
+    write: (chunk) => {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+      if (size > 0 && size + buffer.length > maxBytes) {
+        fs.closeSync(fd);
+        rotateLog(file, { maxBytes: 0, keep });
+        fd = fs.openSync(file, 'a');
+        size = 0;
+      }
+      fs.writeSync(fd, buffer);
+      size += buffer.length;
+    },
+    close: () => fs.closeSync(fd),
+  };
+};
+
+// Last n lines without reading more than the final chunk of big files
+const readLastLines = (file, n) => {
+  if (!fs.existsSync(file)) return [];
+  const { size } = fs.statSync(file);
+  const length = Math.min(size, Math.max(64 * 1024, n * 512));
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = buffer.toString('utf8').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines.slice(-n);
+};
+
+// Known reasons `ipfs daemon` refuses to come up, matched against its output
+const STARTUP_PROBLEMS = [
+  {
+    id: 'port-in-use',
+    title: 'Port already in use',
+    pattern: /address already in use|bind: .*in use|failed to listen/i,
+    hint: "Another process holds the swarm, API or gateway port. Find it with 'sudo netstat -tulpn' or choose other ports with 'init --port/--api-port/--gateway-port'.",
+  },
+  {
+    id: 'repo-lock',
+    title: 'Repo lock held',
+    pattern: /someone else has the lock|repo\.lock|lock is already held|resource temporarily unavailable/i,
+    hint: "Another ipfs process is using this repo. Stop it with 'ipfs-swarm-cli stop', or remove repo.lock if no daemon is running.",
+  },
+  {
+    id: 'swarm-key',
+    title: 'Swarm key problem',
+    pattern: /swarm\.key|pnet|private network|psk|failed to negotiate security protocol/i,
+    hint: "The swarm key is malformed or differs from the other nodes. Compare with 'ipfs-swarm-cli key fingerprint' on every node.",
+  },
+  {
+    id: 'repo-migration',
+    title: 'Repo needs migration',
+    pattern: /needs migration|fs-repo-migrations|outdated fs-repo|repo version|migrat(e|ion) (required|failed)/i,
+    hint: "The repo was created by another Kubo version. Run 'ipfs daemon --migrate=true' once, or install the matching Kubo version.",
+  },
+];
+
+const diagnoseStartup = (lines) => {
+  const text = lines.join('\n');
+  return STARTUP_PROBLEMS
+    .filter((problem) => problem.pattern.test(text))
+    .map(({ id, title, hint }) => ({ id, title, hint }));
+};
+
+module.exports = { rotateLog, createRotatingLog, readLastLines, diagnoseStartup };
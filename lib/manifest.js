@@ -0,0 +1,150 @@
+/*  Declarative node manifests
+    A YAML or JSON file describing one node, e.g.
+
+      nodeType: regular          # bootstrap | regular
+      network: tailscale         # normal | tailscale
+      ports: { swarm: 4001, api: 5001, gateway: 8080 }
+      bootstrap:
+        - /ip4/100.64.0.1/tcp/4001/p2p/12D3KooW...
+      connMgr: { lowWater: 10, highWater: 100, gracePeriod: 20s }
+      announce: [/dns4/node1.example.com/tcp/4001]
+      gateway: { expose: false }
+
+    loadManifest() turns it into config.json fields; diffSettings() compares
+    current and desired values so plan/apply only touch what differs.
+*/
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { multiaddrProblem } = require('./multiaddr');
+
+const DEFAULT_CONN_MGR = { lowWater: 10, highWater: 100 };
+
+const TOP_LEVEL_KEYS = ['version', 'nodeType', 'network', 'ports', 'bootstrap', 'connMgr', 'announce', 'gateway'];
+
+class ManifestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ManifestError';
+  }
+}
+
+const isPort = (value) => Number.isInteger(value) && value > 0 && value < 65536;
+
+const checkKeys = (object, allowed, where) => {
+  const unknown = Object.keys(object).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new ManifestError(`Unknown ${where} field(s): ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+  }
+};
+
+const checkObject = (value, where) => {
+  if (value === undefined) return {};
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ManifestError(`'${where}' must be a mapping`);
+  }
+  return value;
+};
+
+const checkAddrList = (value, where, { requirePeerId = false } = {}) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((addr) => typeof addr !== 'string')) {
+    throw new ManifestError(`'${where}' must be a list of multiaddrs`);
+  }
+  value.forEach((addr) => {
+    const problem = multiaddrProblem(addr, { requirePeerId });
+    if (problem) throw new ManifestError(`'${where}': ${problem}`);
+  });
+  return value;
+};
+
+// Validates a parsed manifest and maps it onto config.json fields
+const normalizeManifest = (doc) => {
+  checkObject(doc, 'manifest');
+  checkKeys(doc, TOP_LEVEL_KEYS, 'manifest');
+  if (doc.version !== undefined && doc.version !== 1) {
+    throw new ManifestError(`Unsupported manifest version ${doc.version} (expected 1)`);
+  }
+
+  if (!['bootstrap', 'regular'].includes(doc.nodeType)) {
+    throw new ManifestError("'nodeType' must be 'bootstrap' or 'regular'");
+  }
+  const network = doc.network === undefined ? 'normal' : doc.network;
+  if (!['normal', 'tailscale'].includes(network)) {
+    throw new ManifestError("'network' must be 'normal' or 'tailscale'");
+  }
+
+  const ports = checkObject(doc.ports, 'ports');
+  checkKeys(ports, ['swarm', 'api', 'gateway'], 'ports');
+  const basePort = ports.swarm === undefined ? 4001 : ports.swarm;
+  Object.entries({ swarm: basePort, api: ports.api, gateway: ports.gateway }).forEach(([name, port]) => {
+    if (port !== undefined && !isPort(port)) throw new ManifestError(`'ports.${name}' must be a port number`);
+  });
+
+  const bootstrap = checkAddrList(doc.bootstrap, 'bootstrap', { requirePeerId: true });
+  if (doc.nodeType === 'regular' && bootstrap.length === 0) {
+    throw new ManifestError("Regular nodes need at least one 'bootstrap' address");
+  }
+
+  const connMgrDoc = checkObject(doc.connMgr, 'connMgr');
+  checkKeys(connMgrDoc, ['lowWater', 'highWater', 'gracePeriod'], 'connMgr');
+  const connMgr = { ...DEFAULT_CONN_MGR, ...connMgrDoc };
+  if (!Number.isInteger(connMgr.lowWater) || !Number.isInteger(connMgr.highWater) || connMgr.lowWater > connMgr.highWater) {
+    throw new ManifestError("'connMgr.lowWater' and 'connMgr.highWater' must be integers with lowWater <= highWater");
+  }
+  if (connMgr.gracePeriod !== undefined && !/^\d+(ms|s|m|h)$/.test(String(connMgr.gracePeriod))) {
+    throw new ManifestError("'connMgr.gracePeriod' must be a duration like 20s or 1m");
+  }
+
+  const gateway = checkObject(doc.gateway, 'gateway');
+  checkKeys(gateway, ['expose'], 'gateway');
+  if (gateway.expose !== undefined && typeof gateway.expose !== 'boolean') {
+    throw new ManifestError("'gateway.expose' must be true or false");
+  }
+
+  return {
+    nodeType: doc.nodeType,
+    networkType: network,
+    basePort,
+    apiPort: ports.api || null,
+    gatewayPort: ports.gateway || null,
+    bootstrapMultiaddrs: bootstrap,
+    connMgr,
+    announce: checkAddrList(doc.announce, 'announce'),
+    exposeGateway: gateway.expose === true,
+  };
+};
+
+// YAML is a superset of JSON, so one parser reads both
+const loadManifest = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new ManifestError(`Cannot read manifest ${file}: ${e.message}`);
+  }
+  let doc;
+  try {
+    doc = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (e) {
+    throw new ManifestError(`Cannot parse manifest ${file}: ${e.message}`);
+  }
+  return normalizeManifest(doc);
+};
+
+// JSON with sorted object keys, so key order never counts as a difference
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * @param {{ key: string, current: any, desired: any }[]} settings
+ * @returns {{ key: string, current: any, desired: any }[]} the settings whose values differ
+ */
+const diffSettings = (settings) => settings.filter(({ current, desired }) => canonical(current) !== canonical(desired));
+
+module.exports = { loadManifest, normalizeManifest, diffSettings, DEFAULT_CONN_MGR, ManifestError };
@@ -0,0 +1,206 @@
+/*  Multiaddr parsing and validation
+    Understands the string form only, e.g.
+      /ip4/203.0.113.1/tcp/4001/p2p/12D3KooW...
+      /dns4/node1.example.com/udp/4001/quic-v1/p2p/Qm...
+    Peer IDs are checked by decoding them: base58btc multihashes (Qm..., 12D3KooW...)
+    and CIDv1 with the libp2p-key codec (bafz... / k51..., base32 / base36 / base58btc / base16).
+*/
+const net = require('net');
+const { decodeBase58, decodeMultibase, readVarint, MultibaseError } = require('./multibase');
+
+class MultiaddrError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MultiaddrError';
+  }
+}
+
+// Protocol name -> kind of value that follows it (null = no value)
+const PROTOCOLS = {
+  ip4: 'ip4',
+  ip6: 'ip6',
+  dns: 'hostname',
+  dns4: 'hostname',
+  dns6: 'hostname',
+  dnsaddr: 'hostname',
+  tcp: 'port',
+  udp: 'port',
+  quic: null,
+  'quic-v1': null,
+  webtransport: null,
+  certhash: 'text',
+  ws: null,
+  wss: null,
+  tls: null,
+  sni: 'hostname',
+  noise: null,
+  http: null,
+  https: null,
+  'webrtc-direct': null,
+  webrtc: null,
+  'p2p-circuit': null,
+  p2p: 'peer-id',
+  ipfs: 'peer-id',
+};
+
+const HOST_PROTOCOLS = ['ip4', 'ip6', 'dns', 'dns4', 'dns6', 'dnsaddr'];
+// Protocols layered on top of tcp/udp that make up the transport
+const TRANSPORT_LAYERS = ['quic', 'quic-v1', 'webtransport', 'ws', 'wss', 'tls', 'http', 'https', 'webrtc-direct'];
+
+/* ---------- peer IDs ---------- */
+const LIBP2P_KEY_CODEC = 0x72;
+const SHA2_256 = 0x12;
+const IDENTITY = 0x00;
+
+// Peer IDs are multihashes: sha2-256 of the public key, or the key itself inline
+const checkPeerMultihash = (bytes) => {
+  const [code, afterCode] = readVarint(bytes, 0);
+  const [length, digestStart] = readVarint(bytes, afterCode);
+  if (code !== SHA2_256 && code !== IDENTITY) {
+    throw new MultiaddrError(`multihash code 0x${code.toString(16)} is not sha2-256 or identity`);
+  }
+  if (code === SHA2_256 && length !== 32) throw new MultiaddrError(`sha2-256 digest must be 32 bytes, not ${length}`);
+  if (bytes.length - digestStart !== length) {
+    throw new MultiaddrError(`digest is ${bytes.length - digestStart} bytes, the multihash says ${length}`);
+  }
+};
+
+/**
+ * Throws MultiaddrError unless text is a decodable libp2p peer ID
+ * @param {string} text
+ */
+const validatePeerId = (text) => {
+  try {
+    if (text.startsWith('Qm') || text.startsWith('1')) {
+      checkPeerMultihash(decodeBase58(text));
+      return;
+    }
+    const cid = decodeMultibase(text);
+    const [version, afterVersion] = readVarint(cid, 0);
+    const [codec, afterCodec] = readVarint(cid, afterVersion);
+    if (version !== 1) throw new MultiaddrError(`CID version ${version}, expected 1`);
+    if (codec !== LIBP2P_KEY_CODEC) throw new MultiaddrError(`CID codec 0x${codec.toString(16)} is not libp2p-key`);
+    checkPeerMultihash(cid.subarray(afterCodec));
+  } catch (e) {
+    if (!(e instanceof MultiaddrError) && !(e instanceof MultibaseError)) throw e;
+    throw new MultiaddrError(`Invalid peer ID '${text}': ${e.message}`);
+  }
+};
+
+/* ---------- multiaddrs ---------- */
+const isHostname = (value) =>
+  value.length <= 253 && value.split('.').every((label) => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label));
+
+const checkValue = (protocol, kind, value) => {
+  const fail = (expected) => new MultiaddrError(`/${protocol} needs ${expected}, got '${value}'`);
+  switch (kind) {
+    case 'ip4':
+      if (!net.isIPv4(value)) throw fail('an IPv4 address');
+      break;
+    case 'ip6':
+      if (!net.isIPv6(value)) throw fail('an IPv6 address');
+      break;
+    case 'hostname':
+      if (!isHostname(value)) throw fail('a host name');
+      break;
+    case 'port': {
+      const port = Number(value);
+      if (!/^\d+$/.test(value) || port < 1 || port > 65535) throw fail('a port between 1 and 65535');
+      break;
+    }
+    case 'peer-id':
+      validatePeerId(value);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * @typedef {{
+ *   text: string,
+ *   components: { protocol: string, value: string|null }[],
+ *   host: string|null,
+ *   hostProtocol: string|null,
+ *   port: number|null,
+ *   transport: string|null,
+ *   peerId: string|null,
+ * }} ParsedMultiaddr
+ */
+
+/**
+ * @param {string} text
+ * @param {{ requirePeerId?: boolean }} [options] requirePeerId: must end in /p2p/<peer ID>
+ * @returns {ParsedMultiaddr}
+ */
+const parseMultiaddr = (text, { requirePeerId = false } = {}) => {
+  const input = String(text).trim();
+  if (!input.startsWith('/')) throw new MultiaddrError(`Multiaddr must start with '/': '${input}'`);
+  if (input.length > 1 && input.endsWith('/')) throw new MultiaddrError(`Multiaddr must not end with '/': '${input}'`);
+
+  const parts = input.split('/').slice(1);
+  const components = [];
+  for (let i = 0; i < parts.length; i++) {
+    const protocol = parts[i];
+    if (!protocol) throw new MultiaddrError(`Empty protocol name in '${input}'`);
+    if (!Object.prototype.hasOwnProperty.call(PROTOCOLS, protocol)) {
+      throw new MultiaddrError(`Unknown protocol '/${protocol}' in '${input}'`);
+    }
+    const kind = PROTOCOLS[protocol];
+    if (kind === null) {
+      components.push({ protocol, value: null });
+      continue;
+    }
+    const value = parts[++i];
+    if (value === undefined || value === '') throw new MultiaddrError(`/${protocol} is missing its value in '${input}'`);
+    checkValue(protocol, kind, value);
+    components.push({ protocol, value });
+  }
+  if (components.length === 0) throw new MultiaddrError('Multiaddr is empty');
+
+  const find = (names) => components.find((c) => names.includes(c.protocol));
+  const host = find(HOST_PROTOCOLS);
+  const portComponent = find(['tcp', 'udp']);
+  // The last /p2p is the target peer; earlier ones are relays
+  const peers = components.filter((c) => c.protocol === 'p2p' || c.protocol === 'ipfs');
+  const peerId = peers.length > 0 ? peers[peers.length - 1].value : null;
+
+  if (portComponent && host && components.indexOf(portComponent) < components.indexOf(host)) {
+    throw new MultiaddrError(`/${portComponent.protocol} must come after the host in '${input}'`);
+  }
+  if (requirePeerId && !peerId) {
+    throw new MultiaddrError(`Missing /p2p/<peer ID> at the end of '${input}'`);
+  }
+
+  let transport = null;
+  if (portComponent) {
+    const layers = components
+      .slice(components.indexOf(portComponent) + 1)
+      .filter((c) => TRANSPORT_LAYERS.includes(c.protocol))
+      .map((c) => c.protocol);
+    transport = [portComponent.protocol, ...layers].join('/');
+  }
+
+  return {
+    text: input,
+    components,
+    host: host ? host.value : null,
+    hostProtocol: host ? host.protocol : null,
+    port: portComponent ? parseInt(portComponent.value) : null,
+    transport,
+    peerId,
+  };
+};
+
+// Error message for an invalid multiaddr, null when it is fine
+const multiaddrProblem = (text, options) => {
+  try {
+    parseMultiaddr(text, options);
+    return null;
+  } catch (e) {
+    if (e instanceof MultiaddrError) return e.message;
+    throw e;
+  }
+};
+
+module.exports = { parseMultiaddr, multiaddrProblem, validatePeerId, MultiaddrError };
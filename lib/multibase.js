@@ -0,0 +1,106 @@
+/*  Multibase decoding and CID helpers
+    Just enough to take peer IDs and CIDs apart without pulling in the
+    multiformats packages: base58btc, base36 and base32 (lower case,
+    unpadded), base16 and unsigned varints.
+*/
+
+class MultibaseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MultibaseError';
+  }
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Big-number conversion shared by base58 and base36, which are not bit-aligned
+const decodeBaseX = (text, alphabet, name) => {
+  const bytes = [];
+  for (const char of text) {
+    let carry = alphabet.indexOf(char);
+    if (carry < 0) throw new MultibaseError(`'${char}' is not a ${name} character`);
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * alphabet.length;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading zero digits ('1' in base58, '0' in base36) are leading zero bytes
+  for (let i = 0; i < text.length && text[i] === alphabet[0]; i++) bytes.push(0);
+  return Buffer.from(bytes.reverse());
+};
+
+const decodeBase58 = (text) => decodeBaseX(text, BASE58_ALPHABET, 'base58');
+
+const decodeBase36 = (text) => decodeBaseX(text, BASE36_ALPHABET, 'base36');
+
+const decodeBase32 = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) throw new MultibaseError(`'${char}' is not a base32 character`);
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @param {Buffer} bytes
+ * @param {number} offset
+ * @returns {[number, number]} the value and the offset after it
+ */
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < bytes.length && shift < 28; i++) {
+    value |= (bytes[i] & 0x7f) << shift;
+    if ((bytes[i] & 0x80) === 0) return [value, i + 1];
+    shift += 7;
+  }
+  throw new MultibaseError('truncated varint');
+};
+
+// Multibase string (prefix b, k, z or f) -> bytes
+const decodeMultibase = (text) => {
+  const bytes = {
+    b: () => decodeBase32(text.slice(1)),
+    k: () => decodeBase36(text.slice(1)),
+    z: () => decodeBase58(text.slice(1)),
+    f: () => {
+      if (!/^[0-9a-f]*$/.test(text.slice(1)) || text.length % 2 === 0) throw new MultibaseError('invalid base16');
+      return Buffer.from(text.slice(1), 'hex');
+    },
+  }[text[0]];
+  if (!bytes) throw new MultibaseError(`unsupported multibase prefix '${text[0]}'`);
+  return bytes();
+};
+
+/**
+ * The multihash inside a CID. The blockstore is keyed by multihash, so this
+ * is what makes a CIDv0 (Qm...) and a CIDv1 of the same block compare equal.
+ * @param {string} cid
+ * @returns {string} hex multihash
+ */
+const cidMultihash = (cid) => {
+  if (cid.length === 46 && cid.startsWith('Qm')) return decodeBase58(cid).toString('hex');
+  const bytes = decodeMultibase(cid);
+  const [version, afterVersion] = readVarint(bytes, 0);
+  if (version !== 1) throw new MultibaseError(`CID version ${version}, expected 1`);
+  const [, afterCodec] = readVarint(bytes, afterVersion);
+  return bytes.subarray(afterCodec).toString('hex');
+};
+
+module.exports = { decodeBase58, decodeBase36, decodeBase32, decodeMultibase, readVarint, cidMultihash, MultibaseError };
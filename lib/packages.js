@@ -0,0 +1,80 @@
+/*  System packages
+    The tools init needs, the binary that shows each one is installed and its
+    package name for every supported package manager:
+      apt (Debian/Ubuntu), dnf / yum (Fedora/RHEL), pacman (Arch),
+      apk (Alpine), zypper (openSUSE), brew (macOS)
+    Pure functions – detection and installing is done by the CLI, so the plan
+    can be printed with --dry-run first.
+*/
+
+class PackageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PackageError';
+  }
+}
+
+// Install commands without sudo; refresh runs once before installing where
+// the package index is not refreshed by the install itself
+const PACKAGE_MANAGERS = {
+  apt: { binary: 'apt-get', sudo: true, refresh: ['apt-get', 'update'], install: ['apt-get', 'install', '--no-upgrade', '-y'] },
+  dnf: { binary: 'dnf', sudo: true, refresh: null, install: ['dnf', 'install', '-y'] },
+  yum: { binary: 'yum', sudo: true, refresh: null, install: ['yum', 'install', '-y'] },
+  // -S --needed without -y: refreshing the sync db alone would be a partial upgrade
+  pacman: { binary: 'pacman', sudo: true, refresh: null, install: ['pacman', '-S', '--needed', '--noconfirm'] },
+  apk: { binary: 'apk', sudo: true, refresh: null, install: ['apk', 'add', '--no-cache'] },
+  zypper: { binary: 'zypper', sudo: true, refresh: null, install: ['zypper', '--non-interactive', 'install'] },
+  brew: { binary: 'brew', sudo: false, refresh: null, install: ['brew', 'install'] },
+};
+
+// First match wins; dnf before yum since Fedora still ships a yum alias
+const DETECTION_ORDER = {
+  linux: ['apt', 'dnf', 'yum', 'pacman', 'apk', 'zypper'],
+  darwin: ['brew'],
+};
+
+// Capability -> the binary checked for and the package providing it.
+// `default` covers every manager not listed; null means it ships with the OS.
+const TOOLS = {
+  wget: { binary: 'wget', purpose: 'download Kubo releases', packages: { default: 'wget' } },
+  curl: { binary: 'curl', purpose: 'HTTP checks and the Tailscale installer', packages: { default: 'curl' } },
+  netstat: { binary: 'netstat', purpose: 'port diagnostics', packages: { default: 'net-tools', brew: null } },
+  openssl: { binary: 'openssl', purpose: 'swarm key generation', packages: { default: 'openssl' } },
+};
+
+/**
+ * @param {string} platform os.platform()
+ * @param {(binary: string) => boolean} hasBinary
+ * @returns {string|null} key of PACKAGE_MANAGERS
+ */
+const detectPackageManager = (platform, hasBinary) =>
+  (DETECTION_ORDER[platform] || []).find((name) => hasBinary(PACKAGE_MANAGERS[name].binary)) || null;
+
+// Package name for a tool, null when the OS already ships it
+const packageFor = (tool, manager) => {
+  const { packages } = TOOLS[tool];
+  return manager in packages ? packages[manager] : packages.default;
+};
+
+/**
+ * @param {string} manager key of PACKAGE_MANAGERS
+ * @param {string[]} tools keys of TOOLS that are missing
+ * @param {{ root?: boolean }} options root skips sudo
+ * @returns {{ packages: string[], commands: Array<[string, string[]]>, unavailable: string[] }}
+ */
+const planInstall = (manager, tools, { root = false } = {}) => {
+  const definition = PACKAGE_MANAGERS[manager];
+  if (!definition) throw new PackageError(`Unknown package manager '${manager}'`);
+  const unknown = tools.find((tool) => !TOOLS[tool]);
+  if (unknown) throw new PackageError(`Unknown tool '${unknown}'`);
+
+  const packages = [...new Set(tools.map((tool) => packageFor(tool, manager)).filter(Boolean))];
+  const unavailable = tools.filter((tool) => !packageFor(tool, manager));
+  const command = (argv) => (definition.sudo && !root ? ['sudo', argv] : [argv[0], argv.slice(1)]);
+  const commands = packages.length === 0
+    ? []
+    : [...(definition.refresh ? [command(definition.refresh)] : []), command([...definition.install, ...packages])];
+  return { packages, commands, unavailable };
+};
+
+module.exports = { PACKAGE_MANAGERS, TOOLS, detectPackageManager, packageFor, planInstall, PackageError };
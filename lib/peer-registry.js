@@ -0,0 +1,160 @@
+/*  Peer registry
+    Remembers every peer a node has seen: alias, labels, agent version, first
+    and last sighting, and a connect/disconnect history. recordPeers() folds
+    one `swarm peers` snapshot into it; a known peer missing from the snapshot
+    counts as disconnected. The disconnect happened somewhere between the
+    peer's previous lastSeen and the snapshot, so history events keep both.
+*/
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_LIMIT = 500;
+const ALIAS_PATTERN = /^[A-Za-z][A-Za-z0-9._-]*$/;
+const LABEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]*$/;
+
+class PeerRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PeerRegistryError';
+  }
+}
+
+/**
+ * @typedef {{ event: 'connected'|'disconnected', at: string, since?: string, addr: string|null }} PeerEvent
+ * @typedef {{
+ *   alias: string|null,
+ *   labels: string[],
+ *   agentVersion: string|null,
+ *   firstSeen: string|null,
+ *   lastSeen: string|null,
+ *   connected: boolean,
+ *   addr: string|null,
+ *   transport: string|null,
+ *   latency: string|null,
+ *   direction: string|null,
+ *   history: PeerEvent[],
+ * }} PeerEntry
+ * @typedef {{ version: 1, peers: Object<string, PeerEntry> }} PeerRegistry
+ */
+
+const emptyRegistry = () => ({ version: 1, peers: {} });
+
+/** @returns {PeerRegistry} */
+const loadRegistry = (file) => {
+  if (!fs.existsSync(file)) return emptyRegistry();
+  try {
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...emptyRegistry(), ...registry };
+  } catch (e) {
+    throw new PeerRegistryError(`Cannot read peer registry ${file}: ${e.message}`);
+  }
+};
+
+const saveRegistry = (file, registry) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2));
+};
+
+// Peers can be named before they are ever seen, so the sightings start out empty
+const newEntry = () => ({
+  alias: null,
+  labels: [],
+  agentVersion: null,
+  firstSeen: null,
+  lastSeen: null,
+  connected: false,
+  addr: null,
+  transport: null,
+  latency: null,
+  direction: null,
+  history: [],
+});
+
+const entryFor = (registry, peerId) => registry.peers[peerId] || (registry.peers[peerId] = newEntry());
+
+const pushEvent = (entry, event) => {
+  entry.history.push(event);
+  if (entry.history.length > HISTORY_LIMIT) entry.history.splice(0, entry.history.length - HISTORY_LIMIT);
+};
+
+/**
+ * @param {PeerRegistry} registry updated in place
+ * @param {{ peer: string, addr: string, latency?: string|null, direction?: string|null, transport?: string|null, agentVersion?: string|null }[]} snapshot
+ *   every currently connected peer
+ * @param {string} [now] ISO timestamp of the snapshot
+ */
+const recordPeers = (registry, snapshot, now = new Date().toISOString()) => {
+  const seen = new Set();
+  snapshot.forEach((peer) => {
+    seen.add(peer.peer);
+    const entry = entryFor(registry, peer.peer);
+    if (!entry.firstSeen) entry.firstSeen = now;
+    if (!entry.connected) pushEvent(entry, { event: 'connected', at: now, addr: peer.addr });
+    Object.assign(entry, {
+      connected: true,
+      lastSeen: now,
+      addr: peer.addr,
+      transport: peer.transport || null,
+      latency: peer.latency || null,
+      direction: peer.direction || null,
+    });
+    if (peer.agentVersion) entry.agentVersion = peer.agentVersion;
+  });
+
+  Object.entries(registry.peers).forEach(([peerId, entry]) => {
+    if (!entry.connected || seen.has(peerId)) return;
+    entry.connected = false;
+    pushEvent(entry, { event: 'disconnected', at: now, since: entry.lastSeen, addr: entry.addr });
+  });
+  return registry;
+};
+
+/**
+ * @param {PeerRegistry} registry
+ * @param {string} ref peer ID or alias
+ * @returns {string|null} the peer ID
+ */
+const resolvePeer = (registry, ref) => {
+  if (registry.peers[ref]) return ref;
+  const match = Object.entries(registry.peers).find(([, entry]) => entry.alias === ref);
+  return match ? match[0] : null;
+};
+
+// alias = null removes it
+const setAlias = (registry, peerId, alias) => {
+  if (alias !== null) {
+    if (!ALIAS_PATTERN.test(alias)) {
+      throw new PeerRegistryError(`Invalid alias '${alias}': use letters, digits, '.', '_' or '-', starting with a letter`);
+    }
+    const owner = resolvePeer(registry, alias);
+    if (owner && owner !== peerId) throw new PeerRegistryError(`'${alias}' already names ${owner}`);
+  }
+  const entry = entryFor(registry, peerId);
+  entry.alias = alias;
+  return entry;
+};
+
+const addLabels = (registry, peerId, labels) => {
+  const invalid = labels.filter((label) => !LABEL_PATTERN.test(label));
+  if (invalid.length > 0) throw new PeerRegistryError(`Invalid label(s): ${invalid.join(', ')}`);
+  const entry = entryFor(registry, peerId);
+  entry.labels = [...new Set([...entry.labels, ...labels])].sort();
+  return entry;
+};
+
+const removeLabels = (registry, peerId, labels) => {
+  const entry = entryFor(registry, peerId);
+  entry.labels = entry.labels.filter((label) => !labels.includes(label));
+  return entry;
+};
+
+module.exports = {
+  loadRegistry,
+  saveRegistry,
+  recordPeers,
+  resolvePeer,
+  setAlias,
+  addLabels,
+  removeLabels,
+  PeerRegistryError,
+};
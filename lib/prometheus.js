@@ -0,0 +1,60 @@
+/*  Prometheus text exposition format (version 0.0.4)
+    A metric family is { name, help, type, samples: [{ labels, value }] };
+    renderMetrics() turns a list of them into the /metrics response body.
+    Families without samples are left out, samples with a null value too.
+*/
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+class MetricsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricsError';
+  }
+}
+
+/**
+ * @typedef {{ labels?: Object<string, string|number>, value: number|boolean|null }} Sample
+ * @typedef {{ name: string, help: string, type: 'gauge'|'counter'|'untyped', samples: Sample[] }} MetricFamily
+ */
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  entries.forEach(([key]) => {
+    if (!LABEL_PATTERN.test(key)) throw new MetricsError(`Invalid label name '${key}'`);
+  });
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * @param {MetricFamily[]} families
+ * @returns {string}
+ */
+const renderMetrics = (families) => {
+  const lines = [];
+  families.forEach(({ name, help, type, samples }) => {
+    if (!NAME_PATTERN.test(name)) throw new MetricsError(`Invalid metric name '${name}'`);
+    const present = samples.filter((sample) => sample.value !== null && sample.value !== undefined);
+    if (present.length === 0) return;
+    lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    present.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = { renderMetrics, CONTENT_TYPE, MetricsError };
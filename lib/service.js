@@ -0,0 +1,128 @@
+/*  Service definitions for the IPFS daemon
+    Renders systemd units (Linux) and launchd plists (macOS). Pure functions –
+    writing, enabling and starting is done by the CLI so the text can be
+    inspected with --dry-run first.
+    The job runs `ipfs-swarm-cli run-daemon`, which starts `ipfs daemon` and
+    writes its output to the profile's rotating daemon.log.
+*/
+const path = require('path');
+const os = require('os');
+
+const serviceName = (profile) => `ipfs-swarm-${profile}`;
+const launchdLabel = (profile) => `io.ipfs-swarm-cli.${profile}`;
+
+// Where the definition lives for a given manager / scope
+const serviceFile = ({ manager, scope, profile }) => {
+  if (manager === 'launchd') {
+    const dir = scope === 'system'
+      ? '/Library/LaunchDaemons'
+      : path.join(os.homedir(), 'Library', 'LaunchAgents');
+    return path.join(dir, `${launchdLabel(profile)}.plist`);
+  }
+  const dir = scope === 'system'
+    ? '/etc/systemd/system'
+    : path.join(os.homedir(), '.config', 'systemd', 'user');
+  return path.join(dir, `${serviceName(profile)}.service`);
+};
+
+// runner: [node, cli script]. Periodic GC (Datastore.GCPeriod) only runs when the daemon gets --enable-gc
+const runnerCommand = ({ runner, profile, ipfsBinary, enableGc }) => [
+  ...runner,
+  '--profile', profile,
+  'run-daemon', '--ipfs', ipfsBinary, '--migrate',
+  ...(enableGc ? ['--enable-gc'] : []),
+];
+
+// Shell snippet that blocks until Tailscale has an address
+const waitForTailscale = 'until tailscale ip -4 >/dev/null 2>&1; do sleep 2; done';
+
+const renderSystemdUnit = ({ profile, scope, runner, ipfsBinary, ipfsPath, user, tailscale, enableGc = false }) => {
+  const unit = [
+    '[Unit]',
+    `Description=IPFS private swarm node (profile ${profile})`,
+    'Documentation=https://www.npmjs.com/package/ipfs-swarm-cli',
+  ];
+  if (scope === 'system') {
+    const after = ['network-online.target', ...(tailscale ? ['tailscaled.service'] : [])].join(' ');
+    unit.push(`After=${after}`, `Wants=${after}`);
+  }
+
+  unit.push(
+    '',
+    '[Service]',
+    'Type=notify',
+    // The readiness notification comes from ipfs, a child of run-daemon
+    'NotifyAccess=all',
+    `Environment=IPFS_PATH=${ipfsPath}`,
+  );
+  if (scope === 'system' && user) unit.push(`User=${user}`);
+  // User managers cannot order against tailscaled.service, so wait for an address instead
+  if (tailscale && scope !== 'system') {
+    unit.push(`ExecStartPre=/bin/sh -c '${waitForTailscale}'`, 'TimeoutStartSec=300');
+  }
+  unit.push(
+    `ExecStart=${runnerCommand({ runner, profile, ipfsBinary, enableGc }).join(' ')}`,
+    'Restart=on-failure',
+    'RestartSec=5',
+    'KillSignal=SIGINT',
+    // SIGINT to run-daemon only, which passes it on: a second one would force-quit ipfs
+    'KillMode=mixed',
+  );
+  unit.push(
+    '',
+    '[Install]',
+    `WantedBy=${scope === 'system' ? 'multi-user.target' : 'default.target'}`,
+    ''
+  );
+  return unit.join('\n');
+};
+
+const xmlEscape = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const renderLaunchdPlist = ({ profile, runner, ipfsBinary, ipfsPath, tailscale, enableGc = false }) => {
+  const command = runnerCommand({ runner, profile, ipfsBinary, enableGc });
+  // launchd has no unit ordering, so Tailscale is awaited inside the job itself
+  const program = tailscale
+    ? ['/bin/sh', '-c', `${waitForTailscale}; exec ${command.map((arg) => `"${arg}"`).join(' ')}`]
+    : command;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict>',
+    '  <key>Label</key>',
+    `  <string>${xmlEscape(launchdLabel(profile))}</string>`,
+    '  <key>ProgramArguments</key>',
+    '  <array>',
+    ...program.map((arg) => `    <string>${xmlEscape(arg)}</string>`),
+    '  </array>',
+    '  <key>EnvironmentVariables</key>',
+    '  <dict>',
+    '    <key>IPFS_PATH</key>',
+    `    <string>${xmlEscape(ipfsPath)}</string>`,
+    '    <key>PATH</key>',
+    '    <string>/usr/local/bin:/opt/homebrew/bin:/usr/bin:/bin</string>',
+    '  </dict>',
+    '  <key>RunAtLoad</key>',
+    '  <true/>',
+    '  <key>KeepAlive</key>',
+    '  <dict>',
+    '    <key>SuccessfulExit</key>',
+    '    <false/>',
+    '  </dict>',
+    '  <key>ThrottleInterval</key>',
+    '  <integer>5</integer>',
+  ];
+  lines.push('</dict>', '</plist>', '');
+  return lines.join('\n');
+};
+
+module.exports = {
+  serviceName,
+  launchdLabel,
+  serviceFile,
+  renderSystemdUnit,
+  renderLaunchdPlist,
+};
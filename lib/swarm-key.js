@@ -0,0 +1,50 @@
+/*  Private network (PSK) swarm key handling
+    Format understood by Kubo / go-libp2p:
+      /key/swarm/psk/1.0.0/
+      /base16/
+      <64 hex characters = 32 bytes>
+*/
+const crypto = require('crypto');
+
+const PSK_HEADER = '/key/swarm/psk/1.0.0/';
+const BASE16_HEADER = '/base16/';
+
+class SwarmKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SwarmKeyError';
+  }
+}
+
+const formatSwarmKey = (hex) => `${PSK_HEADER}\n${BASE16_HEADER}\n${hex}`;
+
+const createSwarmKey = () => formatSwarmKey(crypto.randomBytes(32).toString('hex'));
+
+// Returns the 32 raw key bytes or throws SwarmKeyError describing what is wrong
+const parseSwarmKey = (text) => {
+  const lines = String(text).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    throw new SwarmKeyError('Swarm key is empty');
+  }
+  if (lines[0] !== PSK_HEADER) {
+    throw new SwarmKeyError(`Line 1 must be '${PSK_HEADER}', found '${lines[0]}'`);
+  }
+  if (lines[1] !== BASE16_HEADER) {
+    throw new SwarmKeyError(`Line 2 must be '${BASE16_HEADER}', found '${lines[1] || ''}' (only base16 keys are supported)`);
+  }
+  if (lines.length !== 3) {
+    throw new SwarmKeyError(`Expected 3 lines, found ${lines.length}`);
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(lines[2])) {
+    throw new SwarmKeyError(`Line 3 must be 64 hex characters (32 bytes), found ${lines[2].length} characters`);
+  }
+  return Buffer.from(lines[2], 'hex');
+};
+
+// Short, non-reversible identifier for comparing keys across nodes
+const fingerprint = (text) => {
+  const digest = crypto.createHash('sha256').update(parseSwarmKey(text)).digest('hex');
+  return digest.slice(0, 16).match(/.{4}/g).join(':');
+};
+
+module.exports = { createSwarmKey, formatSwarmKey, parseSwarmKey, fingerprint, SwarmKeyError };
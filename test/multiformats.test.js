@@ -0,0 +1,107 @@
+/*  Peer ID, CID and multiaddr decoding against known-good vectors
+    The CIDv1 forms are the same peer ID re-encoded outside this code, so a
+    decoder that disagrees with them is wrong, not the vector.
+*/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeMultibase, cidMultihash, MultibaseError } = require('../lib/multibase');
+const { parseMultiaddr, validatePeerId, MultiaddrError } = require('../lib/multiaddr');
+
+// ed25519 key, inlined with the identity multihash
+const ED25519 = {
+  base58: '12D3KooWD3eckifWpRn9wQpMG9R9hX3sD158z7EqHWmweQAJU5SA',
+  base32: 'bafzaajaiaejcal72gwuz2or47oyxxn6b3rkwdmmkrxgkjxzy3rqt5kczyn7lcm3l',
+  base36: 'k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7or',
+  base16: 'f01720024080112202ffa35a99d3a3cfbb17bb7c1dc5561b18a8dcca4df38dc613ea859c37eb1336b',
+  multihash: '0024080112202ffa35a99d3a3cfbb17bb7c1dc5561b18a8dcca4df38dc613ea859c37eb1336b',
+};
+
+// RSA key, sha2-256 multihash (one of the public IPFS bootstrap nodes)
+const RSA = {
+  base58: 'QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJN',
+  base32: 'bafzbeiagwnqiviaae5aet2zivwhhsorg75x2wka2pu55o7grr23ulx5kxm',
+  base36: 'k2k4r8jl0yz8qjgqbmc2cdu5hkqek5rj6flgnlkyywynci20j0iuyfuj',
+  base16: 'f0172122006b3608aa000274049eb28ad8e793a26ff6fab281a7d3bd77cd18eb745dfaabb',
+  multihash: '122006b3608aa000274049eb28ad8e793a26ff6fab281a7d3bd77cd18eb745dfaabb',
+};
+
+// The empty UnixFS directory as CIDv0 and CIDv1 (dag-pb)
+const EMPTY_DIR = {
+  v0: 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn',
+  v1: 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354',
+  multihash: '122059948439065f29619ef41280cbb932be52c56d99c5966b65e0111239f098bbef',
+};
+
+test('validatePeerId accepts every encoding of a peer ID', () => {
+  for (const key of [ED25519, RSA]) {
+    for (const encoding of ['base58', 'base32', 'base36', 'base16']) {
+      assert.doesNotThrow(() => validatePeerId(key[encoding]), `${encoding} ${key[encoding]}`);
+    }
+  }
+});
+
+test('each multibase form decodes to the same libp2p-key CID', () => {
+  for (const key of [ED25519, RSA]) {
+    const cid = `0172${key.multihash}`;
+    for (const encoding of ['base32', 'base36', 'base16']) {
+      assert.equal(decodeMultibase(key[encoding]).toString('hex'), cid, encoding);
+    }
+  }
+});
+
+test('cidMultihash matches CIDv0 and CIDv1 of the same block', () => {
+  assert.equal(cidMultihash(EMPTY_DIR.v0), EMPTY_DIR.multihash);
+  assert.equal(cidMultihash(EMPTY_DIR.v1), EMPTY_DIR.multihash);
+  assert.equal(cidMultihash(RSA.base36), RSA.multihash);
+});
+
+test('validatePeerId rejects malformed and truncated peer IDs', () => {
+  const invalid = [
+    'QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJ0', // '0' is not base58
+    RSA.base58.slice(0, -4), // digest too short
+    RSA.base32.slice(0, -6),
+    RSA.base36.slice(0, -6),
+    'k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7o!',
+    'f0172', // no multihash
+    'f017', // odd number of hex digits
+    EMPTY_DIR.v1, // dag-pb, not libp2p-key
+    'x0172', // unknown multibase prefix
+  ];
+  for (const text of invalid) {
+    assert.throws(() => validatePeerId(text), MultiaddrError, text);
+  }
+});
+
+test('cidMultihash rejects truncated input', () => {
+  assert.throws(() => cidMultihash('f01'), MultibaseError);
+  assert.throws(() => cidMultihash('f0180'), MultibaseError);
+});
+
+test('parseMultiaddr takes the peer ID from the last /p2p', () => {
+  const addr = parseMultiaddr(`/ip4/100.64.0.2/tcp/4001/p2p/${ED25519.base36}`, { requirePeerId: true });
+  assert.equal(addr.host, '100.64.0.2');
+  assert.equal(addr.hostProtocol, 'ip4');
+  assert.equal(addr.port, 4001);
+  assert.equal(addr.transport, 'tcp');
+  assert.equal(addr.peerId, ED25519.base36);
+
+  const relayed = parseMultiaddr(`/dns4/relay.example.com/udp/4001/quic-v1/p2p/${RSA.base58}/p2p-circuit/p2p/${ED25519.base58}`);
+  assert.equal(relayed.peerId, ED25519.base58);
+});
+
+test('parseMultiaddr rejects malformed multiaddrs', () => {
+  const invalid = [
+    'ip4/1.2.3.4/tcp/4001',
+    '/ip4/1.2.3.4/tcp/4001/',
+    '/ip4/999.1.1.1/tcp/4001',
+    '/ip4/1.2.3.4/tcp/0',
+    '/ip4/1.2.3.4/tcp',
+    '/tcp/4001/ip4/1.2.3.4',
+    '/ip4/1.2.3.4/foo/1',
+    `/ip4/1.2.3.4/tcp/4001/p2p/${RSA.base36.slice(0, -6)}`,
+  ];
+  for (const text of invalid) {
+    assert.throws(() => parseMultiaddr(text), MultiaddrError, text);
+  }
+  assert.throws(() => parseMultiaddr('/ip4/1.2.3.4/tcp/4001', { requirePeerId: true }), MultiaddrError);
+});